@@ -0,0 +1,391 @@
+/**
+ * Annotations Module
+ * Stores colored highlights with optional notes on chapter overviews,
+ * key takeaways and concept definitions, in localStorage.
+ *
+ * A highlight remembers the quoted text with some context on either
+ * side and its offset, so it can be found again after the content is
+ * edited: first by the quote and its context, then by the context
+ * alone, and finally in the other items of the same chapter (e.g. when
+ * a takeaway is inserted and the rest move down). Highlights that can't
+ * be found are kept and listed as detached.
+ *
+ * Dispatches `annotations:changed` on the document when highlights are
+ * added, edited or removed.
+ */
+
+class AnnotationStore {
+    constructor() {
+        this.storageKey = 'ob_annotations';
+        this.version = 1;
+
+        // Characters of context kept on either side of a quote
+        this.contextLength = 32;
+
+        this.colors = {
+            yellow: '#f1c40f',
+            green: '#2ecc71',
+            blue: '#3498db',
+            pink: '#e84393'
+        };
+
+        this.items = [];
+        this.load();
+    }
+
+    /**
+     * Read annotations from localStorage
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved && Array.isArray(saved.items)) {
+                this.items = saved.items.filter(item =>
+                    item && typeof item.id === 'string' && typeof item.exact === 'string' && item.exact &&
+                    window.ContentData.parseLocationId(item.location) && this.colors[item.color]
+                );
+            }
+        } catch (error) {
+            console.error('❌ Error reading annotations:', error);
+        }
+    }
+
+    /**
+     * Persist annotations
+     * @param {boolean} [notify=true] - Tell listeners; re-anchoring saves quietly
+     */
+    save(notify = true) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                version: this.version,
+                items: this.items
+            }));
+        } catch (error) {
+            console.error('❌ Error saving annotations:', error);
+        }
+
+        if (notify) document.dispatchEvent(new CustomEvent('annotations:changed'));
+    }
+
+    /**
+     * Get every annotation
+     * @returns {Array} Annotations
+     */
+    getAll() {
+        return this.items;
+    }
+
+    /**
+     * Get an annotation by id
+     * @param {string} id - Annotation id
+     * @returns {Object|null} Annotation
+     */
+    get(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+
+    /**
+     * Save a new highlight
+     * @param {string} locationId - Location id of the annotated text
+     * @param {string} text - Full text of the item
+     * @param {number} start - Start offset of the selection
+     * @param {number} end - End offset of the selection
+     * @param {string} color - Color name
+     * @param {string} [note] - Note text
+     * @returns {Object} Annotation
+     */
+    add(locationId, text, start, end, color, note = '') {
+        const now = new Date().toISOString();
+        const annotation = {
+            id: `a${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            location: locationId,
+            exact: text.slice(start, end),
+            prefix: text.slice(Math.max(0, start - this.contextLength), start),
+            suffix: text.slice(end, end + this.contextLength),
+            start,
+            color: this.colors[color] ? color : 'yellow',
+            note: note.trim(),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.items.push(annotation);
+        this.save();
+        return annotation;
+    }
+
+    /**
+     * Change an annotation's color or note
+     * @param {string} id - Annotation id
+     * @param {Object} changes - { color?, note? }
+     */
+    update(id, changes) {
+        const annotation = this.get(id);
+        if (!annotation) return;
+
+        if (changes.color && this.colors[changes.color]) annotation.color = changes.color;
+        if (typeof changes.note === 'string') annotation.note = changes.note.trim();
+        annotation.updatedAt = new Date().toISOString();
+        this.save();
+    }
+
+    /**
+     * Delete an annotation
+     * @param {string} id - Annotation id
+     */
+    remove(id) {
+        this.items = this.items.filter(item => item.id !== id);
+        this.save();
+    }
+
+    /**
+     * Get the annotatable text at a location
+     * @param {Object} location - Location
+     * @returns {string|null} Text, or null if it doesn't exist or isn't loaded
+     */
+    getText(location) {
+        const chapter = window.ContentData.getChapter(location.chapter);
+        if (!chapter) return null;
+
+        if (location.field === 'overview') return chapter.overview || null;
+        if (location.takeaway !== undefined) return chapter.keyTakeaways?.[location.takeaway] ?? null;
+        if (location.concept !== undefined) {
+            const section = window.ContentData.getSection(location.chapter, location.section);
+            return section?.concepts?.[location.concept]?.definition ?? null;
+        }
+        return null;
+    }
+
+    /**
+     * List the annotatable items of a chapter
+     * @param {Object} chapter - Chapter object
+     * @returns {Array} Location ids
+     */
+    getChapterTargets(chapter) {
+        const ids = [`${chapter.chapter}:overview`];
+        (chapter.keyTakeaways || []).forEach((t, i) => ids.push(`${chapter.chapter}:t${i}`));
+
+        const addSections = (sections, parentPath) => (sections || []).forEach((section, index) => {
+            const path = parentPath.concat(index);
+            (section.concepts || []).forEach((c, i) => {
+                ids.push(window.ContentData.getLocationId({ chapter: chapter.chapter, section: path, concept: i }));
+            });
+            addSections(section.subsections, path);
+        });
+        addSections(chapter.sections, []);
+
+        return ids;
+    }
+
+    /**
+     * Find where an annotation is now
+     * @param {Object} annotation - Annotation
+     * @returns {Object|null} { location, start, end }, null if detached,
+     *   or { pending: true } while its chapter's detail isn't loaded
+     */
+    resolve(annotation) {
+        const location = window.ContentData.parseLocationId(annotation.location);
+        const data = window.ContentData;
+
+        // The chapter itself is gone, e.g. after an outline import
+        if (!data.getChapter(location.chapter)) return null;
+
+        // Concepts only exist once the chapter detail file is in
+        if (!data.isChapterLoaded(location.chapter)) {
+            return location.concept !== undefined ? { pending: true } : this.resolveIn(annotation, annotation.location);
+        }
+
+        const here = this.resolveIn(annotation, annotation.location);
+        if (here) return here;
+
+        // The item may have moved within the chapter; accept exact quotes only
+        const chapter = data.getChapter(location.chapter);
+        if (!chapter) return null;
+
+        const candidates = this.getChapterTargets(chapter)
+            .filter(id => id !== annotation.location)
+            .map(id => this.resolveIn(annotation, id, { exactOnly: true }))
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score);
+
+        if (candidates.length === 0) return null;
+
+        // Remember the new home so the search isn't repeated
+        annotation.location = candidates[0].location;
+        annotation.start = candidates[0].start;
+        this.save(false);
+        return candidates[0];
+    }
+
+    /**
+     * Find an annotation's quote in the text at one location
+     * @param {Object} annotation - Annotation
+     * @param {string} locationId - Location id to search
+     * @param {Object} [options] - { exactOnly }
+     * @returns {Object|null} { location, start, end, score }
+     */
+    resolveIn(annotation, locationId, { exactOnly = false } = {}) {
+        const text = this.getText(window.ContentData.parseLocationId(locationId));
+        if (!text) return null;
+
+        const range = this.findQuote(annotation, text, exactOnly);
+        return range ? { location: locationId, ...range } : null;
+    }
+
+    /**
+     * Locate a quote in text. Every exact occurrence is scored by how
+     * much of the surrounding context still matches and how close it is
+     * to the original offset. Without an exact match, the text between
+     * the remembered prefix and suffix is taken if it is of a similar
+     * length, so small edits inside the quote keep the highlight.
+     * @param {Object} annotation - Annotation
+     * @param {string} text - Text to search
+     * @param {boolean} exactOnly - Skip the context fallback
+     * @returns {Object|null} { start, end, score }
+     */
+    findQuote(annotation, text, exactOnly) {
+        const { exact, prefix, suffix } = annotation;
+        let best = null;
+
+        for (let start = text.indexOf(exact); start !== -1; start = text.indexOf(exact, start + 1)) {
+            const end = start + exact.length;
+            const score = this.commonSuffix(text.slice(0, start), prefix) +
+                this.commonPrefix(text.slice(end), suffix) -
+                Math.min(Math.abs(start - annotation.start), 1000) / 1000;
+
+            if (!best || score > best.score) best = { start, end, score };
+        }
+
+        if (best || exactOnly || !prefix || !suffix) return best;
+
+        const before = text.indexOf(prefix);
+        if (before === -1) return null;
+
+        const start = before + prefix.length;
+        const after = text.indexOf(suffix, start);
+        const length = after - start;
+        if (after === -1 || length === 0 || length < exact.length / 2 || length > exact.length * 2) return null;
+
+        return { start, end: after, score: 0 };
+    }
+
+    /**
+     * Length of the shared ending of two strings
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Characters in common at the end
+     */
+    commonSuffix(a, b) {
+        let n = 0;
+        while (n < a.length && n < b.length && a[a.length - 1 - n] === b[b.length - 1 - n]) n++;
+        return n;
+    }
+
+    /**
+     * Length of the shared beginning of two strings
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Characters in common at the start
+     */
+    commonPrefix(a, b) {
+        let n = 0;
+        while (n < a.length && n < b.length && a[n] === b[n]) n++;
+        return n;
+    }
+
+    /**
+     * Count annotations in or under a location
+     * @param {Object} location - Chapter, section, takeaway or concept
+     * @returns {number} Count
+     */
+    countWithin(location) {
+        const data = window.ContentData;
+        return this.items.filter(item => data.isWithinLocation(data.parseLocationId(item.location), location)).length;
+    }
+
+    /**
+     * Group annotations by chapter, in course order, and by position
+     * within each chapter. Annotations whose chapter is no longer in the
+     * course come last, in a group with a null chapter.
+     * @returns {Array} { chapter, items } with chapter objects
+     */
+    groupByChapter() {
+        const data = window.ContentData;
+        const chapters = data.getChapters();
+
+        const orphans = this.items
+            .filter(item => !data.getChapter(data.parseLocationId(item.location).chapter))
+            .sort((a, b) => data.parseLocationId(a.location).chapter - data.parseLocationId(b.location).chapter ||
+                a.location.localeCompare(b.location) || a.start - b.start);
+
+        const groups = chapters.map(chapter => {
+            const order = this.getChapterTargets(chapter);
+            const rank = id => {
+                const index = order.indexOf(id);
+                return index === -1 ? order.length : index;
+            };
+            const items = this.items
+                .filter(item => data.parseLocationId(item.location).chapter === chapter.chapter)
+                .sort((a, b) => rank(a.location) - rank(b.location) || a.start - b.start);
+            return { chapter, items };
+        });
+
+        return groups.concat({ chapter: null, items: orphans }).filter(group => group.items.length > 0);
+    }
+
+    /**
+     * Describe where an annotation sits
+     * @param {Object} annotation - Annotation
+     * @returns {string} e.g. "Overview", "Key takeaway 3" or the concept name
+     */
+    describeTarget(annotation) {
+        const location = window.ContentData.parseLocationId(annotation.location);
+        if (!window.ContentData.getChapter(location.chapter)) {
+            const what = location.field === 'overview' ? 'overview'
+                : location.takeaway !== undefined ? `key takeaway ${location.takeaway + 1}` : 'concept';
+            return `Chapter ${location.chapter} ${what}`;
+        }
+        if (location.field === 'overview') return 'Overview';
+        if (location.takeaway !== undefined) return `Key takeaway ${location.takeaway + 1}`;
+
+        const info = window.ContentData.describeLocation(location);
+        return info ? info.label : 'Concept';
+    }
+
+    /**
+     * Export every annotation as Markdown, grouped by chapter
+     * @returns {string} Markdown text
+     */
+    toMarkdown() {
+        const metadata = window.ContentData.getMetadata();
+        const lines = [`# My notes: ${metadata.title || 'Course'}`, ''];
+
+        this.groupByChapter().forEach(({ chapter, items }) => {
+            lines.push(chapter ? `## Chapter ${chapter.chapter}: ${chapter.title}` : '## Detached highlights', '');
+
+            items.forEach(item => {
+                const detached = this.resolve(item) === null;
+                lines.push(`### ${this.describeTarget(item)}${detached ? ' (detached)' : ''}`, '');
+                lines.push(`> ${item.exact.replace(/\s*\n\s*/g, ' ')}`, '');
+                if (item.note) lines.push(...item.note.split('\n'), '');
+                lines.push(`*${item.color} highlight, ${item.updatedAt.slice(0, 10)}*`, '');
+            });
+        });
+
+        return `${lines.join('\n').trim()}\n`;
+    }
+
+    /**
+     * Check whether there are any annotations
+     * @returns {boolean} True if there are annotations
+     */
+    hasAnnotations() {
+        return this.items.length > 0;
+    }
+}
+
+// Create and export singleton instance
+const annotationStore = new AnnotationStore();
+
+// Make it globally available
+window.Annotations = annotationStore;
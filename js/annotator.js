@@ -0,0 +1,370 @@
+/**
+ * Annotator Module
+ * Shows saved highlights in the content panel and lets the reader
+ * create them: select text inside an overview, takeaway or concept
+ * definition, then pick a color or add a note from the toolbar that
+ * appears. Clicking a highlight opens the same toolbar to recolor it,
+ * edit its note or delete it.
+ *
+ * Annotatable elements carry `data-annotate` with the location id of
+ * their text; their text content must be the content string itself.
+ */
+
+class Annotator {
+    constructor(container) {
+        this.container = container;
+        this.store = window.Annotations;
+
+        // Selection being annotated, or the highlight being edited
+        this.pending = null;
+        this.editing = null;
+
+        this.createToolbar();
+        this.attachEventListeners();
+    }
+
+    /**
+     * Build the floating toolbar
+     */
+    createToolbar() {
+        this.toolbar = document.createElement('div');
+        this.toolbar.className = 'annotation-toolbar';
+        this.toolbar.setAttribute('role', 'toolbar');
+        this.toolbar.setAttribute('aria-label', 'Highlight');
+        this.toolbar.innerHTML = `
+            <span class="annotation-toolbar-note"></span>
+            ${Object.entries(this.store.colors).map(([name, color]) => `
+                <button class="annotation-color" data-color="${name}" style="background: ${color}"
+                        title="Highlight ${name}" aria-label="Highlight ${name}"></button>
+            `).join('')}
+            <button class="annotation-action" data-annotation-action="note" title="Add a note">
+                <i class="fas fa-sticky-note"></i>
+            </button>
+            <button class="annotation-action" data-annotation-action="delete" title="Delete highlight">
+                <i class="fas fa-trash"></i>
+            </button>
+        `;
+        document.body.appendChild(this.toolbar);
+    }
+
+    /**
+     * Attach selection, click and toolbar listeners
+     */
+    attachEventListeners() {
+        // Wait for the selection to settle after the mouse or keys let go
+        const checkSelection = () => setTimeout(() => this.handleSelection(), 0);
+        this.container.addEventListener('mouseup', checkSelection);
+        this.container.addEventListener('keyup', (e) => {
+            if (e.shiftKey || e.key === 'Shift') checkSelection();
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const highlight = e.target.closest('.annotation');
+            if (!highlight || !window.getSelection().isCollapsed) return;
+
+            // Highlights inside takeaway links edit rather than navigate
+            e.preventDefault();
+            this.showEditor(highlight);
+        });
+
+        // Keep the selection alive while using the toolbar
+        this.toolbar.addEventListener('mousedown', (e) => e.preventDefault());
+        this.toolbar.addEventListener('click', (e) => this.handleToolbarClick(e));
+
+        document.addEventListener('mousedown', (e) => {
+            if (!this.toolbar.contains(e.target)) this.hideToolbar();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.hideToolbar();
+        });
+        this.container.addEventListener('scroll', () => this.hideToolbar());
+
+        document.addEventListener('annotations:changed', () => this.apply());
+    }
+
+    /**
+     * Offer the toolbar when a selection sits inside one annotatable element
+     */
+    handleSelection() {
+        const selection = window.getSelection();
+        if (selection.isCollapsed || selection.rangeCount === 0) return;
+
+        const range = selection.getRangeAt(0);
+        const element = range.commonAncestorContainer.nodeType === Node.ELEMENT_NODE
+            ? range.commonAncestorContainer.closest('[data-annotate]')
+            : range.commonAncestorContainer.parentElement.closest('[data-annotate]');
+        if (!element || !this.container.contains(element)) return;
+
+        const text = element.textContent;
+        let start = this.getOffset(element, range.startContainer, range.startOffset);
+        let end = this.getOffset(element, range.endContainer, range.endOffset);
+
+        // Leave surrounding whitespace out of the quote
+        while (start < end && /\s/.test(text[start])) start++;
+        while (end > start && /\s/.test(text[end - 1])) end--;
+        if (start === end) return;
+
+        this.pending = { location: element.dataset.annotate, text, start, end };
+        this.editing = null;
+        this.showToolbar(range.getBoundingClientRect(), '');
+    }
+
+    /**
+     * Count the characters of an element's text before a point
+     * @param {HTMLElement} element - Annotatable element
+     * @param {Node} node - Container of the point
+     * @param {number} offset - Offset in the container
+     * @returns {number} Text offset
+     */
+    getOffset(element, node, offset) {
+        const range = document.createRange();
+        range.selectNodeContents(element);
+        range.setEnd(node, offset);
+        return range.toString().length;
+    }
+
+    /**
+     * Open the toolbar for an existing highlight
+     * @param {HTMLElement} highlight - Highlight element
+     */
+    showEditor(highlight) {
+        const annotation = this.store.get(highlight.dataset.annotation);
+        if (!annotation) return;
+
+        this.pending = null;
+        this.editing = annotation;
+        this.showToolbar(highlight.getBoundingClientRect(), annotation.note);
+    }
+
+    /**
+     * Position and show the toolbar above a rectangle
+     * @param {DOMRect} rect - Selection or highlight rectangle
+     * @param {string} note - Note to show, if any
+     */
+    showToolbar(rect, note) {
+        this.toolbar.classList.toggle('editing', Boolean(this.editing));
+        this.toolbar.querySelector('.annotation-toolbar-note').textContent = note;
+        this.toolbar.querySelector('[data-annotation-action="note"]').title = this.editing?.note ? 'Edit note' : 'Add a note';
+        this.toolbar.querySelectorAll('.annotation-color').forEach(button => {
+            button.classList.toggle('active', this.editing?.color === button.dataset.color);
+        });
+
+        this.toolbar.classList.add('active');
+        const width = this.toolbar.offsetWidth;
+        const left = Math.min(Math.max(rect.left + rect.width / 2 - width / 2, 8), window.innerWidth - width - 8);
+        const top = rect.top - this.toolbar.offsetHeight - 8;
+
+        this.toolbar.style.left = `${left}px`;
+        this.toolbar.style.top = `${top < 8 ? rect.bottom + 8 : top}px`;
+    }
+
+    /**
+     * Hide the toolbar and forget what it was for
+     */
+    hideToolbar() {
+        this.toolbar.classList.remove('active');
+        this.pending = null;
+        this.editing = null;
+    }
+
+    /**
+     * Create, recolor, annotate or delete from the toolbar
+     * @param {Event} e - Click event
+     */
+    handleToolbarClick(e) {
+        const color = e.target.closest('.annotation-color')?.dataset.color;
+        const action = e.target.closest('[data-annotation-action]')?.dataset.annotationAction;
+        const { pending, editing } = this;
+
+        if (pending && (color || action === 'note')) {
+            let note = '';
+            if (action === 'note') {
+                note = prompt('Note for this highlight:');
+                if (note === null) return;
+            }
+
+            this.hideToolbar();
+            window.getSelection().removeAllRanges();
+            this.store.add(pending.location, pending.text, pending.start, pending.end, color || 'yellow', note);
+        } else if (editing && color) {
+            this.hideToolbar();
+            this.store.update(editing.id, { color });
+        } else if (editing && action === 'note') {
+            const note = prompt('Note for this highlight:', editing.note);
+            if (note === null) return;
+
+            this.hideToolbar();
+            this.store.update(editing.id, { note });
+        } else if (editing && action === 'delete') {
+            this.hideToolbar();
+            this.store.remove(editing.id);
+        }
+    }
+
+    /**
+     * Draw every saved highlight in the content panel. Called after each
+     * content render and whenever annotations change.
+     */
+    apply() {
+        this.clear();
+
+        const elements = [...this.container.querySelectorAll('[data-annotate]')];
+        if (elements.length === 0 || !this.store.hasAnnotations()) return;
+
+        const byLocation = new Map();
+        this.store.getAll().forEach(annotation => {
+            const resolved = this.store.resolve(annotation);
+            if (!resolved || resolved.pending) return;
+
+            if (!byLocation.has(resolved.location)) byLocation.set(resolved.location, []);
+            byLocation.get(resolved.location).push({ annotation, ...resolved });
+        });
+
+        elements.forEach(element => {
+            (byLocation.get(element.dataset.annotate) || [])
+                .sort((a, b) => a.start - b.start)
+                .forEach(({ annotation, start, end }) => this.wrap(element, start, end, annotation));
+        });
+    }
+
+    /**
+     * Remove drawn highlights, leaving the text as it was
+     */
+    clear() {
+        this.container.querySelectorAll('.annotation').forEach(span => {
+            const parent = span.parentNode;
+            span.replaceWith(...span.childNodes);
+            parent.normalize();
+        });
+    }
+
+    /**
+     * Wrap a span of an element's text in highlight elements, one per
+     * text node it crosses
+     * @param {HTMLElement} element - Annotatable element
+     * @param {number} start - Start offset
+     * @param {number} end - End offset
+     * @param {Object} annotation - Annotation
+     */
+    wrap(element, start, end, annotation) {
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        const pieces = [];
+        let position = 0;
+
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            const nodeStart = position;
+            const nodeEnd = position + node.nodeValue.length;
+            position = nodeEnd;
+
+            if (nodeEnd <= start || nodeStart >= end) continue;
+            pieces.push({ node, from: Math.max(start - nodeStart, 0), to: Math.min(end, nodeEnd) - nodeStart });
+        }
+
+        pieces.forEach(({ node, from, to }, index) => {
+            const target = node.splitText(from);
+            target.splitText(to - from);
+
+            const span = document.createElement('span');
+            span.className = `annotation annotation-${annotation.color}`;
+            span.dataset.annotation = annotation.id;
+            if (annotation.note) {
+                span.title = annotation.note;
+                if (index === pieces.length - 1) span.classList.add('has-note');
+            }
+
+            target.replaceWith(span);
+            span.appendChild(target);
+        });
+    }
+}
+
+// Add CSS for annotation styles
+const annotatorStyles = `
+    .annotation {
+        border-radius: 2px;
+        color: inherit;
+        cursor: pointer;
+    }
+
+    .annotation-yellow { background: rgba(241, 196, 15, 0.35); }
+    .annotation-green { background: rgba(46, 204, 113, 0.35); }
+    .annotation-blue { background: rgba(52, 152, 219, 0.35); }
+    .annotation-pink { background: rgba(232, 67, 147, 0.35); }
+
+    .annotation.has-note::after {
+        content: '\\f249';
+        font-family: 'Font Awesome 6 Free';
+        font-weight: 900;
+        font-size: 0.65em;
+        margin-left: 0.2em;
+        vertical-align: super;
+        color: var(--accent);
+    }
+
+    .annotation-toolbar {
+        position: fixed;
+        z-index: 3000;
+        display: none;
+        align-items: center;
+        gap: 0.35rem;
+        max-width: 320px;
+        padding: 0.35rem 0.5rem;
+        background: var(--bg-card);
+        border: 1px solid var(--border);
+        border-radius: 8px;
+        box-shadow: var(--shadow);
+    }
+
+    .annotation-toolbar.active {
+        display: flex;
+        flex-wrap: wrap;
+    }
+
+    .annotation-toolbar-note {
+        flex-basis: 100%;
+        color: var(--text-secondary);
+        font-size: 0.8rem;
+        white-space: pre-wrap;
+    }
+
+    .annotation-toolbar-note:empty {
+        display: none;
+    }
+
+    .annotation-color {
+        width: 20px;
+        height: 20px;
+        border: 2px solid transparent;
+        border-radius: 50%;
+        cursor: pointer;
+    }
+
+    .annotation-color.active,
+    .annotation-color:hover {
+        border-color: var(--text-primary);
+    }
+
+    .annotation-action {
+        padding: 0.2rem 0.4rem;
+        background: none;
+        border: none;
+        color: var(--text-secondary);
+        cursor: pointer;
+    }
+
+    .annotation-action:hover {
+        color: var(--text-primary);
+    }
+
+    .annotation-toolbar:not(.editing) [data-annotation-action="delete"] {
+        display: none;
+    }
+`;
+
+const annotatorStyleSheet = document.createElement('style');
+annotatorStyleSheet.textContent = annotatorStyles;
+document.head.appendChild(annotatorStyleSheet);
+
+// Make Annotator globally available
+window.Annotator = Annotator;
@@ -0,0 +1,417 @@
+/**
+ * Bookmarks Panel Module
+ * Lists bookmark collections and lets the reader switch, create,
+ * rename, delete, export and import them
+ */
+
+class BookmarksPanel {
+    constructor() {
+        this.openBtn = document.getElementById('openBookmarks');
+        this.modal = document.getElementById('bookmarksModal');
+        this.body = document.getElementById('bookmarksBody');
+        this.closeBtn = document.getElementById('closeBookmarksModal');
+        this.store = window.Bookmarks;
+        this.courseData = null;
+        this.status = '';
+
+        this.typeIcons = {
+            chapter: 'fa-book',
+            section: 'fa-folder',
+            takeaway: 'fa-key',
+            concept: 'fa-lightbulb'
+        };
+    }
+
+    /**
+     * Initialize the bookmarks panel
+     * @param {Object} courseData - Course data object
+     */
+    async init(courseData) {
+        this.courseData = courseData;
+
+        if (!this.modal || !this.body) {
+            console.error('Bookmarks panel not found');
+            return;
+        }
+
+        try {
+            this.attachEventListeners();
+            console.log('✅ Bookmarks initialized successfully');
+        } catch (error) {
+            console.error('❌ Error initializing bookmarks:', error);
+        }
+    }
+
+    /**
+     * Attach event listeners
+     */
+    attachEventListeners() {
+        this.openBtn?.addEventListener('click', () => this.open());
+        this.closeBtn?.addEventListener('click', () => this.close());
+
+        // Close on overlay click
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.close();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) this.close();
+        });
+
+        document.addEventListener('bookmarks:changed', () => {
+            if (this.isOpen()) this.render();
+        });
+
+        this.body.addEventListener('click', (e) => this.handleClick(e));
+
+        this.body.addEventListener('change', (e) => {
+            if (e.target.matches('.bookmark-move')) {
+                const item = e.target.closest('.bookmark-item');
+                this.store.move(item.dataset.location, this.store.getActiveCollection().id, e.target.value);
+            } else if (e.target.matches('.bookmarks-import-file')) {
+                this.importFile(e.target.files[0]);
+                e.target.value = '';
+            }
+        });
+    }
+
+    /**
+     * Handle clicks on panel buttons and items
+     * @param {Event} e - Click event
+     */
+    handleClick(e) {
+        const tab = e.target.closest('.collection-tab[data-collection]');
+        if (tab) {
+            this.store.setActiveCollection(tab.dataset.collection);
+            return;
+        }
+
+        const action = e.target.closest('[data-action]')?.dataset.action;
+        const collection = this.store.getActiveCollection();
+
+        if (action === 'new') {
+            const name = prompt('Name for the new collection:');
+            if (name) this.store.createCollection(name);
+        } else if (action === 'rename') {
+            const name = prompt('Rename collection:', collection.name);
+            if (name) this.store.renameCollection(collection.id, name);
+        } else if (action === 'delete') {
+            if (confirm(`Delete "${collection.name}" and its ${collection.items.length} bookmark(s)?`)) {
+                this.store.deleteCollection(collection.id);
+            }
+        } else if (action === 'export') {
+            this.download(this.store.exportCollections([collection.id]), collection.name);
+        } else if (action === 'export-all') {
+            this.download(this.store.exportCollections(), 'bookmarks');
+        } else if (action === 'import') {
+            this.body.querySelector('.bookmarks-import-file')?.click();
+        } else if (action === 'remove') {
+            this.store.remove(e.target.closest('.bookmark-item').dataset.location, collection.id);
+        } else if (e.target.closest('.bookmark-link')) {
+            const location = this.courseData.parseLocationId(e.target.closest('.bookmark-item').dataset.location);
+            if (location) {
+                this.close();
+                window.Router.navigate(window.Router.locationPath(location));
+            }
+        }
+    }
+
+    /**
+     * Show the panel
+     */
+    open() {
+        this.status = '';
+        this.render();
+        this.modal.classList.add('active');
+    }
+
+    /**
+     * Hide the panel
+     */
+    close() {
+        this.modal.classList.remove('active');
+    }
+
+    /**
+     * Check whether the panel is showing
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return this.modal.classList.contains('active');
+    }
+
+    /**
+     * Render collections and the active collection's bookmarks
+     */
+    render() {
+        const collections = this.store.getCollections();
+        const active = this.store.getActiveCollection();
+        const others = collections.filter(c => c.id !== active.id);
+
+        this.body.innerHTML = `
+            <div class="collection-tabs">
+                ${collections.map(c => `
+                    <button class="collection-tab ${c.id === active.id ? 'active' : ''}" data-collection="${c.id}">
+                        ${this.escapeHtml(c.name)}
+                        <span class="collection-count">${c.items.length}</span>
+                    </button>
+                `).join('')}
+                <button class="collection-tab new" data-action="new" title="New collection">
+                    <i class="fas fa-plus"></i>
+                </button>
+            </div>
+
+            <div class="collection-actions">
+                <button class="control-btn" data-action="rename" title="Rename collection">
+                    <i class="fas fa-pen"></i>
+                </button>
+                <button class="control-btn" data-action="delete" title="Delete collection">
+                    <i class="fas fa-trash"></i>
+                </button>
+                <button class="control-btn" data-action="export" title="Export this collection">
+                    <i class="fas fa-file-export"></i>
+                </button>
+                <button class="control-btn" data-action="export-all" title="Export all collections">
+                    <i class="fas fa-download"></i>
+                </button>
+                <button class="control-btn" data-action="import" title="Import collections">
+                    <i class="fas fa-file-import"></i>
+                </button>
+                <input type="file" class="bookmarks-import-file" accept=".json,application/json" hidden>
+            </div>
+
+            ${this.status ? `<div class="bookmarks-status">${this.escapeHtml(this.status)}</div>` : ''}
+
+            ${active.items.length === 0 ? `
+                <div class="no-results">
+                    <i class="far fa-bookmark"></i>
+                    <p>No bookmarks in this collection yet</p>
+                    <small>Use the bookmark button on any chapter, section, takeaway or concept</small>
+                </div>
+            ` : `
+                <div class="bookmark-list">
+                    ${active.items.map(item => `
+                        <div class="bookmark-item" data-location="${item.location}">
+                            <button class="bookmark-link">
+                                <i class="fas ${this.typeIcons[item.type] || 'fa-bookmark'}"></i>
+                                <span class="bookmark-text">
+                                    <span class="bookmark-label">${this.escapeHtml(item.label)}</span>
+                                    <small>${this.escapeHtml(item.context)}</small>
+                                </span>
+                            </button>
+                            ${others.length > 0 ? `
+                                <select class="bookmark-move" title="Move to collection">
+                                    <option value="" selected disabled>Move…</option>
+                                    ${others.map(c => `<option value="${c.id}">${this.escapeHtml(c.name)}</option>`).join('')}
+                                </select>
+                            ` : ''}
+                            <button class="icon-btn" data-action="remove" title="Remove bookmark">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        </div>
+                    `).join('')}
+                </div>
+            `}
+        `;
+    }
+
+    /**
+     * Save export data as a JSON file
+     * @param {Object} data - Export data
+     * @param {string} name - File name without extension
+     */
+    download(data, name) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'bookmarks'}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Import collections from a file chosen by the reader
+     * @param {File} file - JSON export file
+     */
+    async importFile(file) {
+        if (!file) return;
+
+        try {
+            const added = this.store.importCollections(await file.text());
+            this.status = `Imported ${added.bookmarks} bookmark${added.bookmarks !== 1 ? 's' : ''}` +
+                (added.collections ? ` into ${added.collections} new collection${added.collections !== 1 ? 's' : ''}` : '');
+        } catch (error) {
+            console.error('❌ Error importing bookmarks:', error);
+            this.status = `Could not import ${file.name}: ${error.message}`;
+        }
+        this.render();
+    }
+
+    /**
+     * Escape HTML
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Add CSS for bookmark styles
+const bookmarkStyles = `
+    .collection-tabs {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.5rem;
+        margin-bottom: 1rem;
+    }
+
+    .collection-tab {
+        display: inline-flex;
+        align-items: center;
+        gap: 0.5rem;
+        padding: 0.4rem 0.85rem;
+        border: 1px solid var(--border);
+        border-radius: 20px;
+        background: transparent;
+        color: var(--text-secondary);
+        font-size: 0.85rem;
+        cursor: pointer;
+        transition: var(--transition);
+    }
+
+    .collection-tab:hover,
+    .collection-tab.active {
+        border-color: var(--primary);
+        color: var(--text-primary);
+    }
+
+    .collection-tab.active {
+        background: var(--primary);
+        color: white;
+    }
+
+    .collection-count {
+        font-size: 0.75rem;
+        opacity: 0.75;
+    }
+
+    .collection-actions {
+        display: flex;
+        gap: 0.5rem;
+        margin-bottom: 1rem;
+    }
+
+    .collection-actions .control-btn {
+        width: auto;
+        padding: 0.5rem 0.75rem;
+    }
+
+    .bookmarks-status {
+        padding: 0.75rem 1rem;
+        margin-bottom: 1rem;
+        border-radius: 8px;
+        background: var(--bg-dark);
+        color: var(--text-secondary);
+        font-size: 0.85rem;
+    }
+
+    .bookmark-list {
+        display: grid;
+        gap: 0.5rem;
+    }
+
+    .bookmark-item {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        padding: 0.5rem;
+        border: 1px solid var(--border);
+        border-radius: 8px;
+        background: var(--bg-dark);
+    }
+
+    .bookmark-link {
+        flex: 1;
+        display: flex;
+        align-items: center;
+        gap: 0.75rem;
+        min-width: 0;
+        padding: 0.25rem 0.5rem;
+        background: none;
+        border: none;
+        color: var(--text-primary);
+        text-align: left;
+        cursor: pointer;
+    }
+
+    .bookmark-link > i {
+        color: var(--primary);
+    }
+
+    .bookmark-text {
+        display: flex;
+        flex-direction: column;
+        min-width: 0;
+    }
+
+    .bookmark-label {
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+    }
+
+    .bookmark-text small {
+        color: var(--text-muted);
+        font-size: 0.75rem;
+    }
+
+    .bookmark-move {
+        max-width: 7rem;
+        background: var(--bg-card);
+        color: var(--text-secondary);
+        border: 1px solid var(--border);
+        border-radius: 6px;
+        padding: 0.25rem;
+        font-size: 0.8rem;
+    }
+
+    .bookmark-toggle {
+        background: none;
+        border: none;
+        color: var(--text-muted);
+        cursor: pointer;
+        padding: 0.25rem;
+    }
+
+    .bookmark-toggle:hover,
+    .bookmark-toggle.bookmarked {
+        color: var(--accent);
+    }
+
+    .nav-chapter-header.bookmarked::after,
+    .nav-section.bookmarked::after {
+        content: '\\f02e';
+        font-family: 'Font Awesome 6 Free';
+        font-weight: 900;
+        font-size: 0.7rem;
+        color: var(--accent);
+        margin-left: 0.5rem;
+    }
+
+    .node-bookmark {
+        fill: var(--accent);
+        pointer-events: none;
+    }
+`;
+
+const bookmarkStyleSheet = document.createElement('style');
+bookmarkStyleSheet.textContent = bookmarkStyles;
+document.head.appendChild(bookmarkStyleSheet);
+
+// Make BookmarksPanel globally available
+window.BookmarksPanel = BookmarksPanel;
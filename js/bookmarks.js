@@ -0,0 +1,340 @@
+/**
+ * Bookmarks Module
+ * Stores bookmarked chapters, sections, takeaways and concepts in
+ * named collections, persisted in localStorage. Collections can be
+ * exported and imported as JSON to share reading lists.
+ *
+ * Dispatches `bookmarks:changed` on the document after every change.
+ */
+
+class BookmarkStore {
+    constructor() {
+        this.storageKey = 'ob_bookmarks';
+        this.exportFormat = 'ob-mindmap-bookmarks';
+        this.version = 1;
+
+        this.collections = [];
+        this.activeCollectionId = null;
+        this.load();
+    }
+
+    /**
+     * Read collections from localStorage, starting with an empty
+     * "Reading List" when nothing valid is stored
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved && Array.isArray(saved.collections)) {
+                this.collections = saved.collections
+                    .map(c => this.sanitizeCollection(c))
+                    .filter(Boolean);
+                this.activeCollectionId = saved.activeCollectionId;
+            }
+        } catch (error) {
+            console.error('❌ Error reading bookmarks:', error);
+        }
+
+        if (this.collections.length === 0) {
+            this.collections.push(this.createEmptyCollection('Reading List'));
+        }
+        if (!this.getCollection(this.activeCollectionId)) {
+            this.activeCollectionId = this.collections[0].id;
+        }
+    }
+
+    /**
+     * Persist collections and notify listeners
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                version: this.version,
+                activeCollectionId: this.activeCollectionId,
+                collections: this.collections
+            }));
+        } catch (error) {
+            console.error('❌ Error saving bookmarks:', error);
+        }
+
+        document.dispatchEvent(new CustomEvent('bookmarks:changed'));
+    }
+
+    /**
+     * Build a new, empty collection
+     * @param {string} name - Collection name
+     * @returns {Object} Collection
+     */
+    createEmptyCollection(name) {
+        return {
+            id: `c${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name,
+            items: []
+        };
+    }
+
+    /**
+     * Check a stored or imported collection, dropping malformed items
+     * @param {Object} collection - Raw collection
+     * @returns {Object|null} Clean collection, or null if unusable
+     */
+    sanitizeCollection(collection) {
+        if (!collection || typeof collection.name !== 'string' || !collection.name.trim()) {
+            return null;
+        }
+
+        const seen = new Set();
+        const items = (Array.isArray(collection.items) ? collection.items : [])
+            .filter(item => item && window.ContentData.parseLocationId(item.location))
+            .filter(item => !seen.has(item.location) && seen.add(item.location))
+            .map(item => ({
+                location: item.location,
+                type: typeof item.type === 'string' ? item.type : 'chapter',
+                label: typeof item.label === 'string' ? item.label : item.location,
+                context: typeof item.context === 'string' ? item.context : '',
+                addedAt: typeof item.addedAt === 'string' ? item.addedAt : new Date().toISOString()
+            }));
+
+        return {
+            id: typeof collection.id === 'string' && collection.id ? collection.id : this.createEmptyCollection('').id,
+            name: collection.name.trim(),
+            items
+        };
+    }
+
+    /**
+     * Get all collections
+     * @returns {Array} Collections
+     */
+    getCollections() {
+        return this.collections;
+    }
+
+    /**
+     * Get a collection by id
+     * @param {string} id - Collection id
+     * @returns {Object|null} Collection or null
+     */
+    getCollection(id) {
+        return this.collections.find(c => c.id === id) || null;
+    }
+
+    /**
+     * Get the collection new bookmarks are added to
+     * @returns {Object} Collection
+     */
+    getActiveCollection() {
+        return this.getCollection(this.activeCollectionId) || this.collections[0];
+    }
+
+    /**
+     * Choose the collection new bookmarks are added to
+     * @param {string} id - Collection id
+     */
+    setActiveCollection(id) {
+        if (!this.getCollection(id)) return;
+        this.activeCollectionId = id;
+        this.save();
+    }
+
+    /**
+     * Create a collection and make it active
+     * @param {string} name - Collection name
+     * @returns {Object|null} The new collection, or null if the name is empty
+     */
+    createCollection(name) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) return null;
+
+        const collection = this.createEmptyCollection(trimmed);
+        this.collections.push(collection);
+        this.activeCollectionId = collection.id;
+        this.save();
+        return collection;
+    }
+
+    /**
+     * Rename a collection
+     * @param {string} id - Collection id
+     * @param {string} name - New name
+     */
+    renameCollection(id, name) {
+        const collection = this.getCollection(id);
+        const trimmed = (name || '').trim();
+        if (!collection || !trimmed) return;
+
+        collection.name = trimmed;
+        this.save();
+    }
+
+    /**
+     * Delete a collection; the last remaining collection is emptied instead
+     * @param {string} id - Collection id
+     */
+    deleteCollection(id) {
+        const collection = this.getCollection(id);
+        if (!collection) return;
+
+        if (this.collections.length === 1) {
+            collection.items = [];
+        } else {
+            this.collections = this.collections.filter(c => c.id !== id);
+            if (this.activeCollectionId === id) {
+                this.activeCollectionId = this.collections[0].id;
+            }
+        }
+        this.save();
+    }
+
+    /**
+     * Bookmark a location
+     * @param {Object} location - Location from ContentData
+     * @param {string} collectionId - Target collection (defaults to the active one)
+     * @returns {boolean} False if the location does not exist
+     */
+    add(location, collectionId = this.activeCollectionId) {
+        const collection = this.getCollection(collectionId) || this.getActiveCollection();
+        const description = window.ContentData.describeLocation(location);
+        if (!description) return false;
+
+        const id = window.ContentData.getLocationId(location);
+        if (collection.items.some(item => item.location === id)) return true;
+
+        collection.items.push({
+            location: id,
+            type: description.type,
+            label: description.label,
+            context: description.context,
+            addedAt: new Date().toISOString()
+        });
+        this.save();
+        return true;
+    }
+
+    /**
+     * Remove a bookmark
+     * @param {string} locationId - Location id
+     * @param {string} collectionId - Collection to remove from; all collections if omitted
+     */
+    remove(locationId, collectionId = null) {
+        this.collections.forEach(collection => {
+            if (collectionId && collection.id !== collectionId) return;
+            collection.items = collection.items.filter(item => item.location !== locationId);
+        });
+        this.save();
+    }
+
+    /**
+     * Move a bookmark from one collection to another
+     * @param {string} locationId - Location id
+     * @param {string} fromId - Source collection id
+     * @param {string} toId - Target collection id
+     */
+    move(locationId, fromId, toId) {
+        const from = this.getCollection(fromId);
+        const to = this.getCollection(toId);
+        const item = from?.items.find(i => i.location === locationId);
+        if (!item || !to || from === to) return;
+
+        from.items = from.items.filter(i => i !== item);
+        if (!to.items.some(i => i.location === locationId)) {
+            to.items.push(item);
+        }
+        this.save();
+    }
+
+    /**
+     * Add the location to the active collection, or remove it from
+     * every collection if it is already bookmarked
+     * @param {Object} location - Location
+     * @returns {boolean} True if the location is now bookmarked
+     */
+    toggle(location) {
+        const id = window.ContentData.getLocationId(location);
+
+        if (this.isBookmarked(id)) {
+            this.remove(id);
+            return false;
+        }
+        return this.add(location);
+    }
+
+    /**
+     * Check whether a location is in any collection
+     * @param {string} locationId - Location id
+     * @returns {boolean} True if bookmarked
+     */
+    isBookmarked(locationId) {
+        return this.collections.some(c => c.items.some(item => item.location === locationId));
+    }
+
+    /**
+     * Get every bookmarked location id
+     * @returns {Set} Location ids
+     */
+    getBookmarkedIds() {
+        return new Set(this.collections.flatMap(c => c.items.map(item => item.location)));
+    }
+
+    /**
+     * Build an export file for some or all collections
+     * @param {Array} ids - Collection ids; all collections if omitted
+     * @returns {Object} Export data
+     */
+    exportCollections(ids = null) {
+        const collections = ids ? this.collections.filter(c => ids.includes(c.id)) : this.collections;
+
+        return {
+            format: this.exportFormat,
+            version: this.version,
+            exportedAt: new Date().toISOString(),
+            collections: collections.map(({ name, items }) => ({ name, items }))
+        };
+    }
+
+    /**
+     * Import collections from an export file. Collections whose name
+     * matches an existing one are merged into it.
+     * @param {string|Object} data - Export JSON text or parsed object
+     * @returns {Object} { collections, bookmarks } counts of what was added
+     */
+    importCollections(data) {
+        const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+
+        if (!parsed || parsed.format !== this.exportFormat || !Array.isArray(parsed.collections)) {
+            throw new Error('Not a bookmarks export file');
+        }
+        if (parsed.version > this.version) {
+            throw new Error(`Bookmarks file version ${parsed.version} is newer than this app supports`);
+        }
+
+        const added = { collections: 0, bookmarks: 0 };
+
+        parsed.collections.forEach(raw => {
+            const incoming = this.sanitizeCollection({ ...raw, id: null });
+            if (!incoming) return;
+
+            let target = this.collections.find(c => c.name.toLowerCase() === incoming.name.toLowerCase());
+            if (!target) {
+                target = this.createEmptyCollection(incoming.name);
+                this.collections.push(target);
+                added.collections++;
+            }
+
+            incoming.items.forEach(item => {
+                if (target.items.some(i => i.location === item.location)) return;
+                target.items.push(item);
+                added.bookmarks++;
+            });
+        });
+
+        this.save();
+        return added;
+    }
+}
+
+// Create and export singleton instance
+const bookmarkStore = new BookmarkStore();
+
+// Make it globally available
+window.Bookmarks = bookmarkStore;
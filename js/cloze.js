@@ -0,0 +1,459 @@
+/**
+ * Cloze Review Module
+ * Fill-in-the-blank review for a chapter's key takeaways. Terms from
+ * the concept names and the course vocabulary are blanked; the reader
+ * types an answer (checked with tolerant matching) or reveals the term.
+ */
+
+class ClozeReview {
+    constructor(courseData) {
+        this.courseData = courseData;
+        this.storageKey = 'ob_cloze_review';
+        this.enabled = localStorage.getItem(this.storageKey) === 'on';
+
+        // Blanks per takeaway; the longest matching terms win
+        this.maxBlanks = 3;
+
+        this.terms = null;
+
+        // Concept names grow as chapters load; a new course has new terms
+        document.addEventListener('content:chapterLoaded', () => { this.terms = null; });
+        document.addEventListener('content:chaptersLoaded', () => { this.terms = null; });
+        document.addEventListener('content:datasetChanged', () => { this.terms = null; });
+    }
+
+    /**
+     * Turn review mode on or off
+     * @param {boolean} enabled - Whether takeaways show blanks
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        localStorage.setItem(this.storageKey, enabled ? 'on' : 'off');
+    }
+
+    /**
+     * Get every term that can be blanked, longest first
+     * @returns {Array} Terms
+     */
+    getTerms() {
+        if (this.terms) return this.terms;
+
+        const names = [];
+        const addConcepts = sections => (sections || []).forEach(section => {
+            (section.concepts || []).forEach(concept => concept.name && names.push(concept.name));
+            addConcepts(section.subsections);
+        });
+        this.courseData.getChapters().forEach(chapter => addConcepts(chapter.sections));
+
+        const unique = new Map();
+        names.concat(this.courseData.getVocabulary()).forEach(term => {
+            const trimmed = term.trim();
+            if (trimmed.length > 1 && !unique.has(trimmed.toLowerCase())) unique.set(trimmed.toLowerCase(), trimmed);
+        });
+
+        this.terms = [...unique.values()].sort((a, b) => b.length - a.length);
+        return this.terms;
+    }
+
+    /**
+     * Split a takeaway into text and blanks
+     * @param {string} text - Takeaway text
+     * @returns {Array} Segments: { text } or { answer }
+     */
+    split(text) {
+        const found = [];
+
+        this.getTerms().forEach(term => {
+            const pattern = new RegExp(`(?<![\\w-])${this.escapeRegExp(term)}(?:e?s)?(?![\\w-])`, 'gi');
+            let match;
+            while ((match = pattern.exec(text))) {
+                const start = match.index;
+                const end = start + match[0].length;
+                if (!found.some(f => start < f.end && end > f.start)) {
+                    found.push({ start, end, answer: match[0] });
+                }
+            }
+        });
+
+        // Terms were tried longest first, so the first matches are the most specific
+        const blanks = found.slice(0, this.maxBlanks).sort((a, b) => a.start - b.start);
+        const segments = [];
+        let position = 0;
+
+        blanks.forEach(blank => {
+            if (blank.start > position) segments.push({ text: text.slice(position, blank.start) });
+            segments.push({ answer: blank.answer });
+            position = blank.end;
+        });
+        if (position < text.length) segments.push({ text: text.slice(position) });
+
+        return segments;
+    }
+
+    /**
+     * Render the takeaways of a chapter with blanks
+     * @param {Object} chapter - Chapter object
+     * @returns {string} HTML string
+     */
+    render(chapter) {
+        let blankCount = 0;
+
+        const cards = chapter.keyTakeaways.map((takeaway, i) => {
+            const body = this.split(takeaway).map(segment => {
+                if (segment.text !== undefined) return this.escapeHtml(segment.text);
+
+                blankCount++;
+                return `
+                    <span class="cloze-blank" data-answer="${this.escapeHtml(segment.answer)}">
+                        <input class="cloze-input" type="text" autocomplete="off" spellcheck="false"
+                               size="${Math.max(segment.answer.length, 4)}" aria-label="Blank ${blankCount}"
+                               title="Type the missing term and press Enter">
+                        <button class="cloze-reveal" title="Reveal this term" aria-label="Reveal blank ${blankCount}">
+                            <i class="fas fa-eye"></i>
+                        </button>
+                    </span>
+                `.trim();
+            }).join('');
+
+            return `
+                <div class="takeaway-card cloze-card" data-location="${chapter.chapter}:t${i}">
+                    <div class="takeaway-number">${i + 1}</div>
+                    <p>${body}</p>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="cloze-bar">
+                <span class="cloze-score" aria-live="polite">${this.formatScore(0, 0, blankCount)}</span>
+                <button class="control-btn" data-cloze="reveal-all" title="Reveal every blank">
+                    <i class="fas fa-eye"></i> Reveal all
+                </button>
+                <button class="control-btn" data-cloze="reset" title="Start over">
+                    <i class="fas fa-redo"></i> Reset
+                </button>
+            </div>
+            <div class="takeaways-grid">${cards}</div>
+        `;
+    }
+
+    /**
+     * Handle clicks and keys inside review mode. Attached once to the
+     * content container; ignores events from anywhere else.
+     * @param {HTMLElement} container - Content container
+     * @param {Function} rerender - Re-renders the takeaways block
+     */
+    attach(container, rerender) {
+        container.addEventListener('click', (e) => {
+            const reveal = e.target.closest('.cloze-reveal');
+            const action = e.target.closest('[data-cloze]')?.dataset.cloze;
+
+            if (reveal) {
+                this.reveal(reveal.closest('.cloze-blank'));
+                this.updateScore(container);
+            } else if (action === 'reveal-all') {
+                container.querySelectorAll('.cloze-blank:not(.correct):not(.revealed)')
+                    .forEach(blank => this.reveal(blank));
+                this.updateScore(container);
+            } else if (action === 'reset') {
+                rerender();
+            }
+        });
+
+        container.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' || !e.target.matches('.cloze-input')) return;
+
+            e.preventDefault();
+            this.check(e.target.closest('.cloze-blank'));
+            this.updateScore(container);
+        });
+    }
+
+    /**
+     * Check a typed answer
+     * @param {HTMLElement} blank - Blank element
+     */
+    check(blank) {
+        const input = blank.querySelector('.cloze-input');
+        if (!input.value.trim()) return;
+
+        if (this.isMatch(input.value, blank.dataset.answer)) {
+            this.fill(blank, 'correct');
+            this.focusNext(blank);
+        } else {
+            blank.classList.remove('wrong');
+            // Restart the shake animation on repeated misses
+            void blank.offsetWidth;
+            blank.classList.add('wrong');
+            input.select();
+        }
+    }
+
+    /**
+     * Show the answer for a blank
+     * @param {HTMLElement} blank - Blank element
+     */
+    reveal(blank) {
+        this.fill(blank, 'revealed');
+    }
+
+    /**
+     * Replace a blank's controls with its term
+     * @param {HTMLElement} blank - Blank element
+     * @param {string} state - 'correct' or 'revealed'
+     */
+    fill(blank, state) {
+        blank.classList.remove('wrong');
+        blank.classList.add(state);
+        blank.textContent = blank.dataset.answer;
+        blank.title = state === 'correct' ? 'Recalled' : 'Revealed';
+    }
+
+    /**
+     * Move to the next open blank after one is answered
+     * @param {HTMLElement} blank - Answered blank
+     */
+    focusNext(blank) {
+        const inputs = [...blank.closest('.takeaways-grid').querySelectorAll('.cloze-input')];
+        const next = inputs.find(input => blank.compareDocumentPosition(input) & Node.DOCUMENT_POSITION_FOLLOWING);
+        next?.focus();
+    }
+
+    /**
+     * Refresh the recalled / revealed count
+     * @param {HTMLElement} container - Content container
+     */
+    updateScore(container) {
+        const score = container.querySelector('.cloze-score');
+        if (!score) return;
+
+        score.textContent = this.formatScore(
+            container.querySelectorAll('.cloze-blank.correct').length,
+            container.querySelectorAll('.cloze-blank.revealed').length,
+            container.querySelectorAll('.cloze-blank').length
+        );
+    }
+
+    /**
+     * Describe progress through the blanks
+     * @param {number} correct - Blanks answered correctly
+     * @param {number} revealed - Blanks revealed
+     * @param {number} total - All blanks
+     * @returns {string} Progress text
+     */
+    formatScore(correct, revealed, total) {
+        return `${correct} of ${total} recalled` + (revealed ? ` · ${revealed} revealed` : '');
+    }
+
+    /**
+     * Compare an answer with a term, forgiving case, punctuation,
+     * a leading article, plurals and small typos
+     * @param {string} answer - Typed answer
+     * @param {string} expected - Blanked term
+     * @returns {boolean} True if close enough
+     */
+    isMatch(answer, expected) {
+        const a = this.normalize(answer);
+        const b = this.normalize(expected);
+        if (!a) return false;
+        if (a === b || this.singular(a) === this.singular(b)) return true;
+
+        const allowed = b.length >= 8 ? 2 : b.length >= 4 ? 1 : 0;
+        return this.editDistance(this.singular(a), this.singular(b), allowed) <= allowed;
+    }
+
+    /**
+     * Lowercase, strip accents and punctuation, drop a leading article
+     * @param {string} text - Text
+     * @returns {string} Normalized text
+     */
+    normalize(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim()
+            .replace(/^(the|a|an) /, '');
+    }
+
+    /**
+     * Drop plural endings word by word
+     * @param {string} text - Normalized text
+     * @returns {string} Singular form
+     */
+    singular(text) {
+        return text.split(' ').map(word => {
+            if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+            if (word.length > 3 && word.endsWith('es') && /(s|x|z|ch|sh)es$/.test(word)) return word.slice(0, -2);
+            if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+            return word;
+        }).join(' ');
+    }
+
+    /**
+     * Levenshtein distance, giving up once it exceeds a limit
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @param {number} limit - Largest distance of interest
+     * @returns {number} Distance, or limit + 1 if larger
+     */
+    editDistance(a, b, limit) {
+        if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            if (Math.min(...current) > limit) return limit + 1;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Escape a string for use in a regular expression
+     * @param {string} text - Text
+     * @returns {string} Escaped text
+     */
+    escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Escape HTML
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Add CSS for cloze review styles
+const clozeStyles = `
+    .cloze-toggle {
+        margin-left: auto;
+        padding: 0.3rem 0.75rem;
+        border: 1px solid var(--border);
+        border-radius: 20px;
+        background: transparent;
+        color: var(--text-secondary);
+        font-size: 0.8rem;
+        cursor: pointer;
+        transition: var(--transition);
+    }
+
+    .cloze-toggle:hover,
+    .cloze-toggle.active {
+        border-color: var(--primary);
+        color: var(--text-primary);
+    }
+
+    .cloze-toggle.active {
+        background: var(--primary);
+        color: white;
+    }
+
+    .cloze-bar {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        margin-bottom: 1rem;
+    }
+
+    .cloze-bar .control-btn {
+        width: auto;
+        padding: 0.4rem 0.75rem;
+        font-size: 0.8rem;
+    }
+
+    .cloze-score {
+        flex: 1;
+        color: var(--text-secondary);
+        font-size: 0.85rem;
+    }
+
+    .cloze-card {
+        cursor: default;
+    }
+
+    .cloze-card p {
+        line-height: 2;
+    }
+
+    .cloze-blank {
+        display: inline-flex;
+        align-items: center;
+        gap: 0.2rem;
+        vertical-align: baseline;
+    }
+
+    .cloze-input {
+        max-width: 100%;
+        padding: 0.1rem 0.35rem;
+        background: var(--bg-dark);
+        color: var(--text-primary);
+        border: none;
+        border-bottom: 2px solid var(--primary);
+        font: inherit;
+    }
+
+    .cloze-input:focus {
+        outline: none;
+        border-bottom-color: var(--accent);
+    }
+
+    .cloze-reveal {
+        padding: 0.1rem 0.25rem;
+        background: none;
+        border: none;
+        color: var(--text-muted);
+        font-size: 0.75rem;
+        cursor: pointer;
+    }
+
+    .cloze-reveal:hover {
+        color: var(--text-primary);
+    }
+
+    .cloze-blank.correct,
+    .cloze-blank.revealed {
+        padding: 0 0.3rem;
+        border-radius: 4px;
+        font-weight: 600;
+    }
+
+    .cloze-blank.correct {
+        background: rgba(46, 204, 113, 0.2);
+        color: #2ecc71;
+    }
+
+    .cloze-blank.revealed {
+        background: rgba(230, 126, 34, 0.2);
+        color: var(--accent);
+    }
+
+    .cloze-blank.wrong .cloze-input {
+        border-bottom-color: #e74c3c;
+        animation: cloze-shake 0.3s;
+    }
+
+    @keyframes cloze-shake {
+        25% { transform: translateX(-3px); }
+        75% { transform: translateX(3px); }
+    }
+`;
+
+const clozeStyleSheet = document.createElement('style');
+clozeStyleSheet.textContent = clozeStyles;
+document.head.appendChild(clozeStyleSheet);
+
+// Make ClozeReview globally available
+window.ClozeReview = ClozeReview;
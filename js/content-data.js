@@ -1,16 +1,47 @@
 /**
  * Content Data Module
- * Loads and manages course content from JSON file
+ * Loads and manages course content from JSON file.
+ * The course index is loaded up front; per-chapter detail from
+ * data/extracted/ is fetched and merged on demand.
  */
 
 class ContentData {
     constructor() {
         this.courseData = null;
         this.loadingPromise = null;
+
+        // Per-chapter detail
+        this.chapterPath = 'data/extracted';
+        this.chapterCache = new Map();
+        this.chapterRequests = new Map();
+
+        // Bumped when the dataset is replaced, so fetches still running
+        // for the previous course can tell their result is stale
+        this.datasetGeneration = 0;
+
+        // Chapters being fetched by a bulk load, announced together
+        this.quietLoads = new Set();
+
+        // Chapters announced with their own `content:chapterLoaded`, left
+        // out of any bulk event that was waiting on them too
+        this.announcedLoads = new Set();
+
+        // Schema validation results
+        this.validationErrors = [];
+
+        // Full-text search index, built once the course index loads
+        this.searchIndex = new window.SearchIndex();
+
+        // How each relation type reads from either end
+        this.relationTypes = {
+            'related-to': { label: 'Related to', inverse: 'Related to' },
+            'builds-on': { label: 'Builds on', inverse: 'Foundation for' },
+            'contrasts-with': { label: 'Contrasts with', inverse: 'Contrasts with' }
+        };
     }
 
     /**
-     * Load course content from JSON file
+     * Load course index from JSON file
      * @returns {Promise<Object>} Course data
      */
     async load() {
@@ -30,7 +61,10 @@ class ContentData {
                 return response.json();
             })
             .then(data => {
+                this.addValidationErrors(window.ContentSchema?.validateCourse(data) || []);
+                this.normalizeCourse(data);
                 this.courseData = data;
+                this.searchIndex.build(data.chapters);
                 console.log('✅ Course content loaded successfully', data);
                 return data;
             })
@@ -42,6 +76,248 @@ class ContentData {
         return this.loadingPromise;
     }
 
+    /**
+     * Load a chapter's detail file and merge it into the course data.
+     * Results are cached and concurrent requests share one fetch. If the
+     * chapter file is missing, the index entry is returned as-is.
+     * Dispatches `content:chapterLoaded` unless loaded quietly.
+     * @param {number} chapterNum - Chapter number
+     * @param {Object} [options] - { quiet: leave the event to the caller }
+     * @returns {Promise<Object|null>} Enriched chapter object or null
+     */
+    async loadChapter(chapterNum, { quiet = false } = {}) {
+        await this.load();
+
+        const chapter = this.getChapter(chapterNum);
+        if (!chapter) return null;
+
+        if (this.chapterCache.has(chapterNum)) {
+            return this.chapterCache.get(chapterNum);
+        }
+
+        if (this.chapterRequests.has(chapterNum)) {
+            // Someone waiting on this chapter alone still hears about it
+            if (!quiet) this.quietLoads.delete(chapterNum);
+            return this.chapterRequests.get(chapterNum);
+        }
+
+        if (quiet) this.quietLoads.add(chapterNum);
+
+        const generation = this.datasetGeneration;
+        const request = fetch(`${this.chapterPath}/chapter-${chapterNum}.json`)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(detail => {
+                if (generation !== this.datasetGeneration) return chapter;
+
+                const errors = window.ContentSchema?.validateChapter(detail, chapterNum) || [];
+                this.addValidationErrors(errors);
+
+                if (errors.some(err => err.severity === 'error')) {
+                    chapter.detailStatus = 'invalid';
+                    console.warn(`⚠️ Chapter ${chapterNum} detail failed validation, using course index`);
+                    return chapter;
+                }
+
+                this.mergeChapter(chapter, detail);
+                this.searchIndex.addChapter(chapter);
+                chapter.detailStatus = 'loaded';
+                console.log(`✅ Chapter ${chapterNum} detail loaded`);
+                return chapter;
+            })
+            .catch(error => {
+                // Fall back to the index entry so the chapter still renders
+                chapter.detailStatus = 'missing';
+                console.warn(`⚠️ Chapter ${chapterNum} detail unavailable, using course index:`, error.message);
+                return chapter;
+            })
+            .then(result => {
+                // The course was replaced while this was in flight
+                if (generation !== this.datasetGeneration) return result;
+
+                this.chapterCache.set(chapterNum, result);
+                this.chapterRequests.delete(chapterNum);
+
+                if (!this.quietLoads.delete(chapterNum)) {
+                    this.announcedLoads.add(chapterNum);
+                    document.dispatchEvent(new CustomEvent('content:chapterLoaded', {
+                        detail: { chapter: result, status: result.detailStatus }
+                    }));
+                }
+
+                return result;
+            });
+
+        this.chapterRequests.set(chapterNum, request);
+        return request;
+    }
+
+    /**
+     * Load detail for every chapter in the course index. Chapters that
+     * weren't loaded yet are announced in one `content:chaptersLoaded`
+     * event rather than one `content:chapterLoaded` each.
+     * @returns {Promise<Array>} Array of enriched chapter objects
+     */
+    async loadAllChapters() {
+        await this.load();
+
+        const generation = this.datasetGeneration;
+        const pending = this.getChapters().filter(ch => !this.chapterCache.has(ch.chapter) && !this.chapterRequests.has(ch.chapter));
+        const chapters = await Promise.all(this.getChapters().map(ch => this.loadChapter(ch.chapter, { quiet: true })));
+
+        const loaded = chapters.filter(chapter => pending.includes(chapter) && !this.announcedLoads.has(chapter.chapter));
+        if (loaded.length > 0 && generation === this.datasetGeneration) {
+            document.dispatchEvent(new CustomEvent('content:chaptersLoaded', {
+                detail: { chapters: loaded }
+            }));
+        }
+
+        return chapters;
+    }
+
+    /**
+     * Load every chapter's detail and return the whole course
+     * @returns {Promise<Object>} Course data with chapter detail merged in
+     */
+    async loadFullCourse() {
+        await this.loadAllChapters();
+        return this.courseData;
+    }
+
+    /**
+     * Replace the loaded course with another dataset, e.g. one imported
+     * from an outline file. Every chapter arrives with its detail, so
+     * nothing is fetched afterwards.
+     * Dispatches `content:datasetChanged` on the document.
+     * @param {Object} dataset - { course, chapters } where `course` is shaped
+     *     like course-content.json and `chapters` like data/extracted files
+     * @returns {Object} The new course data
+     */
+    useDataset({ course, chapters = [] }) {
+        const errors = [
+            ...window.ContentSchema.validateCourse(course),
+            ...chapters.flatMap(ch => window.ContentSchema.validateChapter(ch, ch?.chapter))
+        ];
+
+        const invalid = errors.filter(err => err.severity === 'error');
+        if (invalid.length > 0) {
+            const first = invalid[0];
+            const where = first.chapter ? `Chapter ${first.chapter}: ` : '';
+            throw new Error(`${where}${window.ContentSchema.formatPath(first.path)} ${first.message}` +
+                (invalid.length > 1 ? ` (and ${invalid.length - 1} more error${invalid.length > 2 ? 's' : ''})` : ''));
+        }
+
+        this.normalizeCourse(course);
+        this.validationErrors = [];
+        this.addValidationErrors(errors);
+
+        this.datasetGeneration++;
+        this.chapterCache.clear();
+        this.chapterRequests.clear();
+        this.quietLoads.clear();
+        this.announcedLoads.clear();
+
+        course.chapters.forEach(chapter => {
+            const detail = chapters.find(ch => ch.chapter === chapter.chapter);
+            if (detail) this.mergeChapter(chapter, detail);
+            chapter.detailStatus = 'loaded';
+            this.chapterCache.set(chapter.chapter, chapter);
+        });
+
+        this.courseData = course;
+        this.loadingPromise = Promise.resolve(course);
+        this.searchIndex.build(course.chapters);
+
+        console.log('✅ Course dataset replaced', course);
+        document.dispatchEvent(new CustomEvent('content:datasetChanged', { detail: { course } }));
+
+        return course;
+    }
+
+    /**
+     * Check whether a chapter's detail has been fetched
+     * @param {number} chapterNum - Chapter number
+     * @returns {boolean} True once the chapter has been loaded or fell back
+     */
+    isChapterLoaded(chapterNum) {
+        return this.chapterCache.has(chapterNum);
+    }
+
+    /**
+     * Record schema validation errors and log them
+     * @param {Array} errors - Errors from ContentSchema
+     */
+    addValidationErrors(errors) {
+        errors.forEach(err => {
+            const where = err.chapter ? `Chapter ${err.chapter}: ` : '';
+            const message = `${where}${window.ContentSchema.formatPath(err.path)} ${err.message}`;
+
+            if (err.severity === 'warning') {
+                console.warn('⚠️ Content warning:', message);
+            } else {
+                console.error('❌ Content error:', message);
+            }
+        });
+
+        this.validationErrors.push(...errors);
+    }
+
+    /**
+     * Get validation errors for one chapter
+     * @param {number} chapterNum - Chapter number
+     * @returns {Array} Array of errors
+     */
+    getChapterErrors(chapterNum) {
+        return this.validationErrors.filter(err => err.chapter === chapterNum);
+    }
+
+    /**
+     * Fill in empty collections where the data is malformed, so a bad
+     * entry renders as missing rather than crashing lookups
+     * @param {Object} data - Course data
+     */
+    normalizeCourse(data) {
+        if (!Array.isArray(data.parts)) data.parts = [];
+        if (!Array.isArray(data.chapters)) data.chapters = [];
+
+        data.parts = data.parts.filter(part => part && typeof part === 'object');
+        data.parts.forEach(part => {
+            if (!Array.isArray(part.chapters)) part.chapters = [];
+        });
+
+        data.chapters = data.chapters.filter(ch => ch && typeof ch === 'object');
+
+        data.relations = (Array.isArray(data.relations) ? data.relations : []).filter(relation =>
+            relation && this.relationTypes[relation.type] &&
+            this.parseLocationId(relation.from) && this.parseLocationId(relation.to));
+
+        data.vocabulary = (Array.isArray(data.vocabulary) ? data.vocabulary : [])
+            .filter(term => typeof term === 'string' && term.trim());
+    }
+
+    /**
+     * Merge a chapter detail file into the index entry in place, so every
+     * module holding a reference to the chapter sees the new fields
+     * @param {Object} chapter - Chapter object from the course index
+     * @param {Object} detail - Chapter object from data/extracted
+     */
+    mergeChapter(chapter, detail) {
+        if (!detail || detail.chapter !== chapter.chapter) {
+            throw new Error(`Chapter file does not match chapter ${chapter.chapter}`);
+        }
+
+        Object.keys(detail).forEach(key => {
+            const value = detail[key];
+            if (value === undefined || value === null) return;
+            if (Array.isArray(value) && value.length === 0 && chapter[key]?.length) return;
+            chapter[key] = value;
+        });
+    }
+
     /**
      * Get all course parts
      * @returns {Array} Array of course parts
@@ -83,139 +359,288 @@ class ContentData {
      */
     getChaptersByPart(partNum) {
         const part = this.getPart(partNum);
-        if (!part) return [];
+        if (!part || !Array.isArray(part.chapters)) return [];
 
         return part.chapters.map(chNum => this.getChapter(chNum)).filter(Boolean);
     }
 
+    /**
+     * Get the part a chapter belongs to
+     * @param {number} chapterNum - Chapter number
+     * @returns {Object|null} Part object or null
+     */
+    getPartForChapter(chapterNum) {
+        return this.getParts().find(p => p.chapters.includes(chapterNum)) || null;
+    }
+
+    /**
+     * Get the chapters in a study scope such as a flashcard deck or quiz
+     * @param {string} scope - 'all', 'part-N' or 'chapter-N'
+     * @returns {Array} Array of chapter objects
+     */
+    getScopeChapters(scope) {
+        const [kind, number] = scope.split('-');
+
+        if (kind === 'part') return this.getChaptersByPart(parseInt(number));
+        if (kind === 'chapter') return [this.getChapter(parseInt(number))].filter(Boolean);
+        return this.getChapters();
+    }
+
+    /**
+     * Name a study scope for headings
+     * @param {string} scope - 'all', 'part-N' or 'chapter-N'
+     * @returns {string} Scope name
+     */
+    getScopeName(scope) {
+        const [kind, number] = scope.split('-');
+
+        if (kind === 'part') return `Part ${number}: ${this.getPart(parseInt(number))?.title || ''}`;
+        if (kind === 'chapter') return `Chapter ${number}: ${this.getChapter(parseInt(number))?.title || ''}`;
+        return 'All chapters';
+    }
+
+    /**
+     * Get a section by its index path within a chapter
+     * @param {number} chapterNum - Chapter number
+     * @param {Array} sectionPath - Index path, e.g. [0, 1] for the second subsection of the first section
+     * @returns {Object|null} Section object or null
+     */
+    getSection(chapterNum, sectionPath) {
+        return this.getSectionTrail(chapterNum, sectionPath)?.pop() || null;
+    }
+
+    /**
+     * Get a section and all of its parent sections
+     * @param {number} chapterNum - Chapter number
+     * @param {Array} sectionPath - Index path
+     * @returns {Array|null} Sections from the top level down, or null if the path does not exist
+     */
+    getSectionTrail(chapterNum, sectionPath) {
+        const chapter = this.getChapter(chapterNum);
+        if (!chapter || !sectionPath || sectionPath.length === 0) return null;
+
+        const trail = [];
+        let sections = chapter.sections;
+        for (const index of sectionPath) {
+            const section = Array.isArray(sections) ? sections[index] : null;
+            if (!section) return null;
+            trail.push(section);
+            sections = section.subsections;
+        }
+
+        return trail;
+    }
+
     /**
      * Search content across all chapters
      * @param {string} query - Search query
-     * @returns {Array} Array of search results
+     * @returns {Array} Array of search results, most relevant first
      */
     search(query) {
-        if (!query || !this.courseData) return [];
+        return this.searchWithSuggestion(query).results;
+    }
 
-        const results = [];
-        const lowerQuery = query.toLowerCase();
+    /**
+     * Search with typo tolerance, also returning a "did you mean"
+     * correction when the best hits come from corrected words
+     * @param {string|Object} query - Search query or result of SearchQuery.parse()
+     * @returns {Object} { results, suggestion }
+     */
+    searchWithSuggestion(query) {
+        if (!query || !this.courseData) return { results: [], suggestion: null };
 
-        this.courseData.chapters.forEach(chapter => {
-            // Search in chapter title
-            if (chapter.title.toLowerCase().includes(lowerQuery)) {
-                results.push({
-                    type: 'chapter',
-                    chapter: chapter.chapter,
-                    title: chapter.title,
-                    match: chapter.title,
-                    context: chapter.overview
-                });
-            }
+        const parsed = typeof query === 'string' ? this.parseSearchQuery(query) : query;
 
-            // Search in overview
-            if (chapter.overview?.toLowerCase().includes(lowerQuery)) {
-                results.push({
-                    type: 'overview',
-                    chapter: chapter.chapter,
-                    title: chapter.title,
-                    match: 'Overview',
-                    context: this.getContextSnippet(chapter.overview, lowerQuery)
-                });
-            }
+        return this.searchIndex.searchWithSuggestion(parsed, {
+            filter: this.buildSearchFilter(parsed.filters)
+        });
+    }
 
-            // Search in key takeaways
-            chapter.keyTakeaways?.forEach((takeaway, index) => {
-                if (takeaway.toLowerCase().includes(lowerQuery)) {
-                    results.push({
-                        type: 'takeaway',
-                        chapter: chapter.chapter,
-                        title: chapter.title,
-                        match: `Key Takeaway #${index + 1}`,
-                        context: takeaway
-                    });
-                }
-            });
+    /**
+     * Parse a search query the way search() reads it
+     * @param {string} query - Search query
+     * @returns {Object} Result of SearchQuery.parse()
+     */
+    parseSearchQuery(query) {
+        return this.searchIndex.parseQuery(query);
+    }
 
-            // Search in sections (if available)
-            if (chapter.sections) {
-                this.searchSections(chapter.sections, chapter, lowerQuery, results);
+    /**
+     * Turn chapter:, part: and type: filters into a result predicate
+     * @param {Array} filters - Parsed filters
+     * @returns {Function|null} Predicate, or null if there is nothing to filter
+     */
+    buildSearchFilter(filters) {
+        const active = filters.filter(f => f.valid);
+        if (active.length === 0) return null;
+
+        const tests = active.map(f => {
+            let test;
+            if (f.field === 'chapter') {
+                test = result => f.values.includes(result.chapter);
+            } else if (f.field === 'part') {
+                const chapters = f.values.flatMap(partNum => this.getPart(partNum)?.chapters || []);
+                test = result => chapters.includes(result.chapter);
+            } else {
+                test = result => f.values.includes(result.type);
             }
+            return f.negate ? result => !test(result) : test;
         });
 
-        return results;
+        return result => tests.every(test => test(result));
     }
 
     /**
-     * Recursively search through sections
-     * @param {Array} sections - Array of sections
-     * @param {Object} chapter - Chapter object
-     * @param {string} query - Search query (lowercase)
-     * @param {Array} results - Results array to populate
+     * Build a stable id for a location in the course content, e.g.
+     * "3", "3:overview", "3:t4", "3:s0.1" or "3:s0.1:c2"
+     * @param {Object} location - { chapter, field?, takeaway?, section?, concept? }
+     * @returns {string} Location id
      */
-    searchSections(sections, chapter, query, results) {
-        sections.forEach(section => {
-            // Search in section title
-            if (section.title?.toLowerCase().includes(query)) {
-                results.push({
-                    type: 'section',
-                    chapter: chapter.chapter,
-                    title: chapter.title,
-                    match: section.title,
-                    context: section.content || ''
-                });
-            }
+    getLocationId(location) {
+        let id = `${location.chapter}`;
+        if (location.field) id += `:${location.field}`;
+        if (location.takeaway !== undefined) id += `:t${location.takeaway}`;
+        if (location.section) id += `:s${location.section.join('.')}`;
+        if (location.concept !== undefined) id += `:c${location.concept}`;
+        return id;
+    }
 
-            // Search in section content
-            if (section.content?.toLowerCase().includes(query)) {
-                results.push({
-                    type: 'content',
-                    chapter: chapter.chapter,
-                    title: chapter.title,
-                    match: section.title,
-                    context: this.getContextSnippet(section.content, query)
-                });
+    /**
+     * Parse a location id back into a location
+     * @param {string} id - Location id
+     * @returns {Object|null} Location or null if malformed
+     */
+    parseLocationId(id) {
+        const match = /^(\d+)(?::(overview))?(?::t(\d+))?(?::s(\d+(?:\.\d+)*))?(?::c(\d+))?$/.exec(id || '');
+        if (!match) return null;
+
+        const location = { chapter: parseInt(match[1]) };
+        if (match[2]) location.field = match[2];
+        if (match[3] !== undefined) location.takeaway = parseInt(match[3]);
+        if (match[4] !== undefined) location.section = match[4].split('.').map(Number);
+        if (match[5] !== undefined) location.concept = parseInt(match[5]);
+        return location;
+    }
+
+    /**
+     * List a location and its containers, most specific first, so a view
+     * can fall back to the nearest element it actually renders
+     * @param {Object} location - Location
+     * @returns {Array} Location ids
+     */
+    getLocationAncestors(location) {
+        const ids = [this.getLocationId(location)];
+
+        if (location.concept !== undefined) {
+            ids.push(this.getLocationId({ chapter: location.chapter, section: location.section }));
+        }
+
+        if (location.section) {
+            for (let depth = location.section.length - 1; depth > 0; depth--) {
+                ids.push(this.getLocationId({ chapter: location.chapter, section: location.section.slice(0, depth) }));
             }
+        }
 
-            // Search in concepts
-            section.concepts?.forEach(concept => {
-                if (concept.name?.toLowerCase().includes(query) ||
-                    concept.definition?.toLowerCase().includes(query)) {
-                    results.push({
-                        type: 'concept',
-                        chapter: chapter.chapter,
-                        title: chapter.title,
-                        match: concept.name,
-                        context: concept.definition
-                    });
-                }
-            });
+        if (ids[ids.length - 1] !== `${location.chapter}`) {
+            ids.push(`${location.chapter}`);
+        }
 
-            // Recursively search subsections
-            if (section.subsections && section.subsections.length > 0) {
-                this.searchSections(section.subsections, chapter, query, results);
+        return ids;
+    }
+
+    /**
+     * Describe a location for lists such as bookmarks
+     * @param {Object} location - Location
+     * @returns {Object|null} { type, label, context }, or null if the location does not exist
+     */
+    describeLocation(location) {
+        const chapter = this.getChapter(location.chapter);
+        if (!chapter) return null;
+
+        const context = `Chapter ${chapter.chapter}: ${chapter.title}`;
+
+        if (location.takeaway !== undefined) {
+            const takeaway = chapter.keyTakeaways?.[location.takeaway];
+            return takeaway ? { type: 'takeaway', label: takeaway, context } : null;
+        }
+
+        if (location.section) {
+            const section = this.getSection(chapter.chapter, location.section);
+            if (!section) return null;
+
+            if (location.concept !== undefined) {
+                const concept = section.concepts?.[location.concept];
+                return concept ? { type: 'concept', label: concept.name, context: `${context} › ${section.title}` } : null;
             }
-        });
+            return { type: 'section', label: section.title, context };
+        }
+
+        return { type: 'chapter', label: chapter.title, context: `Chapter ${chapter.chapter}` };
     }
 
     /**
-     * Get context snippet around search query
-     * @param {string} text - Full text
-     * @param {string} query - Search query (lowercase)
-     * @returns {string} Context snippet
+     * Get the course vocabulary: key terms beyond the concept names
+     * @returns {Array} Terms
      */
-    getContextSnippet(text, query) {
-        const lowerText = text.toLowerCase();
-        const index = lowerText.indexOf(query);
+    getVocabulary() {
+        return this.courseData?.vocabulary || [];
+    }
 
-        if (index === -1) return text.substring(0, 150) + '...';
+    /**
+     * Get the relations between content items, with parsed endpoints
+     * @returns {Array} Array of { type, note, from, to } with locations
+     */
+    getRelations() {
+        return (this.courseData?.relations || []).map(relation => ({
+            type: relation.type,
+            note: relation.note || '',
+            from: this.parseLocationId(relation.from),
+            to: this.parseLocationId(relation.to)
+        }));
+    }
 
-        const start = Math.max(0, index - 60);
-        const end = Math.min(text.length, index + query.length + 90);
+    /**
+     * Get the relations touching a location or anything inside it, so a
+     * chapter also lists the links of its takeaways and sections. Links
+     * to the same item are combined, and links whose other end does not
+     * exist (yet) are left out.
+     * @param {Object} location - Location
+     * @returns {Array} Array of { type, label, notes, other, incoming }
+     */
+    getRelationsFor(location) {
+        const entries = new Map();
+
+        const add = (relation, other, incoming) => {
+            const key = `${incoming}|${relation.type}|${this.getLocationId(other)}`;
+            if (!entries.has(key)) {
+                const { label, inverse } = this.relationTypes[relation.type];
+                entries.set(key, { type: relation.type, label: incoming ? inverse : label, notes: [], other, incoming });
+            }
+            if (relation.note) entries.get(key).notes.push(relation.note);
+        };
 
-        let snippet = text.substring(start, end);
-        if (start > 0) snippet = '...' + snippet;
-        if (end < text.length) snippet = snippet + '...';
+        this.getRelations().forEach(relation => {
+            if (this.isWithinLocation(relation.from, location)) add(relation, relation.to, false);
+            if (this.isWithinLocation(relation.to, location)) add(relation, relation.from, true);
+        });
+
+        return [...entries.values()].filter(entry => this.describeLocation(entry.other));
+    }
 
-        return snippet;
+    /**
+     * Check whether a location is another location or inside it
+     * @param {Object} inner - Location to test
+     * @param {Object} outer - Containing location
+     * @returns {boolean} True if inner is outer or part of it
+     */
+    isWithinLocation(inner, outer) {
+        if (inner.chapter !== outer.chapter) return false;
+        if (outer.takeaway !== undefined) return inner.takeaway === outer.takeaway;
+        if (!outer.section) return true;
+
+        if (!inner.section || !outer.section.every((index, depth) => inner.section[depth] === index)) return false;
+        return outer.concept === undefined ||
+            (inner.section.length === outer.section.length && inner.concept === outer.concept);
     }
 
     /**
@@ -275,9 +700,11 @@ class ContentData {
 
     /**
      * Get flattened list of all content items for mind map
-     * @returns {Array} Array of content items with hierarchy info
+     * @param {Object} options - What to include
+     * @param {string} options.chapterChildren - 'takeaways', 'sections' or 'both'
+     * @returns {Array} Array of content items with hierarchy info, parents before children
      */
-    getFlattenedContent() {
+    getFlattenedContent({ chapterChildren = 'both' } = {}) {
         const items = [];
 
         // Add root with explicit level for vis.js hierarchical layout
@@ -315,25 +742,97 @@ class ContentData {
                     parent: partId,
                     color: part.color,
                     chapterNumber: chapter.chapter,
+                    description: chapter.overview,
                     data: chapter
                 });
 
-                // Add main topics from key takeaways (first 5)
-                chapter.keyTakeaways?.slice(0, 5).forEach((takeaway, index) => {
-                    items.push({
-                        id: `${chapterId}-takeaway-${index}`,
-                        label: takeaway.substring(0, 60) + (takeaway.length > 60 ? '...' : ''),
-                        type: 'takeaway',
-                        level: 3,
-                        parent: chapterId,
-                        color: part.color
+                if (chapterChildren !== 'sections') {
+                    chapter.keyTakeaways?.forEach((takeaway, index) => {
+                        items.push({
+                            id: `${chapterId}-takeaway-${index}`,
+                            label: takeaway,
+                            type: 'takeaway',
+                            level: 3,
+                            parent: chapterId,
+                            color: part.color,
+                            chapterNumber: chapter.chapter,
+                            takeawayIndex: index
+                        });
                     });
-                });
+                }
+
+                if (chapterChildren !== 'takeaways') {
+                    this.flattenSections(chapter.sections, chapter.chapter, chapterId, [], part.color, items);
+                }
             });
         });
 
         return items;
     }
+
+    /**
+     * Add mind map items for a section tree: sections, their concepts
+     * and the concepts' examples
+     * @param {Array} sections - Sections or subsections
+     * @param {number} chapterNum - Chapter number
+     * @param {string} parentId - Id of the parent item
+     * @param {Array} path - Index path of the parent section
+     * @param {string} color - Part color
+     * @param {Array} items - Items to append to
+     */
+    flattenSections(sections, chapterNum, parentId, path, color, items) {
+        if (!Array.isArray(sections)) return;
+
+        sections.forEach((section, index) => {
+            const sectionPath = path.concat(index);
+            const sectionId = `chapter-${chapterNum}-s${sectionPath.join('.')}`;
+            const level = sectionPath.length + 2;
+
+            items.push({
+                id: sectionId,
+                label: section.title,
+                type: 'section',
+                level,
+                parent: parentId,
+                color,
+                chapterNumber: chapterNum,
+                sectionPath,
+                description: section.content
+            });
+
+            section.concepts?.forEach((concept, conceptIndex) => {
+                const conceptId = `${sectionId}-c${conceptIndex}`;
+                items.push({
+                    id: conceptId,
+                    label: concept.name,
+                    type: 'concept',
+                    level: level + 1,
+                    parent: sectionId,
+                    color,
+                    chapterNumber: chapterNum,
+                    sectionPath,
+                    conceptIndex,
+                    description: concept.definition
+                });
+
+                concept.examples?.forEach((example, exampleIndex) => {
+                    items.push({
+                        id: `${conceptId}-e${exampleIndex}`,
+                        label: example,
+                        type: 'example',
+                        level: level + 2,
+                        parent: conceptId,
+                        color,
+                        chapterNumber: chapterNum,
+                        sectionPath,
+                        conceptIndex
+                    });
+                });
+            });
+
+            this.flattenSections(section.subsections, chapterNum, sectionId, sectionPath, color, items);
+        });
+    }
 }
 
 // Create and export singleton instance
@@ -0,0 +1,513 @@
+/**
+ * Content Schema Module
+ * Formal shape of the course data and a validator shared by the
+ * browser (ContentData) and the Node validation command.
+ */
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Location ids a relation can point at: a chapter, its overview, a key
+// takeaway, a section or a concept (see ContentData.getLocationId)
+const LOCATION_ID_PATTERN = /^\d+(?::overview|:t\d+|:s\d+(?:\.\d+)*(?::c\d+)?)?$/;
+
+const RELATION_TYPES = ['related-to', 'builds-on', 'contrasts-with'];
+
+/**
+ * Schema definitions, one per content shape. Properties reference
+ * other shapes with `ref`; arrays describe their items with `items`.
+ */
+const CONTENT_SCHEMA = {
+    course: {
+        type: 'object',
+        required: ['courseTitle', 'parts', 'chapters'],
+        properties: {
+            courseTitle: { type: 'string' },
+            courseLevel: { type: 'string' },
+            university: { type: 'string' },
+            instructor: { type: 'string' },
+            date: { type: 'string' },
+            parts: { type: 'array', items: { ref: 'part' } },
+            chapters: { type: 'array', items: { ref: 'chapter' } },
+            relations: { type: 'array', items: { ref: 'relation' } },
+            vocabulary: { type: 'array', items: { type: 'string' } }
+        }
+    },
+    relation: {
+        type: 'object',
+        required: ['from', 'to', 'type'],
+        properties: {
+            from: { type: 'string', pattern: LOCATION_ID_PATTERN },
+            to: { type: 'string', pattern: LOCATION_ID_PATTERN },
+            type: { type: 'string', enum: RELATION_TYPES },
+            note: { type: 'string' }
+        }
+    },
+    part: {
+        type: 'object',
+        required: ['part', 'title', 'color', 'chapters'],
+        properties: {
+            part: { type: 'integer', minimum: 1 },
+            title: { type: 'string' },
+            color: { type: 'string', pattern: HEX_COLOR_PATTERN },
+            chapters: { type: 'array', items: { type: 'integer', minimum: 1 } }
+        }
+    },
+    chapter: {
+        type: 'object',
+        required: ['chapter', 'title'],
+        properties: {
+            chapter: { type: 'integer', minimum: 1 },
+            title: { type: 'string' },
+            overview: { type: 'string' },
+            keyTakeaways: { type: 'array', items: { type: 'string' } },
+            sections: { type: 'array', items: { ref: 'section' } },
+            totalPages: { type: 'integer', minimum: 0 }
+        }
+    },
+    section: {
+        type: 'object',
+        required: ['title'],
+        properties: {
+            title: { type: 'string' },
+            level: { type: 'integer', minimum: 1 },
+            content: { type: 'string' },
+            concepts: { type: 'array', items: { ref: 'concept' } },
+            subsections: { type: 'array', items: { ref: 'subsection' } }
+        }
+    },
+    subsection: {
+        type: 'object',
+        required: ['title'],
+        properties: {
+            title: { type: 'string' },
+            level: { type: 'integer', minimum: 2 },
+            content: { type: 'string' },
+            concepts: { type: 'array', items: { ref: 'concept' } },
+            subsections: { type: 'array', items: { ref: 'subsection' } }
+        }
+    },
+    concept: {
+        type: 'object',
+        required: ['name', 'definition'],
+        properties: {
+            name: { type: 'string' },
+            definition: { type: 'string' },
+            examples: { type: 'array', items: { type: 'string' } }
+        }
+    }
+};
+
+class ContentSchema {
+    constructor() {
+        this.schema = CONTENT_SCHEMA;
+        this.relationTypes = RELATION_TYPES;
+    }
+
+    /**
+     * Format a path array as `chapters[0].sections[1].title`
+     * @param {Array} path - Path segments (strings and indexes)
+     * @returns {string} Dotted path
+     */
+    formatPath(path) {
+        return path.reduce((out, key) => {
+            if (typeof key === 'number') return `${out}[${key}]`;
+            return out ? `${out}.${key}` : key;
+        }, '') || '(root)';
+    }
+
+    /**
+     * Describe the JSON type of a value
+     * @param {*} value - Any value
+     * @returns {string} Type name
+     */
+    typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    /**
+     * Validate a value against a schema node
+     * @param {*} value - Value to check
+     * @param {Object} rule - Schema node (or `{ ref }`)
+     * @param {Array} path - Path of the value
+     * @param {Array} errors - Errors array to populate
+     */
+    check(value, rule, path, errors) {
+        if (rule.ref) {
+            this.check(value, this.schema[rule.ref], path, errors);
+            return;
+        }
+
+        const actual = this.typeOf(value);
+        const typeMatches = rule.type === actual ||
+            (rule.type === 'number' && actual === 'integer');
+
+        if (!typeMatches) {
+            errors.push(this.createError(path, `expected ${rule.type}, got ${actual}`));
+            return;
+        }
+
+        if (rule.type === 'string' && value.trim() === '') {
+            errors.push(this.createError(path, 'must not be empty'));
+        }
+
+        if (rule.pattern && !rule.pattern.test(value)) {
+            errors.push(this.createError(path, `"${value}" does not match ${rule.pattern}`));
+        }
+
+        if (rule.enum && !rule.enum.includes(value)) {
+            errors.push(this.createError(path, `"${value}" must be one of ${rule.enum.join(', ')}`));
+        }
+
+        if (rule.minimum !== undefined && value < rule.minimum) {
+            errors.push(this.createError(path, `must be >= ${rule.minimum}, got ${value}`));
+        }
+
+        if (rule.type === 'array' && rule.items) {
+            value.forEach((item, index) => this.check(item, rule.items, path.concat(index), errors));
+        }
+
+        if (rule.type === 'object') {
+            (rule.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    errors.push(this.createError(path.concat(key), 'is required'));
+                }
+            });
+
+            Object.keys(rule.properties || {}).forEach(key => {
+                if (value[key] !== undefined) {
+                    this.check(value[key], rule.properties[key], path.concat(key), errors);
+                }
+            });
+        }
+    }
+
+    /**
+     * Build an error record
+     * @param {Array} path - Path segments
+     * @param {string} message - Error message
+     * @param {string} severity - 'error' or 'warning'
+     * @returns {Object} Error record
+     */
+    createError(path, message, severity = 'error') {
+        return { path, message, severity, chapter: null };
+    }
+
+    /**
+     * Check that nested subsections are deeper than their parent section
+     * @param {Array} sections - Sections to check
+     * @param {number} parentLevel - Level of the containing section
+     * @param {Array} path - Path of the sections array
+     * @param {Array} errors - Errors array to populate
+     */
+    checkSectionLevels(sections, parentLevel, path, errors) {
+        if (!Array.isArray(sections)) return;
+
+        sections.forEach((section, index) => {
+            if (!section || typeof section !== 'object') return;
+            const sectionPath = path.concat(index);
+
+            if (Number.isInteger(section.level) && parentLevel && section.level <= parentLevel) {
+                errors.push(this.createError(sectionPath.concat('level'),
+                    `subsection level ${section.level} must be deeper than parent level ${parentLevel}`));
+            }
+
+            const level = Number.isInteger(section.level) ? section.level : (parentLevel || 0) + 1;
+            this.checkSectionLevels(section.subsections, level, sectionPath.concat('subsections'), errors);
+        });
+    }
+
+    /**
+     * Tag errors under `chapters[i]` with that chapter's number
+     * @param {Array} errors - Errors array
+     * @param {Array} chapters - Chapters array the paths point into
+     */
+    tagChapters(errors, chapters) {
+        errors.forEach(err => {
+            if (err.chapter !== null) return;
+            if (err.path[0] !== 'chapters' || typeof err.path[1] !== 'number') return;
+
+            const chapter = chapters[err.path[1]];
+            if (chapter && Number.isInteger(chapter.chapter)) {
+                err.chapter = chapter.chapter;
+            }
+        });
+    }
+
+    /**
+     * Validate the master course file, including cross-references
+     * between parts and chapters
+     * @param {Object} data - Parsed course-content.json
+     * @returns {Array} Array of errors
+     */
+    validateCourse(data) {
+        const errors = [];
+        this.check(data, this.schema.course, [], errors);
+
+        if (!data || typeof data !== 'object') return errors;
+
+        const chapters = Array.isArray(data.chapters) ? data.chapters : [];
+        const parts = Array.isArray(data.parts) ? data.parts : [];
+
+        chapters.forEach((chapter, index) => {
+            if (chapter && typeof chapter === 'object') {
+                this.checkSectionLevels(chapter.sections, 0, ['chapters', index, 'sections'], errors);
+            }
+        });
+
+        // Duplicate chapter numbers
+        const chapterIndex = new Map();
+        chapters.forEach((chapter, index) => {
+            if (!chapter || !Number.isInteger(chapter.chapter)) return;
+            if (chapterIndex.has(chapter.chapter)) {
+                errors.push(this.createError(['chapters', index, 'chapter'],
+                    `duplicate chapter ${chapter.chapter} (also at chapters[${chapterIndex.get(chapter.chapter)}])`));
+            } else {
+                chapterIndex.set(chapter.chapter, index);
+            }
+        });
+
+        // Duplicate part numbers
+        const partNumbers = new Set();
+        parts.forEach((part, index) => {
+            if (!part || !Number.isInteger(part.part)) return;
+            if (partNumbers.has(part.part)) {
+                errors.push(this.createError(['parts', index, 'part'], `duplicate part ${part.part}`));
+            }
+            partNumbers.add(part.part);
+        });
+
+        // parts[].chapters -> chapters[].chapter
+        const assigned = new Map();
+        parts.forEach((part, partIndex) => {
+            if (!part || !Array.isArray(part.chapters)) return;
+
+            part.chapters.forEach((chNum, i) => {
+                const path = ['parts', partIndex, 'chapters', i];
+                if (!Number.isInteger(chNum)) return;
+
+                if (!chapterIndex.has(chNum)) {
+                    errors.push(this.createError(path, `references chapter ${chNum}, which does not exist in chapters[]`));
+                } else if (assigned.has(chNum)) {
+                    const err = this.createError(path, `chapter ${chNum} is already listed in part ${assigned.get(chNum)}`);
+                    err.chapter = chNum;
+                    errors.push(err);
+                } else {
+                    assigned.set(chNum, part.part);
+                }
+            });
+        });
+
+        chapterIndex.forEach((index, chNum) => {
+            if (!assigned.has(chNum)) {
+                const err = this.createError(['chapters', index, 'chapter'], `chapter ${chNum} is not listed in any part`, 'warning');
+                err.chapter = chNum;
+                errors.push(err);
+            }
+        });
+
+        this.checkRelations(data.relations, chapters, errors);
+
+        this.tagChapters(errors, chapters);
+        return errors;
+    }
+
+    /**
+     * Check that relations point at chapters and takeaways that exist.
+     * Sections and concepts live in the chapter files, so they are only
+     * checked when the chapter includes its sections.
+     * @param {Array} relations - relations[] from the course file
+     * @param {Array} chapters - chapters[] from the course file
+     * @param {Array} errors - Errors array to populate
+     */
+    checkRelations(relations, chapters, errors) {
+        if (!Array.isArray(relations)) return;
+
+        const byNumber = new Map(chapters.filter(ch => ch && Number.isInteger(ch.chapter)).map(ch => [ch.chapter, ch]));
+        const seen = new Set();
+
+        const findMissing = (id) => {
+            const [chapterPart, ...rest] = id.split(':');
+            const chapter = byNumber.get(parseInt(chapterPart));
+            if (!chapter) return `chapter ${chapterPart} does not exist`;
+
+            const takeaway = rest.find(p => p.startsWith('t'));
+            if (takeaway && Array.isArray(chapter.keyTakeaways) && !chapter.keyTakeaways[parseInt(takeaway.slice(1))]) {
+                return `chapter ${chapter.chapter} has no takeaway ${takeaway.slice(1)}`;
+            }
+
+            const section = rest.find(p => p.startsWith('s'));
+            if (section && Array.isArray(chapter.sections)) {
+                let sections = chapter.sections;
+                let found = null;
+                section.slice(1).split('.').map(Number).forEach(index => {
+                    found = sections?.[index] || null;
+                    sections = found?.subsections;
+                });
+                if (!found) return `chapter ${chapter.chapter} has no section ${section.slice(1)}`;
+
+                const concept = rest.find(p => p.startsWith('c'));
+                if (concept && !found.concepts?.[parseInt(concept.slice(1))]) {
+                    return `section ${section.slice(1)} of chapter ${chapter.chapter} has no concept ${concept.slice(1)}`;
+                }
+            }
+            return null;
+        };
+
+        relations.forEach((relation, index) => {
+            if (!relation || typeof relation !== 'object') return;
+            const path = ['relations', index];
+            const { from, to, type } = relation;
+            const valid = id => typeof id === 'string' && LOCATION_ID_PATTERN.test(id);
+
+            ['from', 'to'].forEach(key => {
+                if (!valid(relation[key])) return;
+                const missing = findMissing(relation[key]);
+                if (missing) errors.push(this.createError(path.concat(key), `"${relation[key]}" not found: ${missing}`));
+            });
+
+            if (!valid(from) || !valid(to)) return;
+
+            if (from === to) {
+                errors.push(this.createError(path, `relates "${from}" to itself`));
+                return;
+            }
+
+            // related-to and contrasts-with read the same in both directions
+            const key = type === 'builds-on' ? `${from}>${to}>${type}` : `${[from, to].sort().join('<>')}>${type}`;
+            if (seen.has(key)) {
+                errors.push(this.createError(path, `duplicate ${type} relation between "${from}" and "${to}"`, 'warning'));
+            }
+            seen.add(key);
+        });
+    }
+
+    /**
+     * Validate a single chapter file from data/extracted
+     * @param {Object} data - Parsed chapter-N.json
+     * @param {number} expectedChapter - Chapter number the file should hold
+     * @returns {Array} Array of errors
+     */
+    validateChapter(data, expectedChapter = null) {
+        const errors = [];
+        this.check(data, this.schema.chapter, [], errors);
+
+        if (!data || typeof data !== 'object') return errors;
+
+        this.checkSectionLevels(data.sections, 0, ['sections'], errors);
+
+        if (expectedChapter !== null && Number.isInteger(data.chapter) && data.chapter !== expectedChapter) {
+            errors.push(this.createError(['chapter'], `file is for chapter ${expectedChapter} but contains chapter ${data.chapter}`));
+        }
+
+        const chapterNum = Number.isInteger(data.chapter) ? data.chapter : expectedChapter;
+        errors.forEach(err => { err.chapter = chapterNum; });
+
+        return errors;
+    }
+
+    /**
+     * Map every value path in a JSON document to its line and column,
+     * so errors can point at the exact place in the source file
+     * @param {string} text - JSON source
+     * @returns {Map<string, Object>} Formatted path -> { line, column }
+     */
+    locate(text) {
+        const positions = new Map();
+        let pos = 0;
+        let line = 1;
+        let lineStart = 0;
+
+        const advance = () => {
+            if (text[pos] === '\n') {
+                line++;
+                lineStart = pos + 1;
+            }
+            pos++;
+        };
+
+        const skipWhitespace = () => {
+            while (pos < text.length && /\s/.test(text[pos])) advance();
+        };
+
+        const readString = () => {
+            const start = pos;
+            advance();
+            while (pos < text.length && text[pos] !== '"') {
+                if (text[pos] === '\\') advance();
+                advance();
+            }
+            advance();
+            return JSON.parse(text.slice(start, pos));
+        };
+
+        const readValue = (path) => {
+            skipWhitespace();
+            positions.set(this.formatPath(path), { line, column: pos - lineStart + 1 });
+
+            const ch = text[pos];
+            if (ch === '{') {
+                advance();
+                skipWhitespace();
+                while (pos < text.length && text[pos] !== '}') {
+                    skipWhitespace();
+                    const key = readString();
+                    skipWhitespace();
+                    advance(); // :
+                    readValue(path.concat(key));
+                    skipWhitespace();
+                    if (text[pos] === ',') advance();
+                    skipWhitespace();
+                }
+                advance();
+            } else if (ch === '[') {
+                advance();
+                skipWhitespace();
+                let index = 0;
+                while (pos < text.length && text[pos] !== ']') {
+                    readValue(path.concat(index++));
+                    skipWhitespace();
+                    if (text[pos] === ',') advance();
+                    skipWhitespace();
+                }
+                advance();
+            } else if (ch === '"') {
+                readString();
+            } else {
+                while (pos < text.length && /[^\s,\]}]/.test(text[pos])) advance();
+            }
+        };
+
+        readValue([]);
+        return positions;
+    }
+
+    /**
+     * Find the closest located position for an error path. Missing keys
+     * fall back to their containing object.
+     * @param {Map} positions - Result of locate()
+     * @param {Array} path - Error path
+     * @returns {Object|null} { line, column } or null
+     */
+    positionOf(positions, path) {
+        for (let i = path.length; i >= 0; i--) {
+            const found = positions.get(this.formatPath(path.slice(0, i)));
+            if (found) return found;
+        }
+        return null;
+    }
+}
+
+// Create and export singleton instance
+const contentSchema = new ContentSchema();
+
+// Make it available to the browser and to the Node validation command
+if (typeof window !== 'undefined') {
+    window.ContentSchema = contentSchema;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = contentSchema;
+}
@@ -0,0 +1,954 @@
+/**
+ * Course Outline Module
+ * Converts the course hierarchy to and from outline formats used by
+ * desktop mind-mapping and outliner tools: OPML, FreeMind/Freeplane .mm
+ * and nested Markdown. Shared by the browser (outline panel) and the
+ * Node conversion command.
+ *
+ * Every format goes through the same generic outline tree,
+ * `{ text, note, attributes, children }`, in which node types are
+ * recognised by their text:
+ *
+ *   Course title                  note: "Level: ..." metadata lines
+ *     Part 2: Title               attributes: color
+ *       Chapter 3: Title          note: overview, attributes: pages
+ *                                 (Markdown: "Chapter 3: Title (28 pages)")
+ *         Key Takeaways
+ *           Takeaway text
+ *         Section title           note: section content
+ *           Concept: Name         note: definition
+ *             Example: Text
+ *           Subsection title
+ */
+
+const OUTLINE_FORMATS = {
+    opml: { label: 'OPML', extension: 'opml', mimeType: 'text/x-opml' },
+    freemind: { label: 'FreeMind', extension: 'mm', mimeType: 'application/x-freemind' },
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' }
+};
+
+// Part colors for outlines that don't carry them (e.g. Markdown)
+const OUTLINE_PART_COLORS = ['#3498db', '#2ecc71', '#e67e22', '#9b59b6', '#e74c3c', '#1abc9c'];
+
+const OUTLINE_METADATA = [
+    { key: 'courseLevel', label: 'Level' },
+    { key: 'university', label: 'University' },
+    { key: 'instructor', label: 'Instructor' },
+    { key: 'date', label: 'Date' }
+];
+
+class CourseOutline {
+    constructor() {
+        this.formats = OUTLINE_FORMATS;
+        this.partColors = OUTLINE_PART_COLORS;
+        this.metadata = OUTLINE_METADATA;
+
+        this.patterns = {
+            part: /^part\s+(\d+)\s*[:.\-–—]\s*(.*)$/i,
+            chapter: /^chapter\s+(\d+)\s*[:.\-–—]\s*(.*)$/i,
+            chapterPages: /^(chapter\s+\d+\s*[:.\-–—].*?)\s*\((\d+)\s+pages?\)$/i,
+            takeaways: /^key\s+takeaways$/i,
+            overview: /^overview$/i,
+            concept: /^concept\s*:\s*(.*)$/i,
+            example: /^example\s*:\s*(.*)$/i
+        };
+    }
+
+    /**
+     * Convert a course to outline text
+     * @param {Object} course - Course data with chapter detail merged in
+     * @param {string} format - 'opml', 'freemind' or 'markdown'
+     * @returns {string} File contents
+     */
+    exportCourse(course, format) {
+        const tree = this.toTree(course);
+
+        if (format === 'opml') return this.toOpml(tree);
+        if (format === 'freemind') return this.toFreeMind(tree);
+        if (format === 'markdown') return this.toMarkdown(tree);
+        throw new Error(`Unknown outline format: ${format}`);
+    }
+
+    /**
+     * Read outline text back into a course dataset
+     * @param {string} text - File contents
+     * @param {string} format - Format; detected from the text if omitted
+     * @returns {Object} { course, chapters } shaped like course-content.json
+     *     and the data/extracted chapter files
+     */
+    importCourse(text, format = null) {
+        const type = format || this.detectFormat(null, text);
+        let tree;
+
+        if (type === 'opml') tree = this.parseOpml(text);
+        else if (type === 'freemind') tree = this.parseFreeMind(text);
+        else if (type === 'markdown') tree = this.parseMarkdown(text);
+        else throw new Error(`Unknown outline format: ${type}`);
+
+        return this.fromTree(tree);
+    }
+
+    /**
+     * Work out a file's format from its name, falling back to its contents
+     * @param {string|null} fileName - File name
+     * @param {string} text - File contents
+     * @returns {string} Format key
+     */
+    detectFormat(fileName, text = '') {
+        const extension = (fileName || '').split('.').pop().toLowerCase();
+        if (extension === 'opml') return 'opml';
+        if (extension === 'mm') return 'freemind';
+        if (['md', 'markdown', 'txt'].includes(extension)) return 'markdown';
+
+        const start = text.replace(/^\uFEFF/, '').trimStart();
+        if (start.startsWith('<')) {
+            if (/<opml[\s>]/i.test(start)) return 'opml';
+            if (/<map[\s>]/i.test(start)) return 'freemind';
+        }
+        return 'markdown';
+    }
+
+    /**
+     * Build an outline node
+     * @param {string} text - Node text
+     * @param {string} note - Longer text attached to the node
+     * @param {Object} attributes - Extra values such as color
+     * @param {Array} children - Child nodes
+     * @returns {Object} Outline node
+     */
+    createNode(text, note = '', attributes = {}, children = []) {
+        return { text, note, attributes, children };
+    }
+
+    // Course <-> outline tree
+
+    /**
+     * Build the outline tree for a course
+     * @param {Object} course - Course data
+     * @returns {Object} Root outline node
+     */
+    toTree(course) {
+        const chapters = new Map(course.chapters.map(ch => [ch.chapter, ch]));
+        const assigned = new Set();
+
+        const note = this.metadata
+            .filter(({ key }) => course[key])
+            .map(({ key, label }) => `${label}: ${course[key]}`)
+            .join('\n');
+
+        const root = this.createNode(course.courseTitle, note);
+
+        course.parts.forEach(part => {
+            const partNode = this.createNode(`Part ${part.part}: ${part.title}`, '', { color: part.color });
+
+            part.chapters.forEach(chNum => {
+                const chapter = chapters.get(chNum);
+                if (!chapter) return;
+                assigned.add(chNum);
+                partNode.children.push(this.chapterToNode(chapter));
+            });
+
+            root.children.push(partNode);
+        });
+
+        // Chapters outside any part sit directly under the course
+        course.chapters
+            .filter(ch => !assigned.has(ch.chapter))
+            .forEach(ch => root.children.push(this.chapterToNode(ch)));
+
+        return root;
+    }
+
+    /**
+     * Build the outline node for a chapter
+     * @param {Object} chapter - Chapter object
+     * @returns {Object} Outline node
+     */
+    chapterToNode(chapter) {
+        const attributes = Number.isInteger(chapter.totalPages) ? { pages: chapter.totalPages } : {};
+        const node = this.createNode(`Chapter ${chapter.chapter}: ${chapter.title}`, chapter.overview || '', attributes);
+
+        if (chapter.keyTakeaways?.length) {
+            node.children.push(this.createNode('Key Takeaways', '', {},
+                chapter.keyTakeaways.map(t => this.createNode(t))));
+        }
+
+        (chapter.sections || []).forEach(section => node.children.push(this.sectionToNode(section)));
+        return node;
+    }
+
+    /**
+     * Build the outline node for a section or subsection
+     * @param {Object} section - Section object
+     * @returns {Object} Outline node
+     */
+    sectionToNode(section) {
+        const concepts = (section.concepts || []).map(concept => this.createNode(
+            `Concept: ${concept.name}`,
+            concept.definition || '',
+            {},
+            (concept.examples || []).map(example => this.createNode(`Example: ${example}`))
+        ));
+        const subsections = (section.subsections || []).map(sub => this.sectionToNode(sub));
+
+        return this.createNode(section.title, section.content || '', {}, [...concepts, ...subsections]);
+    }
+
+    /**
+     * Turn an outline tree into a course dataset. Prefixes such as
+     * "Part 2:" and "Chapter 3:" are optional; unnumbered parts and
+     * chapters are numbered after the highest number in the outline.
+     * @param {Object} root - Root outline node
+     * @returns {Object} { course, chapters }
+     */
+    fromTree(root) {
+        const course = { courseTitle: root.text.trim() || 'Untitled course' };
+        this.readMetadata(root.note, course);
+        course.parts = [];
+        course.chapters = [];
+
+        const chapters = [];
+        const next = { part: 1, chapter: 1 };
+
+        // Explicit numbers win; everything else is numbered after them
+        const visit = (node, depth) => {
+            const part = depth === 1 && this.patterns.part.exec(node.text);
+            const chapter = this.patterns.chapter.exec(node.text);
+            if (part) next.part = Math.max(next.part, parseInt(part[1]) + 1);
+            if (chapter && depth <= 2) next.chapter = Math.max(next.chapter, parseInt(chapter[1]) + 1);
+            if (depth < 2) node.children.forEach(child => visit(child, depth + 1));
+        };
+        visit(root, 0);
+
+        const addChapter = (node) => {
+            const chapter = this.nodeToChapter(node, next);
+            if (course.chapters.some(ch => ch.chapter === chapter.chapter)) {
+                chapter.chapter = next.chapter++;
+            }
+
+            const { sections, ...summary } = chapter;
+            course.chapters.push(summary);
+            chapters.push(chapter);
+            return chapter.chapter;
+        };
+
+        root.children.forEach(node => {
+            if (this.patterns.chapter.test(node.text)) {
+                addChapter(node);
+                return;
+            }
+
+            const match = this.patterns.part.exec(node.text);
+            const number = match ? parseInt(match[1]) : next.part++;
+            const color = /^#[0-9a-f]{6}$/i.test(node.attributes.color || '')
+                ? node.attributes.color
+                : this.partColors[(number - 1) % this.partColors.length];
+
+            course.parts.push({
+                part: number,
+                title: (match ? match[2] : node.text).trim(),
+                color,
+                chapters: node.children.map(child => addChapter(child))
+            });
+        });
+
+        return { course, chapters };
+    }
+
+    /**
+     * Read "Label: value" metadata lines into the course
+     * @param {string} note - Root note
+     * @param {Object} course - Course to fill in
+     */
+    readMetadata(note, course) {
+        (note || '').split('\n').forEach(line => {
+            const match = /^\s*([^:]+):\s*(.+)$/.exec(line);
+            if (!match) return;
+
+            const field = this.metadata.find(({ label }) => label.toLowerCase() === match[1].trim().toLowerCase());
+            if (field) course[field.key] = match[2].trim();
+        });
+    }
+
+    /**
+     * Turn a chapter outline node into a chapter object
+     * @param {Object} node - Outline node
+     * @param {Object} next - Next free part and chapter numbers
+     * @returns {Object} Chapter object
+     */
+    nodeToChapter(node, next) {
+        const match = this.patterns.chapter.exec(node.text);
+        const chapter = {
+            chapter: match ? parseInt(match[1]) : next.chapter++,
+            title: (match ? match[2] : node.text).trim()
+        };
+
+        let overview = node.note;
+        const keyTakeaways = [];
+        const sections = [];
+
+        node.children.forEach(child => {
+            if (this.patterns.takeaways.test(child.text)) {
+                keyTakeaways.push(...child.children.map(t => this.joinText(t.text, t.note)));
+            } else if (this.patterns.overview.test(child.text)) {
+                overview = [child.note, ...child.children.map(c => c.text)].filter(Boolean).join('\n\n');
+            } else {
+                sections.push(this.nodeToSection(child, 1));
+            }
+        });
+
+        if (overview) chapter.overview = overview;
+        chapter.keyTakeaways = keyTakeaways;
+        chapter.sections = sections;
+
+        const pages = parseInt(node.attributes.pages);
+        if (Number.isInteger(pages) && pages >= 0) chapter.totalPages = pages;
+
+        return chapter;
+    }
+
+    /**
+     * Turn an outline node into a section; "Concept:" children become
+     * concepts and every other child a subsection
+     * @param {Object} node - Outline node
+     * @param {number} level - Section level (1 for top-level sections)
+     * @returns {Object} Section object
+     */
+    nodeToSection(node, level) {
+        const section = { title: node.text.trim(), level };
+        if (node.note) section.content = node.note;
+
+        section.concepts = [];
+        section.subsections = [];
+
+        node.children.forEach(child => {
+            const concept = this.patterns.concept.exec(child.text);
+            if (concept) {
+                section.concepts.push(this.nodeToConcept(concept[1], child));
+            } else {
+                section.subsections.push(this.nodeToSection(child, level + 1));
+            }
+        });
+
+        return section;
+    }
+
+    /**
+     * Turn a "Concept:" outline node into a concept. Children marked
+     * "Example:" are examples; other children are read as the definition
+     * when the node has no note.
+     * @param {string} name - Concept name
+     * @param {Object} node - Outline node
+     * @returns {Object} Concept object
+     */
+    nodeToConcept(name, node) {
+        const examples = [];
+        const definition = [];
+
+        node.children.forEach(child => {
+            const example = this.patterns.example.exec(child.text);
+            if (example) examples.push(this.joinText(example[1], child.note));
+            else definition.push(this.joinText(child.text, child.note));
+        });
+
+        return {
+            name: name.trim(),
+            definition: node.note || definition.join('\n'),
+            examples
+        };
+    }
+
+    /**
+     * Join node text and its note into one string
+     * @param {string} text - Node text
+     * @param {string} note - Node note
+     * @returns {string} Combined text
+     */
+    joinText(text, note) {
+        return [text.trim(), note].filter(Boolean).join(' ');
+    }
+
+    // Carrying data across an import
+
+    /**
+     * Keep what outlines don't carry, vocabulary and relations, from the
+     * course being replaced. Relations point at items by index, so each
+     * end is followed to the item with the same text in the imported
+     * chapters; relations whose ends are gone are dropped and reported.
+     * @param {Object} previous - Course being replaced, with chapter
+     *     detail merged in where it's available
+     * @param {Object} dataset - { course, chapters } from importCourse();
+     *     updated in place
+     * @returns {Array} Dropped relations: { relation, reason }
+     */
+    carryOver(previous, dataset) {
+        if (Array.isArray(previous?.vocabulary)) dataset.course.vocabulary = [...previous.vocabulary];
+        if (!Array.isArray(previous?.relations)) return [];
+
+        const dropped = [];
+        const relations = [];
+
+        previous.relations.forEach(relation => {
+            const from = this.followLocation(relation?.from, previous, dataset);
+            const to = this.followLocation(relation?.to, previous, dataset);
+            const reason = from.missing || to.missing || (from.id === to.id ? 'both ends are now the same item' : null);
+
+            if (reason) dropped.push({ relation, reason });
+            else relations.push({ ...relation, from: from.id, to: to.id });
+        });
+
+        dataset.course.relations = relations;
+        return dropped;
+    }
+
+    /**
+     * Find where a location id ends up in an imported dataset
+     * @param {string} id - Location id in the previous course
+     * @param {Object} previous - Previous course
+     * @param {Object} dataset - Imported { course, chapters }
+     * @returns {Object} { id } in the imported course, or { missing: reason }
+     */
+    followLocation(id, previous, dataset) {
+        const match = /^(\d+)(?::(overview))?(?::t(\d+))?(?::s(\d+(?:\.\d+)*))?(?::c(\d+))?$/.exec(id || '');
+        if (!match) return { missing: `"${id}" is not a location id` };
+
+        const number = parseInt(match[1]);
+        const before = (previous.chapters || []).find(ch => ch.chapter === number) || {};
+        const after = dataset.chapters.find(ch => ch.chapter === number);
+        if (!after) return { missing: `chapter ${number} is no longer in the outline` };
+
+        const same = (a, b) => typeof a === 'string' && typeof b === 'string' &&
+            a.replace(/\s+/g, ' ').trim() === b.replace(/\s+/g, ' ').trim();
+
+        // Prefer the same position; otherwise look for the same text. Items
+        // whose old text isn't known can only keep their position.
+        const find = (oldItems, newItems, index, text) => {
+            const oldText = text(oldItems?.[index]);
+            if (oldText === undefined) return newItems?.[index] !== undefined ? index : -1;
+            if (same(oldText, text(newItems?.[index]))) return index;
+            return (newItems || []).findIndex(item => same(oldText, text(item)));
+        };
+
+        if (match[2]) {
+            return after.overview ? { id: `${number}:overview` } : { missing: `chapter ${number} has no overview any more` };
+        }
+
+        if (match[3] !== undefined) {
+            const index = find(before.keyTakeaways, after.keyTakeaways, parseInt(match[3]), t => t);
+            return index >= 0
+                ? { id: `${number}:t${index}` }
+                : { missing: `takeaway ${parseInt(match[3]) + 1} of chapter ${number} is no longer in the outline` };
+        }
+
+        if (match[4] === undefined) return { id: `${number}` };
+
+        let oldSections = before.sections;
+        let newSections = after.sections;
+        let oldSection = null;
+        let newSection = null;
+        const path = [];
+
+        for (const index of match[4].split('.').map(Number)) {
+            const found = find(oldSections, newSections, index, section => section?.title);
+            if (found < 0) return { missing: `section ${match[4]} of chapter ${number} is no longer in the outline` };
+
+            path.push(found);
+            oldSection = oldSections?.[index];
+            newSection = newSections[found];
+            oldSections = oldSection?.subsections;
+            newSections = newSection.subsections;
+        }
+
+        if (match[5] === undefined) return { id: `${number}:s${path.join('.')}` };
+
+        const concept = find(oldSection?.concepts, newSection.concepts, parseInt(match[5]), c => c?.name);
+        return concept >= 0
+            ? { id: `${number}:s${path.join('.')}:c${concept}` }
+            : { missing: `concept ${parseInt(match[5]) + 1} of section ${match[4]} in chapter ${number} is no longer in the outline` };
+    }
+
+    // OPML
+
+    /**
+     * Write an outline tree as OPML 2.0. Notes use the `_note`
+     * attribute understood by most outliners.
+     * @param {Object} root - Root outline node
+     * @returns {string} OPML document
+     */
+    toOpml(root) {
+        const outline = (node, indent) => {
+            const attrs = [`text="${this.escapeXml(node.text)}"`];
+            if (node.note) attrs.push(`_note="${this.escapeXml(node.note)}"`);
+            Object.entries(node.attributes).forEach(([key, value]) => {
+                attrs.push(`_${key}="${this.escapeXml(String(value))}"`);
+            });
+
+            const pad = '  '.repeat(indent);
+            if (node.children.length === 0) return `${pad}<outline ${attrs.join(' ')}/>`;
+
+            return [
+                `${pad}<outline ${attrs.join(' ')}>`,
+                ...node.children.map(child => outline(child, indent + 1)),
+                `${pad}</outline>`
+            ].join('\n');
+        };
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<opml version="2.0">',
+            '  <head>',
+            `    <title>${this.escapeXml(root.text)}</title>`,
+            `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+            '  </head>',
+            '  <body>',
+            outline(root, 2),
+            '  </body>',
+            '</opml>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Read an OPML document into an outline tree. A body with several
+     * top-level outlines is placed under the document title.
+     * @param {string} text - OPML source
+     * @returns {Object} Root outline node
+     */
+    parseOpml(text) {
+        const doc = this.parseXml(text);
+        if (doc.name !== 'opml') throw new Error('Not an OPML file');
+
+        const head = this.childElements(doc, 'head')[0];
+        const body = this.childElements(doc, 'body')[0];
+        if (!body) throw new Error('OPML file has no <body>');
+
+        const toNode = (el) => {
+            const attributes = {};
+            Object.entries(el.attributes).forEach(([key, value]) => {
+                if (key.startsWith('_') && key !== '_note') attributes[key.slice(1)] = value;
+            });
+
+            return this.createNode(
+                el.attributes.text ?? el.attributes.title ?? '',
+                (el.attributes._note ?? el.attributes.note ?? '').trim(),
+                attributes,
+                this.childElements(el, 'outline').map(toNode)
+            );
+        };
+
+        const outlines = this.childElements(body, 'outline').map(toNode);
+        if (outlines.length === 1) return outlines[0];
+
+        const title = head ? this.textContent(this.childElements(head, 'title')[0]).trim() : '';
+        return this.createNode(title, '', {}, outlines);
+    }
+
+    // FreeMind / Freeplane
+
+    /**
+     * Write an outline tree as a FreeMind map. Notes are rich-content
+     * notes, part colors the node color and other values map attributes.
+     * @param {Object} root - Root outline node
+     * @returns {string} FreeMind document
+     */
+    toFreeMind(root) {
+        let nextId = 1;
+
+        const node = (item, depth, index) => {
+            const pad = '  '.repeat(depth + 1);
+            const attrs = [`TEXT="${this.escapeXml(item.text)}"`, `ID="ID_${nextId++}"`];
+            if (depth === 1) attrs.push(`POSITION="${index % 2 === 0 ? 'right' : 'left'}"`);
+            if (item.attributes.color) attrs.push(`COLOR="${this.escapeXml(item.attributes.color)}"`);
+            if (depth >= 2 && item.children.length > 0) attrs.push('FOLDED="true"');
+
+            const inner = [];
+            if (item.note) {
+                const paragraphs = item.note.split('\n').map(line => `<p>${this.escapeXml(line)}</p>`).join('');
+                inner.push(`${pad}  <richcontent TYPE="NOTE"><html><head></head><body>${paragraphs}</body></html></richcontent>`);
+            }
+            Object.entries(item.attributes)
+                .filter(([key]) => key !== 'color')
+                .forEach(([key, value]) => {
+                    inner.push(`${pad}  <attribute NAME="${this.escapeXml(key)}" VALUE="${this.escapeXml(String(value))}"/>`);
+                });
+            item.children.forEach((child, i) => inner.push(node(child, depth + 1, i)));
+
+            if (inner.length === 0) return `${pad}<node ${attrs.join(' ')}/>`;
+            return [`${pad}<node ${attrs.join(' ')}>`, ...inner, `${pad}</node>`].join('\n');
+        };
+
+        return [
+            '<map version="1.0.1">',
+            node(root, 0, 0),
+            '</map>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Read a FreeMind or Freeplane map into an outline tree
+     * @param {string} text - Map source
+     * @returns {Object} Root outline node
+     */
+    parseFreeMind(text) {
+        const doc = this.parseXml(text);
+        if (doc.name !== 'map') throw new Error('Not a FreeMind map');
+
+        const rootEl = this.childElements(doc, 'node')[0];
+        if (!rootEl) throw new Error('FreeMind map has no root node');
+
+        const richText = (el, type) => {
+            const rich = this.childElements(el, 'richcontent').find(r => (r.attributes.TYPE || '').toUpperCase() === type);
+            return rich ? this.htmlText(rich) : '';
+        };
+
+        const toNode = (el) => {
+            const attributes = {};
+            const color = el.attributes.COLOR || el.attributes.BACKGROUND_COLOR;
+            if (color) attributes.color = color;
+            this.childElements(el, 'attribute').forEach(attr => {
+                if (attr.attributes.NAME) attributes[attr.attributes.NAME] = attr.attributes.VALUE ?? '';
+            });
+
+            return this.createNode(
+                el.attributes.TEXT ?? richText(el, 'NODE'),
+                richText(el, 'NOTE'),
+                attributes,
+                this.childElements(el, 'node').map(toNode)
+            );
+        };
+
+        return toNode(rootEl);
+    }
+
+    /**
+     * Plain text of a rich-content element, one line per paragraph
+     * @param {Object} el - Parsed element
+     * @returns {string} Text
+     */
+    htmlText(el) {
+        const lines = [];
+        let current = '';
+
+        const walk = (node) => {
+            if (node.text !== undefined) {
+                current += node.text.replace(/\s+/g, ' ');
+                return;
+            }
+
+            const block = ['p', 'div', 'li', 'br', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'].includes(node.name.toLowerCase());
+            if (block && current.trim()) {
+                lines.push(current.trim());
+                current = '';
+            }
+            node.children.forEach(walk);
+            if (block && current.trim()) {
+                lines.push(current.trim());
+                current = '';
+            }
+        };
+
+        walk(el);
+        if (current.trim()) lines.push(current.trim());
+        return lines.join('\n');
+    }
+
+    // Markdown
+
+    /**
+     * Write an outline tree as a Markdown heading plus nested list.
+     * Notes are indented paragraphs under their item; a chapter's page
+     * count follows its title in parentheses.
+     * @param {Object} root - Root outline node
+     * @returns {string} Markdown document
+     */
+    toMarkdown(root) {
+        const lines = [`# ${this.singleLine(root.text)}`, ''];
+
+        if (root.note) {
+            lines.push(...root.note.split('\n').map(line => this.escapeMarkdownLine(line)), '');
+        }
+
+        const item = (node, depth) => {
+            const pad = '  '.repeat(depth);
+            const pages = node.attributes.pages !== undefined && this.patterns.chapter.test(node.text)
+                ? ` (${node.attributes.pages} pages)`
+                : '';
+            lines.push(`${pad}- ${this.singleLine(node.text)}${pages}`);
+
+            if (node.note) {
+                lines.push('');
+                node.note.split('\n').forEach(line => {
+                    lines.push(line.trim() ? `${pad}  ${this.escapeMarkdownLine(line)}` : '');
+                });
+                lines.push('');
+            }
+
+            node.children.forEach(child => item(child, depth + 1));
+        };
+
+        root.children.forEach(child => item(child, 0));
+        return lines.join('\n').replace(/\n{3,}/g, '\n\n').trimEnd() + '\n';
+    }
+
+    /**
+     * Read a Markdown outline into a tree. Headings and list items
+     * both become nodes, nested by heading level and indentation; other
+     * lines become the note of the node above them.
+     * @param {string} text - Markdown source
+     * @returns {Object} Root outline node
+     */
+    parseMarkdown(text) {
+        const top = this.createNode('', '', {}, []);
+        const stack = [{ node: top, rank: -1 }];
+        const notes = new Map();
+        let title = null;
+
+        const addNote = (node, line) => {
+            if (!notes.has(node)) notes.set(node, []);
+            notes.get(node).push(line);
+        };
+
+        text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(raw => {
+            const line = raw.replace(/\t/g, '    ');
+            const heading = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+            const bullet = /^(\s*)(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/.exec(line);
+
+            let rank = null;
+            let content = '';
+            if (heading && heading[1].length === 1 && title === null && stack.length === 1) {
+                title = this.stripInlineMarkdown(heading[2]);
+                return;
+            } else if (heading) {
+                rank = heading[1].length;
+                content = heading[2];
+            } else if (bullet) {
+                rank = 10 + bullet[1].length;
+                content = bullet[2];
+            }
+
+            if (rank === null) {
+                const current = stack[stack.length - 1].node;
+                addNote(current, line.trim() ? this.unescapeMarkdownLine(line.trim()) : '');
+                return;
+            }
+
+            while (stack[stack.length - 1].rank >= rank) stack.pop();
+
+            const node = this.createNode(this.stripInlineMarkdown(content));
+            const pages = this.patterns.chapterPages.exec(node.text);
+            if (pages) {
+                node.text = pages[1];
+                node.attributes.pages = pages[2];
+            }
+            stack[stack.length - 1].node.children.push(node);
+            stack.push({ node, rank });
+        });
+
+        // Join note lines into paragraphs separated by blank lines
+        const finish = (node) => {
+            node.note = (notes.get(node) || [])
+                .join('\n')
+                .replace(/\n{3,}/g, '\n\n')
+                .trim();
+            node.children.forEach(finish);
+        };
+        finish(top);
+
+        if (title !== null) {
+            top.text = title;
+            return top;
+        }
+        if (top.children.length === 1) return top.children[0];
+
+        top.text = 'Untitled course';
+        return top;
+    }
+
+    /**
+     * Collapse line breaks so text fits on one list line
+     * @param {string} text - Text
+     * @returns {string} Single-line text
+     */
+    singleLine(text) {
+        return String(text).replace(/\s*\n\s*/g, ' ').trim();
+    }
+
+    /**
+     * Escape note lines that would otherwise read as a heading or list item
+     * @param {string} line - Note line
+     * @returns {string} Safe line
+     */
+    escapeMarkdownLine(line) {
+        const trimmed = line.trim();
+        return /^(#|[-*+]\s|\d+[.)]\s|\\)/.test(trimmed) ? `\\${trimmed}` : trimmed;
+    }
+
+    /**
+     * Undo escapeMarkdownLine
+     * @param {string} line - Note line
+     * @returns {string} Original line
+     */
+    unescapeMarkdownLine(line) {
+        return line.replace(/^\\/, '');
+    }
+
+    /**
+     * Drop bold and italic markers around item text
+     * @param {string} text - Markdown text
+     * @returns {string} Plain text
+     */
+    stripInlineMarkdown(text) {
+        return text
+            .replace(/(\*\*|__)(.+?)\1/g, '$2')
+            .replace(/^\\/, '')
+            .trim();
+    }
+
+    // XML
+
+    /**
+     * Parse an XML document into `{ name, attributes, children }`
+     * elements and `{ text }` text nodes. Enough for OPML and FreeMind
+     * files, and works outside the browser where DOMParser is missing.
+     * @param {string} text - XML source
+     * @returns {Object} Document element
+     */
+    parseXml(text) {
+        const source = text.replace(/^\uFEFF/, '');
+        const root = { name: '#document', attributes: {}, children: [] };
+        const stack = [root];
+        const tagPattern = /<(\/?)([A-Za-z_][\w.:-]*)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+        const attrPattern = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let pos = 0;
+
+        const fail = (message) => {
+            const line = source.slice(0, pos).split('\n').length;
+            throw new Error(`Malformed XML on line ${line}: ${message}`);
+        };
+
+        while (pos < source.length) {
+            const next = source.indexOf('<', pos);
+            const current = stack[stack.length - 1];
+
+            if (next === -1 || next > pos) {
+                const end = next === -1 ? source.length : next;
+                const chunk = source.slice(pos, end);
+                current.children.push({ text: this.decodeEntities(chunk) });
+                pos = end;
+                continue;
+            }
+
+            if (source.startsWith('<!--', pos)) {
+                const end = source.indexOf('-->', pos);
+                if (end === -1) fail('unclosed comment');
+                pos = end + 3;
+            } else if (source.startsWith('<![CDATA[', pos)) {
+                const end = source.indexOf(']]>', pos);
+                if (end === -1) fail('unclosed CDATA section');
+                current.children.push({ text: source.slice(pos + 9, end) });
+                pos = end + 3;
+            } else if (source.startsWith('<?', pos)) {
+                const end = source.indexOf('?>', pos);
+                if (end === -1) fail('unclosed processing instruction');
+                pos = end + 2;
+            } else if (source.startsWith('<!', pos)) {
+                const end = source.indexOf('>', pos);
+                if (end === -1) fail('unclosed declaration');
+                pos = end + 1;
+            } else {
+                tagPattern.lastIndex = pos;
+                const match = tagPattern.exec(source);
+                if (!match) fail('invalid tag');
+
+                const [whole, closing, name, attrText, selfClosing] = match;
+                pos += whole.length;
+
+                if (closing) {
+                    if (current.name !== name) fail(`expected </${current.name}> but found </${name}>`);
+                    stack.pop();
+                    continue;
+                }
+
+                const attributes = {};
+                for (const attr of attrText.matchAll(attrPattern)) {
+                    attributes[attr[1]] = this.decodeEntities(attr[2] ?? attr[3]);
+                }
+
+                const element = { name, attributes, children: [] };
+                current.children.push(element);
+                if (!selfClosing) stack.push(element);
+            }
+        }
+
+        if (stack.length > 1) fail(`<${stack[stack.length - 1].name}> is never closed`);
+
+        const documentElement = root.children.find(child => child.name);
+        if (!documentElement) throw new Error('Malformed XML: no root element');
+        return documentElement;
+    }
+
+    /**
+     * Child elements with a given name
+     * @param {Object} el - Parsed element
+     * @param {string} name - Element name
+     * @returns {Array} Matching elements
+     */
+    childElements(el, name) {
+        return el.children.filter(child => child.name === name);
+    }
+
+    /**
+     * Concatenated text of an element
+     * @param {Object} el - Parsed element
+     * @returns {string} Text
+     */
+    textContent(el) {
+        if (!el) return '';
+        if (el.text !== undefined) return el.text;
+        return el.children.map(child => this.textContent(child)).join('');
+    }
+
+    /**
+     * Decode XML (and common HTML) entities
+     * @param {string} text - Encoded text
+     * @returns {string} Decoded text
+     */
+    decodeEntities(text) {
+        const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'", nbsp: '\u00A0' };
+
+        return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+            if (code[0] === '#') {
+                const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1));
+                return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+            }
+            return named[code.toLowerCase()] ?? entity;
+        });
+    }
+
+    /**
+     * Escape text for an XML attribute or element
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/\n/g, '&#10;');
+    }
+}
+
+// Create and export singleton instance
+const courseOutline = new CourseOutline();
+
+// Make it available to the browser and to the Node conversion command
+if (typeof window !== 'undefined') {
+    window.CourseOutline = courseOutline;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = courseOutline;
+}
@@ -0,0 +1,621 @@
+/**
+ * Flashcards Panel Module
+ * Lists the flashcard decks with their due counts and runs study
+ * sessions: show the front, reveal the answer, grade it
+ */
+
+class FlashcardsPanel {
+    constructor() {
+        this.openBtn = document.getElementById('openFlashcards');
+        this.modal = document.getElementById('flashcardsModal');
+        this.body = document.getElementById('flashcardsBody');
+        this.closeBtn = document.getElementById('closeFlashcardsModal');
+        this.store = window.Flashcards;
+        this.courseData = null;
+
+        // Current study session, null while the deck list is showing
+        this.session = null;
+
+        this.gradeButtons = [
+            { grade: 'again', label: 'Again', key: '1' },
+            { grade: 'hard', label: 'Hard', key: '2' },
+            { grade: 'good', label: 'Good', key: '3' },
+            { grade: 'easy', label: 'Easy', key: '4' }
+        ];
+    }
+
+    /**
+     * Initialize the flashcards panel
+     * @param {Object} courseData - Course data object
+     */
+    async init(courseData) {
+        this.courseData = courseData;
+
+        if (!this.modal || !this.body) {
+            console.error('Flashcards panel not found');
+            return;
+        }
+
+        try {
+            this.attachEventListeners();
+            this.updateBadge();
+
+            // Due reviews may be for concepts in chapters not loaded yet
+            if (this.store.hasProgress()) this.courseData.loadAllChapters();
+
+            console.log('✅ Flashcards initialized successfully');
+        } catch (error) {
+            console.error('❌ Error initializing flashcards:', error);
+        }
+    }
+
+    /**
+     * Attach event listeners
+     */
+    attachEventListeners() {
+        this.openBtn?.addEventListener('click', () => this.open());
+        this.closeBtn?.addEventListener('click', () => this.close());
+
+        // Close on overlay click
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.close();
+        });
+
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        document.addEventListener('flashcards:changed', () => this.updateBadge());
+        document.addEventListener('content:chapterLoaded', () => this.updateBadge());
+        document.addEventListener('content:chaptersLoaded', () => this.updateBadge());
+        document.addEventListener('content:datasetChanged', () => {
+            this.session = null;
+            this.updateBadge();
+            if (this.isOpen()) this.render();
+        });
+
+        // Due-count badges in the sidebar open their deck
+        document.addEventListener('flashcards:study', (e) => this.open(e.detail.deck));
+
+        this.body.addEventListener('click', (e) => this.handleClick(e));
+    }
+
+    /**
+     * Handle clicks on panel buttons
+     * @param {Event} e - Click event
+     */
+    handleClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        const action = button.dataset.action;
+
+        if (action === 'study') {
+            this.startSession(button.dataset.deck);
+        } else if (action === 'reveal') {
+            this.reveal();
+        } else if (action === 'grade') {
+            this.grade(button.dataset.grade);
+        } else if (action === 'decks') {
+            this.session = null;
+            this.render();
+        }
+    }
+
+    /**
+     * Study shortcuts: Space or Enter shows the answer, 1-4 grade it
+     * @param {KeyboardEvent} e - Key event
+     */
+    handleKeydown(e) {
+        if (!this.isOpen()) return;
+
+        if (e.key === 'Escape') {
+            this.close();
+            return;
+        }
+
+        if (!this.session?.card || e.ctrlKey || e.altKey || e.metaKey) return;
+        if (e.target.closest?.('input, select, textarea')) return;
+
+        if (!this.session.revealed && (e.key === ' ' || e.key === 'Enter')) {
+            // Let a focused button handle its own Space and Enter
+            if (e.target.closest?.('button')) return;
+            e.preventDefault();
+            this.reveal();
+        } else if (this.session.revealed) {
+            const button = this.gradeButtons.find(b => b.key === e.key);
+            if (button) {
+                e.preventDefault();
+                this.grade(button.grade);
+            }
+        }
+    }
+
+    /**
+     * Show the panel, optionally going straight into a deck
+     * @param {string} [deckId] - Deck to study
+     */
+    async open(deckId) {
+        this.session = null;
+        this.modal.classList.add('active');
+        this.body.innerHTML = '<div class="flashcards-loading">Loading cards…</div>';
+
+        // Concept cards need every chapter's sections
+        await this.courseData.loadAllChapters();
+
+        if (deckId) {
+            this.startSession(deckId);
+        } else {
+            this.render();
+        }
+    }
+
+    /**
+     * Hide the panel
+     */
+    close() {
+        this.modal.classList.remove('active');
+        this.session = null;
+    }
+
+    /**
+     * Check whether the panel is showing
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return this.modal.classList.contains('active');
+    }
+
+    /**
+     * Show today's total, reviews plus new cards, on the sidebar button
+     */
+    updateBadge() {
+        if (!this.openBtn) return;
+
+        const reviews = this.store.getDueCount('all');
+        const fresh = this.store.getNewCount('all');
+        const due = reviews + fresh;
+        let badge = this.openBtn.querySelector('.flashcards-badge');
+
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'flashcards-badge';
+            this.openBtn.appendChild(badge);
+        }
+
+        badge.textContent = due > 99 ? '99+' : due;
+        badge.hidden = due === 0;
+        this.openBtn.title = `Flashcards (${reviews} due, ${fresh} new today)`;
+    }
+
+    /**
+     * Start studying a deck
+     * @param {string} deckId - Deck id
+     */
+    startSession(deckId) {
+        this.session = {
+            deckId,
+            queue: this.store.getQueue(deckId),
+            card: null,
+            revealed: false,
+            reviewed: 0,
+            relearned: new Set()
+        };
+        this.nextCard();
+    }
+
+    /**
+     * Move to the next card in the session
+     */
+    nextCard() {
+        this.session.card = this.session.queue.shift() || null;
+        this.session.revealed = false;
+        this.render();
+    }
+
+    /**
+     * Show the answer side
+     */
+    reveal() {
+        if (!this.session?.card) return;
+
+        this.session.revealed = true;
+        this.render();
+        this.body.querySelector('.flashcard-grade [data-grade="good"]')?.focus();
+    }
+
+    /**
+     * Grade the current card. Cards graded "again" come back at the end
+     * of the session; only the first grade of the session is scheduled.
+     * @param {string} grade - 'again', 'hard', 'good' or 'easy'
+     */
+    grade(grade) {
+        const { card, relearned } = this.session;
+        if (!card || !this.session.revealed) return;
+
+        if (!relearned.has(card.id)) {
+            this.store.review(card.id, grade);
+            this.session.reviewed++;
+        }
+
+        if (grade === 'again') {
+            relearned.add(card.id);
+            this.session.queue.push(card);
+        }
+
+        this.nextCard();
+    }
+
+    /**
+     * Render the deck list or the study session
+     */
+    render() {
+        if (!this.session) {
+            this.body.innerHTML = this.renderDecks();
+        } else if (this.session.card) {
+            this.body.innerHTML = this.renderCard();
+        } else {
+            this.body.innerHTML = this.renderDone();
+        }
+    }
+
+    /**
+     * Render every deck: the daily review, then parts and their chapters
+     * @returns {string} HTML string
+     */
+    renderDecks() {
+        const parts = this.courseData.getParts()
+            .filter(part => this.courseData.getChaptersByPart(part.part).length > 0);
+
+        return `
+            <p class="flashcards-intro">
+                Cards come from concepts, chapter overviews and key takeaways.
+                Up to ${this.store.newCardsPerDay} new cards are introduced each day.
+            </p>
+            <div class="deck-list">
+                ${this.renderDeck('all', 'Daily review', 'deck-daily')}
+                ${parts.map(part => `
+                    ${this.renderDeck(`part-${part.part}`, part.title, 'deck-part')}
+                    ${this.courseData.getChaptersByPart(part.part).map(chapter =>
+                        this.renderDeck(`chapter-${chapter.chapter}`, `Chapter ${chapter.chapter}: ${chapter.title}`, 'deck-chapter')
+                    ).join('')}
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render one deck row
+     * @param {string} deckId - Deck id
+     * @param {string} name - Deck name
+     * @param {string} className - Row class
+     * @returns {string} HTML string
+     */
+    renderDeck(deckId, name, className) {
+        const stats = this.store.getDeckStats(deckId);
+        const waiting = stats.due + stats.new;
+
+        return `
+            <div class="deck-item ${className}">
+                <span class="deck-text">
+                    <span class="deck-name">${this.escapeHtml(name)}</span>
+                    <small>${stats.learned} of ${stats.total} card${stats.total !== 1 ? 's' : ''} studied</small>
+                </span>
+                <span class="deck-due ${waiting > 0 ? 'has-due' : ''}">${stats.due} due · ${stats.new} new</span>
+                <button class="control-btn" data-action="study" data-deck="${deckId}"
+                        ${waiting === 0 ? 'disabled' : ''} title="Study ${this.escapeHtml(name)}">
+                    <i class="fas fa-play"></i>
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the current card
+     * @returns {string} HTML string
+     */
+    renderCard() {
+        const { card, revealed, queue, deckId } = this.session;
+        const intervals = this.store.previewIntervals(card.id);
+        const isNew = !this.store.getState(card.id);
+
+        return `
+            <div class="flashcard-header">
+                <span>${this.escapeHtml(this.courseData.getScopeName(deckId))}</span>
+                <span>${queue.length + 1} left</span>
+            </div>
+
+            <div class="flashcard ${revealed ? 'revealed' : ''}">
+                <small class="flashcard-context">
+                    ${isNew ? '<span class="flashcard-new">New</span>' : ''}
+                    ${this.escapeHtml(card.context)}
+                </small>
+                <div class="flashcard-front">${this.escapeHtml(card.front)}</div>
+                ${revealed ? `
+                    <div class="flashcard-back">
+                        <p>${this.escapeHtml(card.back)}</p>
+                        ${card.examples?.length ? `
+                            <ul>
+                                ${card.examples.map(example => `<li>${this.escapeHtml(example)}</li>`).join('')}
+                            </ul>
+                        ` : ''}
+                    </div>
+                ` : ''}
+            </div>
+
+            ${revealed ? `
+                <div class="flashcard-grade">
+                    ${this.gradeButtons.map(b => `
+                        <button class="grade-btn grade-${b.grade}" data-action="grade" data-grade="${b.grade}"
+                                title="${b.label} (${b.key})">
+                            ${b.label}
+                            <small>${this.formatInterval(intervals[b.grade])}</small>
+                        </button>
+                    `).join('')}
+                </div>
+            ` : `
+                <button class="flashcard-reveal" data-action="reveal" title="Show answer (Space)">
+                    Show answer
+                </button>
+            `}
+        `;
+    }
+
+    /**
+     * Render the end of a session
+     * @returns {string} HTML string
+     */
+    renderDone() {
+        const { reviewed, deckId } = this.session;
+        const tomorrow = this.store.getCards(deckId)
+            .filter(card => this.store.getState(card.id)?.due === this.store.daysFromToday(1)).length;
+
+        return `
+            <div class="no-results flashcards-done">
+                <i class="fas fa-check-circle"></i>
+                <p>${reviewed > 0 ? `Reviewed ${reviewed} card${reviewed !== 1 ? 's' : ''}` : 'Nothing to study in this deck today'}</p>
+                <small>${tomorrow} card${tomorrow !== 1 ? 's' : ''} due tomorrow</small>
+                <button class="control-btn" data-action="decks">
+                    <i class="fas fa-layer-group"></i> All decks
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Describe an interval for a grade button
+     * @param {number} days - Interval in days
+     * @returns {string} Short description
+     */
+    formatInterval(days) {
+        if (days < 30) return `${days}d`;
+        if (days < 365) return `${Math.round(days / 30)}mo`;
+        return `${(days / 365).toFixed(1)}y`;
+    }
+
+    /**
+     * Escape HTML
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Add CSS for flashcard styles
+const flashcardStyles = `
+    #openFlashcards {
+        position: relative;
+    }
+
+    .flashcards-badge {
+        position: absolute;
+        top: 2px;
+        right: 2px;
+        min-width: 16px;
+        height: 16px;
+        padding: 0 4px;
+        border-radius: 8px;
+        background: var(--accent);
+        color: white;
+        font-size: 0.65rem;
+        font-weight: 600;
+        line-height: 16px;
+        text-align: center;
+    }
+
+    .flashcards-badge[hidden] {
+        display: none;
+    }
+
+    .flashcards-intro,
+    .flashcards-loading {
+        margin-bottom: 1rem;
+        color: var(--text-secondary);
+        font-size: 0.85rem;
+    }
+
+    .deck-list {
+        display: grid;
+        gap: 0.5rem;
+    }
+
+    .deck-item {
+        display: flex;
+        align-items: center;
+        gap: 0.75rem;
+        padding: 0.5rem 0.75rem;
+        border: 1px solid var(--border);
+        border-radius: 8px;
+        background: var(--bg-dark);
+    }
+
+    .deck-item.deck-daily {
+        border-color: var(--primary);
+    }
+
+    .deck-item.deck-chapter {
+        margin-left: 1.25rem;
+    }
+
+    .deck-text {
+        flex: 1;
+        display: flex;
+        flex-direction: column;
+        min-width: 0;
+    }
+
+    .deck-name {
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+    }
+
+    .deck-part .deck-name,
+    .deck-daily .deck-name {
+        font-weight: 600;
+    }
+
+    .deck-text small {
+        color: var(--text-muted);
+        font-size: 0.75rem;
+    }
+
+    .deck-due {
+        color: var(--text-muted);
+        font-size: 0.8rem;
+        white-space: nowrap;
+    }
+
+    .deck-due.has-due {
+        color: var(--accent);
+        font-weight: 600;
+    }
+
+    .deck-item .control-btn:disabled {
+        opacity: 0.35;
+        cursor: default;
+    }
+
+    .flashcard-header {
+        display: flex;
+        justify-content: space-between;
+        margin-bottom: 0.75rem;
+        color: var(--text-muted);
+        font-size: 0.8rem;
+    }
+
+    .flashcard {
+        padding: 1.5rem;
+        border: 1px solid var(--border);
+        border-radius: 12px;
+        background: var(--bg-dark);
+        min-height: 10rem;
+    }
+
+    .flashcard-context {
+        display: block;
+        margin-bottom: 1rem;
+        color: var(--text-muted);
+        font-size: 0.75rem;
+    }
+
+    .flashcard-new {
+        margin-right: 0.5rem;
+        padding: 0.1rem 0.4rem;
+        border-radius: 4px;
+        background: var(--primary);
+        color: white;
+    }
+
+    .flashcard-front {
+        font-size: 1.15rem;
+        font-weight: 600;
+        line-height: 1.5;
+    }
+
+    .flashcard-back {
+        margin-top: 1rem;
+        padding-top: 1rem;
+        border-top: 1px dashed var(--border);
+        color: var(--text-secondary);
+        line-height: 1.6;
+    }
+
+    .flashcard-back ul {
+        margin: 0.75rem 0 0 1.25rem;
+        font-size: 0.9rem;
+    }
+
+    .flashcard-reveal {
+        width: 100%;
+        margin-top: 1rem;
+        padding: 0.75rem;
+        border: none;
+        border-radius: 8px;
+        background: var(--primary);
+        color: white;
+        font-size: 0.95rem;
+        cursor: pointer;
+    }
+
+    .flashcard-grade {
+        display: grid;
+        grid-template-columns: repeat(4, 1fr);
+        gap: 0.5rem;
+        margin-top: 1rem;
+    }
+
+    .grade-btn {
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        gap: 0.2rem;
+        padding: 0.6rem 0.25rem;
+        border: 1px solid var(--border);
+        border-radius: 8px;
+        background: var(--bg-card);
+        color: var(--text-primary);
+        cursor: pointer;
+        transition: var(--transition);
+    }
+
+    .grade-btn small {
+        color: var(--text-muted);
+        font-size: 0.7rem;
+    }
+
+    .grade-again:hover { border-color: #e74c3c; }
+    .grade-hard:hover { border-color: #f39c12; }
+    .grade-good:hover { border-color: #2ecc71; }
+    .grade-easy:hover { border-color: #3498db; }
+
+    .flashcards-done .control-btn {
+        width: auto;
+        margin-top: 1rem;
+        padding: 0.5rem 0.75rem;
+    }
+
+    .nav-due {
+        margin-left: auto;
+        padding: 0 0.4rem;
+        border-radius: 8px;
+        background: var(--accent);
+        color: white;
+        font-size: 0.7rem;
+        font-weight: 600;
+        cursor: pointer;
+    }
+
+    .nav-due[hidden] {
+        display: none;
+    }
+`;
+
+const flashcardStyleSheet = document.createElement('style');
+flashcardStyleSheet.textContent = flashcardStyles;
+document.head.appendChild(flashcardStyleSheet);
+
+// Make FlashcardsPanel globally available
+window.FlashcardsPanel = FlashcardsPanel;
@@ -0,0 +1,344 @@
+/**
+ * Flashcards Module
+ * Builds flashcards from the course content (concept name → definition,
+ * chapter overviews and key takeaways) and schedules them with the SM-2
+ * spaced-repetition algorithm. Cards are identified by the location id
+ * of the content they come from; only review state is stored, in
+ * localStorage, so cards follow edits to the content.
+ *
+ * Decks: 'all' (the daily review), 'part-N' and 'chapter-N'.
+ *
+ * Dispatches `flashcards:changed` on the document after every review.
+ */
+
+class FlashcardStore {
+    constructor() {
+        this.storageKey = 'ob_flashcards';
+        this.version = 1;
+
+        // New cards introduced per day across all decks
+        this.newCardsPerDay = 20;
+
+        // Review grades on the SM-2 0-5 quality scale
+        this.grades = {
+            again: 1,
+            hard: 3,
+            good: 4,
+            easy: 5
+        };
+
+        this.cards = {};
+        this.newToday = { date: this.today(), count: 0 };
+        this.load();
+    }
+
+    /**
+     * Read review state from localStorage
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved && saved.cards && typeof saved.cards === 'object') {
+                Object.entries(saved.cards).forEach(([id, state]) => {
+                    const clean = this.sanitizeState(state);
+                    if (clean && window.ContentData.parseLocationId(id)) this.cards[id] = clean;
+                });
+            }
+            if (saved?.newToday && saved.newToday.date === this.today() && Number.isInteger(saved.newToday.count)) {
+                this.newToday = saved.newToday;
+            }
+        } catch (error) {
+            console.error('❌ Error reading flashcards:', error);
+        }
+    }
+
+    /**
+     * Persist review state and notify listeners
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                version: this.version,
+                newToday: this.newToday,
+                cards: this.cards
+            }));
+        } catch (error) {
+            console.error('❌ Error saving flashcards:', error);
+        }
+
+        document.dispatchEvent(new CustomEvent('flashcards:changed'));
+    }
+
+    /**
+     * Check a stored card state
+     * @param {Object} state - Raw state
+     * @returns {Object|null} Clean state, or null if unusable
+     */
+    sanitizeState(state) {
+        if (!state || typeof state !== 'object') return null;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(state.due)) return null;
+
+        return {
+            ease: typeof state.ease === 'number' && state.ease >= 1.3 ? state.ease : 2.5,
+            interval: Number.isInteger(state.interval) && state.interval >= 0 ? state.interval : 0,
+            repetitions: Number.isInteger(state.repetitions) && state.repetitions >= 0 ? state.repetitions : 0,
+            due: state.due,
+            reviewedAt: typeof state.reviewedAt === 'string' ? state.reviewedAt : null
+        };
+    }
+
+    /**
+     * Today's date in local time
+     * @returns {string} YYYY-MM-DD
+     */
+    today() {
+        return this.formatDate(new Date());
+    }
+
+    /**
+     * Format a date as YYYY-MM-DD in local time
+     * @param {Date} date - Date
+     * @returns {string} Date string
+     */
+    formatDate(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Add days to today
+     * @param {number} days - Days to add
+     * @returns {string} YYYY-MM-DD
+     */
+    daysFromToday(days) {
+        const date = new Date();
+        date.setDate(date.getDate() + days);
+        return this.formatDate(date);
+    }
+
+    /**
+     * Build the cards for one chapter from whatever content is loaded
+     * @param {Object} chapter - Chapter object
+     * @returns {Array} Cards: { id, chapter, type, front, back, examples, context }
+     */
+    buildCards(chapter) {
+        const context = `Chapter ${chapter.chapter}: ${chapter.title}`;
+        const cards = [];
+
+        if (chapter.overview) {
+            cards.push({
+                id: `${chapter.chapter}:overview`,
+                chapter: chapter.chapter,
+                type: 'overview',
+                front: `What is chapter ${chapter.chapter}, “${chapter.title}”, about?`,
+                back: chapter.overview,
+                context
+            });
+        }
+
+        (chapter.keyTakeaways || []).forEach((takeaway, index) => {
+            // Cue with the opening words; the rest is the answer
+            const words = takeaway.split(/\s+/);
+            const cue = words.slice(0, Math.min(5, Math.ceil(words.length / 3))).join(' ');
+
+            cards.push({
+                id: `${chapter.chapter}:t${index}`,
+                chapter: chapter.chapter,
+                type: 'takeaway',
+                front: `Complete key takeaway ${index + 1}: “${cue} …”`,
+                back: takeaway,
+                context
+            });
+        });
+
+        const addSections = (sections, parentPath) => {
+            (sections || []).forEach((section, index) => {
+                const path = parentPath.concat(index);
+
+                (section.concepts || []).forEach((concept, conceptIndex) => {
+                    cards.push({
+                        id: window.ContentData.getLocationId({ chapter: chapter.chapter, section: path, concept: conceptIndex }),
+                        chapter: chapter.chapter,
+                        type: 'concept',
+                        front: concept.name,
+                        back: concept.definition,
+                        examples: concept.examples || [],
+                        context: `${context} › ${section.title}`
+                    });
+                });
+
+                addSections(section.subsections, path);
+            });
+        };
+        addSections(chapter.sections, []);
+
+        return cards;
+    }
+
+    /**
+     * Get every card in a deck, in content order
+     * @param {string} deckId - Deck id
+     * @returns {Array} Cards
+     */
+    getCards(deckId) {
+        return window.ContentData.getScopeChapters(deckId).flatMap(chapter => this.buildCards(chapter));
+    }
+
+    /**
+     * Get a card's review state
+     * @param {string} cardId - Card id
+     * @returns {Object|null} State, or null for a card never reviewed
+     */
+    getState(cardId) {
+        return this.cards[cardId] || null;
+    }
+
+    /**
+     * How many new cards can still be introduced today
+     * @returns {number} Remaining new cards
+     */
+    getNewRemaining() {
+        const count = this.newToday.date === this.today() ? this.newToday.count : 0;
+        return Math.max(this.newCardsPerDay - count, 0);
+    }
+
+    /**
+     * Build today's queue for a deck: cards due for review, most overdue
+     * first, then new cards up to the daily limit
+     * @param {string} deckId - Deck id
+     * @returns {Array} Cards
+     */
+    getQueue(deckId) {
+        const today = this.today();
+        const cards = this.getCards(deckId);
+
+        const due = cards
+            .filter(card => this.cards[card.id] && this.cards[card.id].due <= today)
+            .sort((a, b) => this.cards[a.id].due.localeCompare(this.cards[b.id].due));
+        const fresh = cards
+            .filter(card => !this.cards[card.id])
+            .slice(0, this.getNewRemaining());
+
+        return due.concat(fresh);
+    }
+
+    /**
+     * Count cards due for review today in a deck. New cards aren't
+     * included: the daily allowance is shared by every deck, so counting
+     * it per deck would overstate the workload.
+     * @param {string} deckId - Deck id
+     * @returns {number} Due count
+     */
+    getDueCount(deckId) {
+        const today = this.today();
+        return this.getCards(deckId)
+            .filter(card => this.cards[card.id] && this.cards[card.id].due <= today)
+            .length;
+    }
+
+    /**
+     * Count new cards a session in this deck would introduce today
+     * @param {string} deckId - Deck id
+     * @returns {number} New card count
+     */
+    getNewCount(deckId) {
+        const unseen = this.getCards(deckId).filter(card => !this.cards[card.id]).length;
+        return Math.min(unseen, this.getNewRemaining());
+    }
+
+    /**
+     * Summarize a deck
+     * @param {string} deckId - Deck id
+     * @returns {Object} { total, learned, due, new }
+     */
+    getDeckStats(deckId) {
+        const cards = this.getCards(deckId);
+        return {
+            total: cards.length,
+            learned: cards.filter(card => this.cards[card.id]).length,
+            due: this.getDueCount(deckId),
+            new: this.getNewCount(deckId)
+        };
+    }
+
+    /**
+     * Work out the next state for a grade with SM-2
+     * @param {Object|null} state - Current state, null for a new card
+     * @param {number} quality - Grade, 0-5
+     * @returns {Object} Next state
+     */
+    schedule(state, quality) {
+        const current = state || { ease: 2.5, interval: 0, repetitions: 0 };
+        let { ease, interval, repetitions } = current;
+
+        if (quality < 3) {
+            repetitions = 0;
+            interval = 1;
+        } else {
+            repetitions += 1;
+            if (repetitions === 1) interval = 1;
+            else if (repetitions === 2) interval = 6;
+            else interval = Math.round(interval * ease);
+        }
+
+        ease = Math.max(1.3, ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+
+        return {
+            ease: Math.round(ease * 100) / 100,
+            interval,
+            repetitions,
+            due: this.daysFromToday(interval),
+            reviewedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Days until a card would come back for each grade
+     * @param {string} cardId - Card id
+     * @returns {Object} Grade name → interval in days
+     */
+    previewIntervals(cardId) {
+        const state = this.getState(cardId);
+        const intervals = {};
+
+        Object.entries(this.grades).forEach(([name, quality]) => {
+            intervals[name] = this.schedule(state, quality).interval;
+        });
+        return intervals;
+    }
+
+    /**
+     * Record a review
+     * @param {string} cardId - Card id
+     * @param {string} grade - 'again', 'hard', 'good' or 'easy'
+     * @returns {Object} New state
+     */
+    review(cardId, grade) {
+        const quality = this.grades[grade];
+        if (quality === undefined) throw new Error(`Unknown grade "${grade}"`);
+
+        if (!this.cards[cardId]) {
+            const today = this.today();
+            if (this.newToday.date !== today) this.newToday = { date: today, count: 0 };
+            this.newToday.count++;
+        }
+
+        this.cards[cardId] = this.schedule(this.cards[cardId], quality);
+        this.save();
+        return this.cards[cardId];
+    }
+
+    /**
+     * Check whether anything has been reviewed yet
+     * @returns {boolean} True if there is review state
+     */
+    hasProgress() {
+        return Object.keys(this.cards).length > 0;
+    }
+}
+
+// Create and export singleton instance
+const flashcardStore = new FlashcardStore();
+
+// Make it globally available
+window.Flashcards = flashcardStore;
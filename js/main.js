@@ -6,9 +6,26 @@
 class App {
     constructor() {
         this.contentData = window.ContentData;
+        this.router = window.Router;
+        this.bookmarks = window.Bookmarks;
         this.mindMap = null;
         this.navigation = null;
         this.search = null;
+        this.bookmarksPanel = null;
+        this.flashcardsPanel = null;
+        this.quizPanel = null;
+        this.outlinePanel = null;
+        this.cloze = null;
+        this.annotator = null;
+        this.notesPanel = null;
+        this.readingTracker = null;
+
+        // Location shown in the content panel, for bookmarking
+        this.currentLocation = null;
+
+        // Bumped on every route, so a slow chapter load can tell it was
+        // overtaken by a later navigation
+        this.routeToken = 0;
 
         // DOM Elements
         this.menuToggle = document.getElementById('menuToggle');
@@ -35,8 +52,15 @@ class App {
         this.zoomInBtn = document.getElementById('zoomIn');
         this.zoomOutBtn = document.getElementById('zoomOut');
         this.exportMapBtn = document.getElementById('exportMap');
+        this.exportMenu = document.getElementById('exportMenu');
+        this.layoutSwitcher = document.getElementById('layoutSwitcher');
+        this.snapToGridBtn = document.getElementById('snapToGrid');
+        this.relationsBtn = document.getElementById('toggleRelations');
+        this.resetLayoutBtn = document.getElementById('resetLayout');
+        this.chapterChildrenSelect = document.getElementById('chapterChildren');
 
         this.bookmarkBtn = document.getElementById('bookmarkBtn');
+        this.doneBtn = document.getElementById('doneBtn');
         this.shareBtn = document.getElementById('shareBtn');
     }
 
@@ -57,12 +81,36 @@ class App {
             this.search = new window.Search();
             await this.search.init(this.contentData);
 
+            this.bookmarksPanel = new window.BookmarksPanel();
+            await this.bookmarksPanel.init(this.contentData);
+
+            this.flashcardsPanel = new window.FlashcardsPanel();
+            await this.flashcardsPanel.init(this.contentData);
+
+            this.quizPanel = new window.QuizPanel();
+            await this.quizPanel.init(this.contentData);
+
+            this.outlinePanel = new window.OutlinePanel();
+            await this.outlinePanel.init(this.contentData);
+
+            this.cloze = new window.ClozeReview(this.contentData);
+            this.cloze.attach(this.contentBody, () => this.refreshTakeaways());
+
+            this.annotator = new window.Annotator(this.contentBody);
+            this.readingTracker = new window.ReadingTracker(this.contentBody);
+
+            this.notesPanel = new window.NotesPanel();
+            await this.notesPanel.init(this.contentData);
+
             // Attach event listeners
             this.attachEventListeners();
 
             // Check if first visit
             this.checkFirstVisit();
 
+            // Restore the view from the URL
+            this.setupRoutes();
+
             console.log('✅ App initialized');
         } catch (error) {
             console.error('❌ Error:', error);
@@ -87,17 +135,117 @@ class App {
         this.resetZoomBtn?.addEventListener('click', () => this.mindMap?.resetZoom());
         this.zoomInBtn?.addEventListener('click', () => this.mindMap?.zoomIn());
         this.zoomOutBtn?.addEventListener('click', () => this.mindMap?.zoomOut());
-        this.exportMapBtn?.addEventListener('click', () => this.mindMap?.exportAsImage());
+        this.exportMapBtn?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleExportMenu();
+        });
+        this.exportMenu?.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-format]');
+            if (!option) return;
+
+            this.toggleExportMenu(false);
+            this.mindMap?.exportMap(option.dataset.format, {
+                title: document.getElementById('exportTitle')?.checked,
+                legend: document.getElementById('exportLegend')?.checked
+            });
+        });
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.export-wrapper')) this.toggleExportMenu(false);
+        });
+        this.layoutSwitcher?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-layout]');
+            if (!button) return;
+
+            this.mindMap?.setLayout(button.dataset.layout);
+            this.updateLayoutButtons();
+        });
+        this.snapToGridBtn?.addEventListener('click', () => {
+            this.mindMap?.setSnapToGrid(!this.mindMap.snapToGrid);
+            this.updateLayoutButtons();
+        });
+        this.relationsBtn?.addEventListener('click', () => {
+            this.mindMap?.setShowRelations(!this.mindMap.showRelations);
+            this.updateLayoutButtons();
+        });
+        this.resetLayoutBtn?.addEventListener('click', () => {
+            if (!this.mindMap?.hasCustomLayout()) return;
+            if (confirm('Reset the map to its automatic layout? Nodes you moved will return to their default positions.')) {
+                this.mindMap.resetLayout();
+            }
+        });
+        this.chapterChildrenSelect?.addEventListener('change', (e) => {
+            this.mindMap?.setChapterChildren(e.target.value);
+        });
+        this.updateLayoutButtons();
 
         // Content controls
-        this.backToMap?.addEventListener('click', () => this.showMindMap());
+        this.backToMap?.addEventListener('click', () => {
+            this.router.navigate(this.router.mapPath(this.mindMap?.getExpandedIds()));
+        });
         this.shareBtn?.addEventListener('click', () => this.shareContent());
+        this.bookmarkBtn?.addEventListener('click', () => {
+            if (this.currentLocation) this.bookmarks.toggle(this.currentLocation);
+        });
+        this.doneBtn?.addEventListener('click', () => {
+            const location = this.readingTracker?.getLocation();
+            if (location) window.Progress.setDone(location, !window.Progress.isDone(location));
+        });
 
-        // Custom events
-        document.addEventListener('content:loadChapter', (e) => {
-            this.loadChapterContent(e.detail.chapter);
+        // Bookmark buttons inside the content, e.g. on concept cards
+        this.contentBody?.addEventListener('click', (e) => {
+            const toggle = e.target.closest('.bookmark-toggle');
+            if (!toggle) return;
+
+            e.preventDefault();
+            const location = this.contentData.parseLocationId(toggle.dataset.location);
+            if (location) this.bookmarks.toggle(location);
         });
 
+        document.addEventListener('bookmarks:changed', () => this.updateBookmarkButtons());
+        document.addEventListener('progress:changed', () => this.updateDoneButton());
+        document.addEventListener('content:datasetChanged', () => {
+            this.router.navigate(this.router.mapPath());
+        });
+        // Reading time stops while search results cover the content
+        document.addEventListener('search:opened', () => this.trackReading(null));
+        document.addEventListener('search:closed', () => {
+            if (this.currentLocation) this.trackReading(this.currentLocation);
+        });
+        document.addEventListener('search:showOnMap', (e) => {
+            if (!this.mindMap) return;
+            this.mindMap.mapSearch.show(e.detail.results, e.detail.query);
+            this.router.navigate(this.router.mapPath(this.mindMap.getExpandedIds()));
+        });
+
+        // Fill-in-the-blank review of the key takeaways
+        this.contentBody?.addEventListener('click', (e) => {
+            if (!e.target.closest('.cloze-toggle')) return;
+
+            this.cloze.setEnabled(!this.cloze.enabled);
+            this.refreshTakeaways();
+        });
+
+        // In-page table of contents
+        this.contentBody?.addEventListener('click', (e) => {
+            const link = e.target.closest('.toc-link');
+            if (!link || e.ctrlKey || e.metaKey || e.shiftKey) return;
+
+            e.preventDefault();
+            this.scrollToTocTarget(link.dataset.tocTarget);
+        });
+
+        let spyFrame = null;
+        this.contentBody?.addEventListener('scroll', () => {
+            if (spyFrame) return;
+            spyFrame = requestAnimationFrame(() => {
+                spyFrame = null;
+                this.updateScrollSpy();
+            });
+        });
+        this.contentBody?.addEventListener('toggle', () => this.updateScrollSpy(), true);
+
+        // Custom events
+
         document.addEventListener('nav:itemClick', (e) => {
             this.hideSidebar();
         });
@@ -116,6 +264,7 @@ class App {
             if (e.key === 'Escape') {
                 this.hideSidebar();
                 this.hideSearch();
+                this.toggleExportMenu(false);
             }
             if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
                 e.preventDefault();
@@ -124,6 +273,112 @@ class App {
         });
     }
 
+    // Routing
+    setupRoutes() {
+        this.router
+            .on('/map', (params, query) => this.routeMap(query))
+            .on('/search', (params, query) => this.routeSearch(query))
+            .on('/chapter/:chapter', (params, query) => this.routeLocation(params, query))
+            .on('/chapter/:chapter/takeaway/:takeaway', (params, query) => this.routeLocation(params, query))
+            .on('/chapter/:chapter/section/:section', (params, query) => this.routeLocation(params, query))
+            .on('/chapter/:chapter/section/:section/concept/:concept', (params, query) => this.routeLocation(params, query));
+
+        this.router.start();
+    }
+
+    routeMap(query) {
+        this.routeToken++;
+        this.search?.hideResults({ restoreUrl: false });
+        this.currentLocation = null;
+        this.trackReading(null);
+
+        if (query.expand !== undefined) {
+            this.mindMap?.setExpanded(query.expand.split(',').filter(Boolean));
+        }
+
+        this.showMindMap();
+    }
+
+    routeSearch(query) {
+        this.routeToken++;
+        this.trackReading(null);
+        this.searchBar?.classList.add('active');
+        this.search?.open(query.q || '');
+    }
+
+    async routeLocation(params, query) {
+        const token = ++this.routeToken;
+        const location = this.router.paramsToLocation(params);
+        const chapter = await this.contentData.loadChapter(location.chapter);
+
+        // The user moved on while the chapter was loading
+        if (token !== this.routeToken) return;
+
+        this.search?.hideResults({ restoreUrl: false });
+
+        this.currentLocation = null;
+        this.trackReading(null);
+
+        if (!chapter) {
+            this.showNotFound(`Chapter ${params.chapter} does not exist`);
+            this.updateBookmarkButtons();
+            return;
+        }
+
+        const terms = query.hl ? query.hl.split(',') : [];
+
+        if (location.takeaway !== undefined) {
+            if (!this.loadTakeawayContent(chapter, location.takeaway)) {
+                this.showNotFound(`Chapter ${chapter.chapter} has no takeaway ${location.takeaway + 1}`);
+                this.updateBookmarkButtons();
+                return;
+            }
+            this.navigation?.highlightActive(chapter.chapter);
+        } else if (location.section) {
+            const section = this.loadSectionContent(chapter, location.section);
+            if (!section) {
+                this.showNotFound(`Chapter ${chapter.chapter} has no section ${location.section.join('.')}`);
+                this.updateBookmarkButtons();
+                return;
+            }
+            this.navigation?.highlightActive(chapter.chapter, section.title);
+        } else {
+            this.loadChapterContent(chapter);
+            this.navigation?.highlightActive(chapter.chapter);
+        }
+
+        // Concepts are bookmarked from their cards; the header button
+        // bookmarks the view itself
+        const { concept, ...viewLocation } = location;
+        this.currentLocation = viewLocation;
+        this.updateBookmarkButtons();
+        this.annotator?.apply();
+
+        if (location.concept !== undefined) {
+            this.revealLocation(location, terms);
+        } else if (location.takeaway !== undefined || location.section) {
+            this.highlightTerms(this.contentBody, terms);
+        } else if (terms.length > 0) {
+            this.revealLocation(location, terms);
+        }
+
+        this.trackReading(viewLocation);
+    }
+
+    /**
+     * Track reading of chapter and section pages. Takeaway pages repeat
+     * part of their chapter and aren't tracked on their own.
+     * @param {Object|null} location - Location shown, or null for none
+     */
+    trackReading(location) {
+        if (location && location.takeaway === undefined) {
+            this.readingTracker?.start(location);
+        } else {
+            this.readingTracker?.stop();
+        }
+        this.updateDoneButton();
+    }
+
     // Sidebar
     toggleSidebar() {
         this.sidebar?.classList.toggle('active');
@@ -162,6 +417,31 @@ class App {
         this.quickGuide?.classList.add('hidden');
     }
 
+    toggleExportMenu(open = !this.exportMenu?.classList.contains('active')) {
+        this.exportMenu?.classList.toggle('active', open);
+        this.exportMapBtn?.setAttribute('aria-expanded', open);
+    }
+
+    updateLayoutButtons() {
+        this.layoutSwitcher?.querySelectorAll('[data-layout]').forEach(button => {
+            const active = button.dataset.layout === this.mindMap?.layout;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active);
+        });
+
+        if (this.chapterChildrenSelect && this.mindMap) {
+            this.chapterChildrenSelect.value = this.mindMap.chapterChildren;
+        }
+
+        const snapping = !!this.mindMap?.snapToGrid;
+        this.snapToGridBtn?.classList.toggle('active', snapping);
+        this.snapToGridBtn?.setAttribute('aria-pressed', snapping);
+
+        const relations = !!this.mindMap?.showRelations;
+        this.relationsBtn?.classList.toggle('active', relations);
+        this.relationsBtn?.setAttribute('aria-pressed', relations);
+    }
+
     // Views
     showMindMap() {
         this.contentPanel?.classList.remove('active');
@@ -179,61 +459,582 @@ class App {
 
         this.contentTitle.textContent = `Chapter ${chapter.chapter}: ${chapter.title}`;
 
+        const hasTakeaways = chapter.keyTakeaways && chapter.keyTakeaways.length > 0;
+        const hasSections = chapter.sections && chapter.sections.length > 0;
+
         const html = `
-            <div class="chapter-view">
-                <div class="chapter-header">
-                    <div class="chapter-badge">Chapter ${chapter.chapter}</div>
-                    <h1 class="chapter-title">${chapter.title}</h1>
-                    ${chapter.overview ? `
-                        <p class="chapter-overview">${chapter.overview}</p>
+            <div class="chapter-view ${hasSections ? 'with-toc' : ''}">
+                ${hasSections ? this.renderTableOfContents(chapter) : ''}
+
+                <div class="chapter-main">
+                    <div class="chapter-header" data-location="${chapter.chapter}" data-toc-id="overview">
+                        <div class="chapter-badge">Chapter ${chapter.chapter}</div>
+                        <h1 class="chapter-title">${chapter.title}</h1>
+                        ${chapter.overview ? `
+                            <p class="chapter-overview" data-location="${chapter.chapter}:overview" data-annotate="${chapter.chapter}:overview">${chapter.overview}</p>
+                        ` : ''}
+                    </div>
+
+                    ${this.renderChapterErrors(chapter)}
+
+                    ${chapter.detailStatus === 'missing' ? `
+                        <div class="detail-notice">
+                            <i class="fas fa-info-circle"></i>
+                            Detailed sections for this chapter are not available yet. Showing the course summary.
+                        </div>
                     ` : ''}
+
+                    ${hasTakeaways ? `
+                        <div class="section-block" data-toc-id="takeaways">
+                            <h2 class="section-heading">
+                                <i class="fas fa-key"></i>
+                                Key Takeaways
+                                <button class="cloze-toggle ${this.cloze?.enabled ? 'active' : ''}" aria-pressed="${Boolean(this.cloze?.enabled)}"
+                                        title="Fill in the blanks to test your recall">
+                                    <i class="fas fa-pen-to-square"></i> Review
+                                </button>
+                            </h2>
+                            <div class="takeaways-body" data-chapter="${chapter.chapter}">
+                                ${this.renderTakeaways(chapter)}
+                            </div>
+                        </div>
+                    ` : ''}
+
+                    ${hasSections ? `
+                        <div class="section-block">
+                            <h2 class="section-heading">
+                                <i class="fas fa-list"></i>
+                                Topics
+                            </h2>
+                            <div class="topics-list">
+                                ${chapter.sections.map((s, i) => `
+                                    <div class="topic-item" data-location="${chapter.chapter}:s${i}" data-toc-id="s${i}">
+                                        <h3>
+                                            <a href="#${this.router.locationPath({ chapter: chapter.chapter, section: [i] })}">${s.title}</a>
+                                        </h3>
+                                        ${s.content ? `<p>${s.content}</p>` : ''}
+                                        ${this.renderConcepts(s.concepts, chapter.chapter, [i])}
+                                        ${this.renderSubsections(s.subsections, chapter.chapter, [i])}
+                                    </div>
+                                `).join('')}
+                            </div>
+                        </div>
+                    ` : ''}
+
+                    ${this.renderRelations({ chapter: chapter.chapter })}
+                </div>
+            </div>
+        `;
+
+        this.contentBody.innerHTML = html;
+        this.contentBody.scrollTop = 0;
+        this.updateScrollSpy();
+    }
+
+    /**
+     * Render a chapter's key takeaways, as links or with blanks in review mode
+     * @param {Object} chapter - Chapter object
+     * @returns {string} HTML string
+     */
+    renderTakeaways(chapter) {
+        if (this.cloze?.enabled) return this.cloze.render(chapter);
+
+        return `
+            <div class="takeaways-grid">
+                ${chapter.keyTakeaways.map((t, i) => `
+                    <a class="takeaway-card" data-location="${chapter.chapter}:t${i}"
+                       href="#${this.router.locationPath({ chapter: chapter.chapter, takeaway: i })}">
+                        <div class="takeaway-number">${i + 1}</div>
+                        <p data-annotate="${chapter.chapter}:t${i}">${t}</p>
+                    </a>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Re-render the takeaways of the chapter on screen, e.g. when review
+     * mode is switched, and mark the review toggle
+     */
+    refreshTakeaways() {
+        const body = this.contentBody.querySelector('.takeaways-body');
+        const chapter = body && this.contentData.getChapter(parseInt(body.dataset.chapter));
+        if (!chapter) return;
+
+        body.innerHTML = this.renderTakeaways(chapter);
+        this.annotator?.apply();
+
+        const toggle = this.contentBody.querySelector('.cloze-toggle');
+        toggle.classList.toggle('active', this.cloze.enabled);
+        toggle.setAttribute('aria-pressed', this.cloze.enabled);
+    }
+
+    /**
+     * Show a single section with its subsections and concepts
+     * @param {Object} chapter - Chapter object
+     * @param {Array} sectionPath - Index path of the section
+     * @returns {Object|null} The section shown, or null if it does not exist
+     */
+    loadSectionContent(chapter, sectionPath) {
+        const trail = this.contentData.getSectionTrail(chapter.chapter, sectionPath);
+        if (!trail) return null;
+
+        const section = trail[trail.length - 1];
+        const crumbs = trail.slice(0, -1).map((s, i) => ({
+            label: s.title,
+            path: this.router.locationPath({ chapter: chapter.chapter, section: sectionPath.slice(0, i + 1) })
+        }));
+
+        this.showContent();
+        this.contentTitle.textContent = section.title;
+
+        this.contentBody.innerHTML = `
+            <div class="chapter-view section-view">
+                ${this.renderBreadcrumbs(chapter, crumbs)}
+
+                <div class="detail-header" data-location="${this.contentData.getLocationId({ chapter: chapter.chapter, section: sectionPath })}">
+                    <div class="chapter-badge">Chapter ${chapter.chapter} · Section ${sectionPath.map(i => i + 1).join('.')}</div>
+                    <h1 class="detail-title">${section.title}</h1>
+                    ${section.content ? `<p class="chapter-overview">${section.content}</p>` : ''}
                 </div>
 
-                ${chapter.keyTakeaways && chapter.keyTakeaways.length > 0 ? `
+                ${this.renderConcepts(section.concepts, chapter.chapter, sectionPath)}
+
+                ${section.subsections && section.subsections.length > 0 ? `
                     <div class="section-block">
                         <h2 class="section-heading">
-                            <i class="fas fa-key"></i>
-                            Key Takeaways
+                            <i class="fas fa-sitemap"></i>
+                            Subsections
                         </h2>
-                        <div class="takeaways-grid">
-                            ${chapter.keyTakeaways.map((t, i) => `
-                                <div class="takeaway-card">
-                                    <div class="takeaway-number">${i + 1}</div>
-                                    <p>${t}</p>
-                                </div>
-                            `).join('')}
-                        </div>
+                        ${this.renderSubsections(section.subsections, chapter.chapter, sectionPath)}
                     </div>
                 ` : ''}
 
-                ${chapter.sections && chapter.sections.length > 0 ? `
-                    <div class="section-block">
-                        <h2 class="section-heading">
-                            <i class="fas fa-list"></i>
-                            Topics
-                        </h2>
-                        <div class="topics-list">
-                            ${chapter.sections.map(s => `
-                                <div class="topic-item">
-                                    <h3>${s.title}</h3>
-                                    ${s.content ? `<p>${s.content}</p>` : ''}
-                                </div>
-                            `).join('')}
-                        </div>
+                ${this.renderRelations({ chapter: chapter.chapter, section: sectionPath })}
+            </div>
+        `;
+        this.contentBody.scrollTop = 0;
+
+        return section;
+    }
+
+    /**
+     * Render nested subsections as collapsible accordions
+     * @param {Array} sections - Subsections
+     * @param {number} chapterNum - Chapter number
+     * @param {Array} parentPath - Index path of the parent section
+     * @returns {string} HTML string
+     */
+    renderSubsections(sections, chapterNum, parentPath) {
+        if (!sections || sections.length === 0) return '';
+
+        return `
+            <div class="subsections">
+                ${sections.map((s, i) => {
+                    const path = parentPath.concat(i);
+                    return `
+                        <details class="subsection" data-location="${this.contentData.getLocationId({ chapter: chapterNum, section: path })}"
+                                 data-toc-id="s${path.join('.')}">
+                            <summary>
+                                <i class="fas fa-chevron-right"></i>
+                                <span>${s.title}</span>
+                                <a class="subsection-link" href="#${this.router.locationPath({ chapter: chapterNum, section: path })}"
+                                   title="Open section"><i class="fas fa-external-link-alt"></i></a>
+                            </summary>
+                            <div class="subsection-body">
+                                ${s.content ? `<p>${s.content}</p>` : ''}
+                                ${this.renderConcepts(s.concepts, chapterNum, path)}
+                                ${this.renderSubsections(s.subsections, chapterNum, path)}
+                            </div>
+                        </details>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the in-page table of contents: overview, takeaways, and
+     * sections with their first level of subsections
+     * @param {Object} chapter - Chapter object
+     * @returns {string} HTML string
+     */
+    renderTableOfContents(chapter) {
+        const link = (tocId, label, path, level) => `
+            <a class="toc-link level-${level}" data-toc-target="${tocId}" href="#${path}">${label}</a>
+        `;
+        const chapterPath = this.router.locationPath({ chapter: chapter.chapter });
+
+        return `
+            <nav class="chapter-toc" aria-label="On this page">
+                <div class="toc-title">On this page</div>
+                ${link('overview', 'Overview', chapterPath, 1)}
+                ${chapter.keyTakeaways && chapter.keyTakeaways.length > 0 ?
+                    link('takeaways', 'Key Takeaways', chapterPath, 1) : ''}
+                ${chapter.sections.map((s, i) => `
+                    ${link(`s${i}`, s.title, this.router.locationPath({ chapter: chapter.chapter, section: [i] }), 1)}
+                    ${(s.subsections || []).map((sub, j) =>
+                        link(`s${i}.${j}`, sub.title, this.router.locationPath({ chapter: chapter.chapter, section: [i, j] }), 2)
+                    ).join('')}
+                `).join('')}
+            </nav>
+        `;
+    }
+
+    /**
+     * Scroll to a table of contents entry, opening its accordion
+     * @param {string} tocId - Target's data-toc-id
+     */
+    scrollToTocTarget(tocId) {
+        const target = this.contentBody.querySelector(`[data-toc-id="${tocId}"]`);
+        if (!target) return;
+
+        this.expandAncestors(target);
+        target.scrollIntoView?.({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Mark the table of contents entry for the part of the chapter
+     * currently at the top of the content panel
+     */
+    updateScrollSpy() {
+        const links = [...this.contentBody.querySelectorAll('.toc-link')];
+        if (links.length === 0) return;
+
+        const top = this.contentBody.getBoundingClientRect().top + 80;
+        let current = links[0];
+
+        links.forEach(link => {
+            const target = this.contentBody.querySelector(`[data-toc-id="${link.dataset.tocTarget}"]`);
+            // Skip targets hidden inside a closed accordion
+            if (!target || target.getClientRects().length === 0) return;
+            if (target.getBoundingClientRect().top <= top) current = link;
+        });
+
+        links.forEach(link => link.classList.toggle('active', link === current));
+    }
+
+    /**
+     * Render concept cards with definitions and examples
+     * @param {Array} concepts - Concepts of a section
+     * @param {number} chapterNum - Chapter number
+     * @param {Array} sectionPath - Index path of the section
+     * @returns {string} HTML string
+     */
+    renderConcepts(concepts, chapterNum, sectionPath) {
+        if (!concepts || concepts.length === 0) return '';
+
+        return `
+            <div class="concepts-grid">
+                ${concepts.map((c, i) => `
+                    <div class="concept-card" data-location="${this.contentData.getLocationId({ chapter: chapterNum, section: sectionPath, concept: i })}">
+                        <button class="bookmark-toggle" data-location="${this.contentData.getLocationId({ chapter: chapterNum, section: sectionPath, concept: i })}"
+                                title="Bookmark concept">
+                            <i class="fas fa-bookmark"></i>
+                        </button>
+                        <h4 class="concept-name">${c.name}</h4>
+                        <p class="concept-definition" data-annotate="${this.contentData.getLocationId({ chapter: chapterNum, section: sectionPath, concept: i })}">${c.definition}</p>
+                        ${c.examples && c.examples.length > 0 ? `
+                            <ul class="concept-examples">
+                                ${c.examples.map(ex => `<li>${ex}</li>`).join('')}
+                            </ul>
+                        ` : ''}
                     </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * List the items a location links to and the items linking back to it
+     * @param {Object} location - Location of the view
+     * @returns {string} HTML string
+     */
+    renderRelations(location) {
+        const relations = this.contentData.getRelationsFor(location);
+        if (relations.length === 0) return '';
+
+        const icons = { chapter: 'fa-book', section: 'fa-folder', takeaway: 'fa-key', concept: 'fa-lightbulb' };
+
+        const renderList = (entries) => `
+            <div class="related-list">
+                ${entries.map(entry => {
+                    const item = this.contentData.describeLocation(entry.other);
+                    return `
+                        <a class="related-item" href="#${this.router.locationPath(entry.other)}">
+                            <i class="fas ${icons[item.type]}"></i>
+                            <span class="related-text">
+                                <span class="relation-type relation-${entry.type}">${entry.label}</span>
+                                <span class="related-label">${this.truncate(item.label, 120)}</span>
+                                <small>${item.context}</small>
+                                ${entry.notes.map(note => `<span class="related-note">${note}</span>`).join('')}
+                            </span>
+                        </a>
+                    `;
+                }).join('')}
+            </div>
+        `;
+
+        const outgoing = relations.filter(entry => !entry.incoming);
+        const incoming = relations.filter(entry => entry.incoming);
+
+        return `
+            <div class="section-block related-block">
+                ${outgoing.length > 0 ? `
+                    <h2 class="section-heading">
+                        <i class="fas fa-link"></i>
+                        Related
+                    </h2>
+                    ${renderList(outgoing)}
+                ` : ''}
+                ${incoming.length > 0 ? `
+                    <h2 class="section-heading">
+                        <i class="fas fa-reply"></i>
+                        Backlinks
+                    </h2>
+                    ${renderList(incoming)}
                 ` : ''}
             </div>
         `;
+    }
 
-        this.contentBody.innerHTML = html;
+    /**
+     * Show one key takeaway in the context of its chapter
+     * @param {Object} chapter - Chapter object
+     * @param {number} index - Takeaway index
+     * @returns {boolean} False if the takeaway does not exist
+     */
+    loadTakeawayContent(chapter, index) {
+        const takeaways = chapter.keyTakeaways || [];
+        if (!Number.isInteger(index) || index < 0 || index >= takeaways.length) return false;
+
+        const takeawayPath = (i) => this.router.locationPath({ chapter: chapter.chapter, takeaway: i });
+
+        this.showContent();
+        this.contentTitle.textContent = `Chapter ${chapter.chapter}: Key Takeaway ${index + 1}`;
+
+        this.contentBody.innerHTML = `
+            <div class="chapter-view takeaway-view">
+                ${this.renderBreadcrumbs(chapter, [])}
+
+                <div class="detail-header">
+                    <div class="chapter-badge">Key Takeaway ${index + 1} of ${takeaways.length}</div>
+                    <h1 class="detail-title">${chapter.title}</h1>
+                    ${chapter.overview ? `<p class="chapter-overview" data-annotate="${chapter.chapter}:overview">${chapter.overview}</p>` : ''}
+                </div>
+
+                <div class="takeaway-card takeaway-focus" data-location="${chapter.chapter}:t${index}">
+                    <div class="takeaway-number">${index + 1}</div>
+                    <p data-annotate="${chapter.chapter}:t${index}">${takeaways[index]}</p>
+                </div>
+
+                ${this.renderRelations({ chapter: chapter.chapter, takeaway: index })}
+
+                <nav class="pager">
+                    ${index > 0 ? `
+                        <a class="pager-link prev" href="#${takeawayPath(index - 1)}">
+                            <i class="fas fa-arrow-left"></i>
+                            <span>${this.truncate(takeaways[index - 1], 80)}</span>
+                        </a>
+                    ` : '<span></span>'}
+                    ${index < takeaways.length - 1 ? `
+                        <a class="pager-link next" href="#${takeawayPath(index + 1)}">
+                            <span>${this.truncate(takeaways[index + 1], 80)}</span>
+                            <i class="fas fa-arrow-right"></i>
+                        </a>
+                    ` : '<span></span>'}
+                </nav>
+            </div>
+        `;
         this.contentBody.scrollTop = 0;
+
+        return true;
+    }
+
+    /**
+     * Render breadcrumbs: part, chapter, then any extra crumbs
+     * @param {Object} chapter - Chapter object
+     * @param {Array} crumbs - Extra { label, path } entries after the chapter
+     * @returns {string} HTML string
+     */
+    renderBreadcrumbs(chapter, crumbs) {
+        const part = this.contentData.getPartForChapter(chapter.chapter);
+        const items = [];
+
+        if (part) {
+            items.push({
+                label: `Part ${part.part}: ${part.title}`,
+                path: this.router.mapPath([`part-${part.part}`, `chapter-${chapter.chapter}`])
+            });
+        }
+        items.push({
+            label: `Chapter ${chapter.chapter}: ${chapter.title}`,
+            path: this.router.locationPath({ chapter: chapter.chapter })
+        });
+
+        return `
+            <nav class="breadcrumbs" aria-label="Breadcrumb">
+                ${items.concat(crumbs).map(item => `
+                    <a href="#${item.path}">${item.label}</a>
+                `).join('<i class="fas fa-chevron-right"></i>')}
+            </nav>
+        `;
+    }
+
+    /**
+     * Shorten text for compact labels
+     * @param {string} text - Text
+     * @param {number} length - Max length
+     * @returns {string} Truncated text
+     */
+    truncate(text, length) {
+        return text.length <= length ? text : text.substring(0, length) + '...';
+    }
+
+    /**
+     * Show an error in the content panel for a route that matches nothing
+     * @param {string} message - What could not be found
+     */
+    showNotFound(message) {
+        this.showContent();
+        this.contentTitle.textContent = 'Not found';
+        this.showError(new Error(message));
+    }
+
+    /**
+     * Reflect bookmark state on the header button and concept cards
+     */
+    updateBookmarkButtons() {
+        const bookmarked = this.bookmarks.getBookmarkedIds();
+
+        if (this.bookmarkBtn) {
+            const active = this.currentLocation !== null &&
+                bookmarked.has(this.contentData.getLocationId(this.currentLocation));
+            this.bookmarkBtn.disabled = this.currentLocation === null;
+            this.bookmarkBtn.classList.toggle('bookmarked', active);
+            this.bookmarkBtn.title = active ? 'Remove bookmark' : 'Bookmark this page';
+            this.bookmarkBtn.querySelector('i')?.classList.replace(active ? 'far' : 'fas', active ? 'fas' : 'far');
+        }
+
+        this.contentBody?.querySelectorAll('.bookmark-toggle').forEach(toggle => {
+            toggle.classList.toggle('bookmarked', bookmarked.has(toggle.dataset.location));
+        });
+    }
+
+    /**
+     * Reflect the done mark of the tracked page on the header button
+     */
+    updateDoneButton() {
+        if (!this.doneBtn) return;
+
+        const location = this.readingTracker?.getLocation();
+        const done = Boolean(location) && window.Progress.isDone(location);
+
+        this.doneBtn.disabled = !location;
+        this.doneBtn.classList.toggle('done', done);
+        this.doneBtn.title = done ? 'Marked as done - click to undo' : 'Mark as done';
+        this.doneBtn.setAttribute('aria-pressed', done);
+        this.doneBtn.querySelector('i')?.classList.replace(done ? 'far' : 'fas', done ? 'fas' : 'far');
+    }
+
+    /**
+     * Scroll to a location in the content panel, expanding collapsed
+     * parents and flash-highlighting the matched terms. Falls back to
+     * the nearest rendered container of the location.
+     * @param {Object} location - Location from ContentData
+     * @param {Array} terms - Words or phrases to highlight
+     */
+    revealLocation(location, terms = []) {
+        const target = this.contentData.getLocationAncestors(location)
+            .map(id => this.contentBody.querySelector(`[data-location="${id}"]`))
+            .find(Boolean);
+
+        if (!target) return;
+
+        this.expandAncestors(target);
+        this.highlightTerms(target, terms);
+
+        target.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+        target.classList.remove('flash-highlight');
+        void target.offsetWidth;
+        target.classList.add('flash-highlight');
+        setTimeout(() => target.classList.remove('flash-highlight'), 2000);
+    }
+
+    /**
+     * Open any collapsed accordions containing an element, and the
+     * element itself if it is one
+     * @param {HTMLElement} element - Element to make visible
+     */
+    expandAncestors(element) {
+        let parent = element.closest('details');
+        while (parent) {
+            parent.open = true;
+            parent = parent.parentElement?.closest('details');
+        }
+    }
+
+    /**
+     * Wrap occurrences of the terms inside an element in <mark>
+     * @param {HTMLElement} element - Element to search
+     * @param {Array} terms - Words or phrases
+     */
+    highlightTerms(element, terms) {
+        const words = terms.filter(Boolean).map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        if (words.length === 0) return;
+
+        const pattern = `\\b(${words.sort((a, b) => b.length - a.length).join('|')})\\b`;
+        const regex = new RegExp(pattern, 'gi');
+        // Separate test regex: a global one keeps lastIndex between nodes
+        const hasMatch = new RegExp(pattern, 'i');
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+
+        nodes.forEach(node => {
+            if (!hasMatch.test(node.nodeValue) || node.parentElement.closest('mark')) return;
+
+            const fragment = document.createDocumentFragment();
+            let last = 0;
+            node.nodeValue.replace(regex, (match, _group, offset) => {
+                fragment.append(node.nodeValue.slice(last, offset));
+                const mark = document.createElement('mark');
+                mark.className = 'search-hit';
+                mark.textContent = match;
+                fragment.append(mark);
+                last = offset + match.length;
+            });
+            fragment.append(node.nodeValue.slice(last));
+            node.replaceWith(fragment);
+        });
+    }
+
+    renderChapterErrors(chapter) {
+        const errors = this.contentData.getChapterErrors(chapter.chapter)
+            .filter(err => err.severity === 'error');
+
+        if (errors.length === 0) return '';
+
+        return `
+            <div class="content-errors">
+                <h3>
+                    <i class="fas fa-exclamation-triangle"></i>
+                    Chapter ${chapter.chapter} has content errors
+                </h3>
+                <ul>
+                    ${errors.map(err => `
+                        <li><code>${window.ContentSchema.formatPath(err.path)}</code> ${err.message}</li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
     }
 
     // Share
     shareContent() {
         if (navigator.share) {
             navigator.share({
-                title: 'OB Mind Map',
+                title: document.title,
                 text: 'Organizational Behavior & Development Course',
                 url: window.location.href
             }).catch(() => {});
@@ -381,6 +1182,395 @@ const styles = `
         line-height: 1.6;
     }
 
+    a.takeaway-card {
+        text-decoration: none;
+        color: inherit;
+    }
+
+    .topic-item h3 a {
+        color: inherit;
+        text-decoration: none;
+    }
+
+    .topic-item h3 a:hover {
+        color: var(--primary);
+    }
+
+    .subsections {
+        display: grid;
+        gap: 0.5rem;
+        margin-top: 1rem;
+    }
+
+    .subsection {
+        border: 1px solid var(--border);
+        border-radius: 8px;
+        background: var(--bg-dark);
+    }
+
+    .subsection summary {
+        display: flex;
+        align-items: center;
+        gap: 0.6rem;
+        padding: 0.75rem 1rem;
+        cursor: pointer;
+        list-style: none;
+        font-weight: 500;
+        color: var(--text-primary);
+    }
+
+    .subsection summary::-webkit-details-marker {
+        display: none;
+    }
+
+    .subsection summary > i {
+        font-size: 0.7rem;
+        color: var(--text-muted);
+        transition: transform 0.2s;
+    }
+
+    .subsection[open] > summary > i {
+        transform: rotate(90deg);
+    }
+
+    .subsection summary span {
+        flex: 1;
+    }
+
+    .subsection-link {
+        color: var(--text-muted);
+        font-size: 0.75rem;
+    }
+
+    .subsection-link:hover {
+        color: var(--primary);
+    }
+
+    .subsection-body {
+        padding: 0 1rem 1rem;
+    }
+
+    .subsection-body > p {
+        margin: 0;
+        color: var(--text-secondary);
+        line-height: 1.6;
+    }
+
+    .subsection .concept-card {
+        background: var(--bg-card);
+    }
+
+    .chapter-toc {
+        background: var(--bg-card);
+        border: 1px solid var(--border);
+        border-radius: 8px;
+        padding: 1rem;
+        margin-bottom: 2rem;
+        font-size: 0.85rem;
+    }
+
+    .toc-title {
+        font-weight: 600;
+        color: var(--text-muted);
+        text-transform: uppercase;
+        letter-spacing: 0.05em;
+        font-size: 0.75rem;
+        margin-bottom: 0.5rem;
+    }
+
+    .toc-link {
+        display: block;
+        padding: 0.3rem 0.5rem;
+        border-left: 2px solid transparent;
+        color: var(--text-secondary);
+        text-decoration: none;
+        line-height: 1.4;
+    }
+
+    .toc-link.level-2 {
+        padding-left: 1.25rem;
+        font-size: 0.8rem;
+    }
+
+    .toc-link:hover {
+        color: var(--text-primary);
+    }
+
+    .toc-link.active {
+        color: var(--primary);
+        border-left-color: var(--primary);
+    }
+
+    .breadcrumbs {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 0.5rem;
+        margin-bottom: 2rem;
+        font-size: 0.85rem;
+    }
+
+    .breadcrumbs a {
+        color: var(--text-secondary);
+        text-decoration: none;
+    }
+
+    .breadcrumbs a:hover {
+        color: var(--primary);
+    }
+
+    .breadcrumbs i {
+        font-size: 0.65rem;
+        color: var(--text-muted);
+    }
+
+    .detail-header {
+        margin-bottom: 2.5rem;
+    }
+
+    .detail-title {
+        font-size: 2rem;
+        font-weight: 700;
+        margin-bottom: 1rem;
+        color: var(--text-primary);
+    }
+
+    .detail-header .chapter-overview {
+        margin: 0;
+    }
+
+    .concepts-grid {
+        display: grid;
+        gap: 1rem;
+        margin: 1rem 0 2rem;
+    }
+
+    .topic-item .concepts-grid {
+        margin-bottom: 0;
+    }
+
+    .concept-card {
+        position: relative;
+        background: var(--bg-dark);
+        border: 1px solid var(--border);
+        border-radius: 8px;
+        padding: 1rem 1.25rem;
+    }
+
+    .concept-card .bookmark-toggle {
+        position: absolute;
+        top: 0.75rem;
+        right: 0.75rem;
+    }
+
+    #bookmarkBtn.bookmarked {
+        color: var(--accent);
+    }
+
+    #doneBtn.done {
+        color: #2ecc71;
+    }
+
+    .concept-name {
+        margin: 0 0 0.35rem;
+        padding-right: 1.5rem;
+        color: var(--secondary);
+        font-size: 1rem;
+    }
+
+    .concept-definition {
+        margin: 0;
+        color: var(--text-secondary);
+        line-height: 1.6;
+    }
+
+    .concept-examples {
+        margin: 0.75rem 0 0;
+        padding-left: 1.25rem;
+        color: var(--text-muted);
+        font-size: 0.9rem;
+    }
+
+    .takeaway-focus {
+        padding: 2rem;
+        border-color: var(--secondary);
+    }
+
+    .takeaway-focus p {
+        font-size: 1.2rem;
+        color: var(--text-primary);
+    }
+
+    .related-block .section-heading + .related-list {
+        margin-bottom: 1.5rem;
+    }
+
+    .related-list {
+        display: grid;
+        gap: 0.75rem;
+    }
+
+    .related-item {
+        display: flex;
+        align-items: flex-start;
+        gap: 0.75rem;
+        padding: 0.85rem 1rem;
+        background: var(--bg-card);
+        border: 1px solid var(--border);
+        border-radius: 8px;
+        color: var(--text-secondary);
+        text-decoration: none;
+        transition: var(--transition);
+    }
+
+    .related-item:hover {
+        border-color: var(--primary);
+    }
+
+    .related-item > i {
+        margin-top: 0.2rem;
+        color: var(--primary);
+    }
+
+    .related-text {
+        display: flex;
+        flex-direction: column;
+        gap: 0.2rem;
+        min-width: 0;
+    }
+
+    .related-label {
+        color: var(--text-primary);
+    }
+
+    .related-text small {
+        color: var(--text-muted);
+    }
+
+    .related-note {
+        font-size: 0.85rem;
+        font-style: italic;
+    }
+
+    .relation-type {
+        align-self: flex-start;
+        padding: 0.05rem 0.5rem;
+        border: 1px solid currentColor;
+        border-radius: 999px;
+        font-size: 0.75rem;
+        font-weight: 600;
+    }
+
+    .relation-related-to {
+        color: #95a5a6;
+    }
+
+    .relation-builds-on {
+        color: #1abc9c;
+    }
+
+    .relation-contrasts-with {
+        color: #e74c3c;
+    }
+
+    .pager {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 1rem;
+        margin-top: 2rem;
+    }
+
+    .pager-link {
+        display: flex;
+        align-items: center;
+        gap: 0.75rem;
+        padding: 1rem;
+        background: var(--bg-card);
+        border: 1px solid var(--border);
+        border-radius: 8px;
+        color: var(--text-secondary);
+        text-decoration: none;
+        font-size: 0.9rem;
+        transition: var(--transition);
+    }
+
+    .pager-link:hover {
+        border-color: var(--primary);
+        color: var(--text-primary);
+    }
+
+    .pager-link.next {
+        justify-content: flex-end;
+        text-align: right;
+    }
+
+    .detail-notice {
+        display: flex;
+        align-items: center;
+        gap: 0.75rem;
+        background: var(--bg-card);
+        border: 1px dashed var(--border);
+        border-radius: 8px;
+        padding: 0.75rem 1rem;
+        margin-bottom: 2rem;
+        color: var(--text-muted);
+        font-size: 0.9rem;
+    }
+
+    .content-errors {
+        background: rgba(231, 76, 60, 0.1);
+        border: 1px solid rgba(231, 76, 60, 0.4);
+        border-radius: 8px;
+        padding: 1rem 1.25rem;
+        margin-bottom: 2rem;
+        font-size: 0.9rem;
+    }
+
+    .content-errors h3 {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        font-size: 1rem;
+        color: #e74c3c;
+        margin-bottom: 0.5rem;
+    }
+
+    .content-errors ul {
+        margin: 0;
+        padding-left: 1.25rem;
+        color: var(--text-secondary);
+    }
+
+    .content-errors code {
+        color: var(--text-primary);
+    }
+
+    .nav-chapter-warning {
+        color: #e74c3c;
+        margin-left: 0.5rem;
+    }
+
+    .flash-highlight {
+        animation: flash-highlight 2s ease-out;
+    }
+
+    @keyframes flash-highlight {
+        0%, 30% {
+            box-shadow: 0 0 0 3px var(--accent);
+            background-color: rgba(230, 126, 34, 0.15);
+        }
+        100% {
+            box-shadow: 0 0 0 0 transparent;
+        }
+    }
+
+    mark.search-hit {
+        background: var(--accent);
+        color: white;
+        padding: 0 2px;
+        border-radius: 3px;
+    }
+
     .error-view {
         text-align: center;
         padding: 4rem 2rem;
@@ -403,6 +1593,24 @@ const styles = `
         width: auto;
     }
 
+    @media (min-width: 1200px) {
+        .chapter-view.with-toc {
+            max-width: 1200px;
+            display: grid;
+            grid-template-columns: 240px 1fr;
+            gap: 2.5rem;
+            align-items: start;
+        }
+
+        .chapter-toc {
+            position: sticky;
+            top: 0;
+            max-height: calc(100vh - 10rem);
+            overflow-y: auto;
+            margin-bottom: 0;
+        }
+    }
+
     @media (min-width: 768px) {
         .takeaways-grid {
             grid-template-columns: repeat(2, 1fr);
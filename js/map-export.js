@@ -0,0 +1,463 @@
+/**
+ * Map Export Module
+ * Exports the whole expanded mind map, not just the visible viewport,
+ * as a standalone SVG, a multi-page PDF or a high-DPI PNG. Everything
+ * is generated in the browser; the PDF libraries are fetched on first use.
+ */
+
+class MapExporter {
+    constructor(mindMap, courseData) {
+        this.mindMap = mindMap;
+        this.courseData = courseData;
+
+        this.svgNS = 'http://www.w3.org/2000/svg';
+        this.margin = 60;
+        this.titleHeight = 90;
+        this.legendRowHeight = 28;
+        this.fileName = 'ob-mindmap';
+
+        // Background matching the on-screen radial gradient
+        this.background = { inner: '#1a1f2e', outer: '#0f1419' };
+
+        // Computed styles copied onto each element so the file needs no page CSS
+        this.styleProperties = ['fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity',
+            'stroke-dasharray', 'font-family', 'font-size', 'font-weight', 'font-style'];
+
+        this.pdfLibraries = [
+            'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js',
+            'https://cdn.jsdelivr.net/npm/svg2pdf.js@2.2.3/dist/svg2pdf.umd.min.js'
+        ];
+        this.fontStylesheet = 'https://fonts.googleapis.com/css2?family=Inter:wght@400;600;700&display=swap';
+
+        // jsPDF embeds TrueType only, so the PDF takes Inter from Fontsource;
+        // one file per weight and style the map uses
+        this.pdfFontUrl = 'https://cdn.jsdelivr.net/fontsource/fonts/inter@latest/latin-{weight}-{style}.ttf';
+        this.pdfFontFaces = [
+            { weight: 400, style: 'normal' },
+            { weight: 600, style: 'normal' },
+            { weight: 700, style: 'normal' },
+            { weight: 600, style: 'italic' }
+        ];
+        this.pdfFonts = null;
+    }
+
+    /**
+     * Export the map
+     * @param {string} format - 'svg', 'pdf' or 'png'
+     * @param {Object} options - Export options
+     * @param {boolean} options.legend - Add a legend of course parts
+     * @param {boolean} options.title - Add a title block with course details
+     */
+    async export(format, { legend = true, title = true } = {}) {
+        // The PDF gets its fonts from jsPDF (see addPdfFonts), not @font-face
+        const svg = await this.buildSvg({ legend, title, embedFonts: format !== 'pdf' });
+
+        if (format === 'svg') {
+            const text = this.serialize(svg);
+            this.download(new Blob([text], { type: 'image/svg+xml' }), `${this.fileName}.svg`);
+        } else if (format === 'png') {
+            this.download(await this.toPng(svg), `${this.fileName}.png`);
+        } else if (format === 'pdf') {
+            this.download(await this.toPdf(svg), `${this.fileName}.pdf`);
+        } else {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+
+    /**
+     * Build a standalone SVG of every visible node, sized to fit them all
+     * @param {Object} options - { legend, title, embedFonts }
+     * @returns {Promise<SVGElement>} Detached SVG element
+     */
+    async buildSvg({ legend, title, embedFonts }) {
+        const nodes = this.mindMap.positioned;
+        if (nodes.length === 0) throw new Error('The map is empty');
+
+        const { nodeWidth, nodeHeight } = this.mindMap;
+        const minX = Math.min(...nodes.map(n => n.x)) - nodeWidth / 2;
+        const maxX = Math.max(...nodes.map(n => n.x)) + nodeWidth / 2 + 30;
+        const minY = Math.min(...nodes.map(n => n.y)) - nodeHeight / 2;
+        const maxY = Math.max(...nodes.map(n => n.y)) + nodeHeight / 2 + 30;
+
+        const parts = legend ? this.courseData.getParts() : [];
+        const top = this.margin + (title ? this.titleHeight : 0);
+        const legendHeight = parts.length > 0 ? parts.length * this.legendRowHeight + 40 : 0;
+        const width = Math.max(maxX - minX + this.margin * 2, title ? 700 : 0);
+        const height = maxY - minY + top + this.margin + legendHeight;
+
+        const svg = document.createElementNS(this.svgNS, 'svg');
+        svg.setAttribute('width', Math.ceil(width));
+        svg.setAttribute('height', Math.ceil(height));
+        svg.setAttribute('viewBox', `0 0 ${Math.ceil(width)} ${Math.ceil(height)}`);
+
+        if (embedFonts) {
+            const css = await this.loadFontCss();
+            if (css) this.append(svg, 'style', {}).textContent = css;
+        }
+
+        this.appendBackground(svg, width, height);
+
+        const content = this.cloneMap();
+        content.setAttribute('transform', `translate(${this.margin - minX}, ${top - minY})`);
+        svg.appendChild(content);
+
+        if (title) this.appendTitle(svg);
+        if (parts.length > 0) this.appendLegend(svg, parts, height - legendHeight);
+
+        return svg;
+    }
+
+    /**
+     * Copy the map group with final positions and inlined styles.
+     * Positions come from the layout rather than the DOM so a running
+     * transition doesn't end up in the file.
+     * @returns {SVGGElement} Cloned group
+     */
+    cloneMap() {
+        const original = this.mindMap.g.node();
+        const clone = original.cloneNode(true);
+        const { nodeWidth, nodeHeight } = this.mindMap;
+
+        this.inlineStyles(original, clone);
+
+        const originalNodes = original.querySelectorAll('.node');
+        clone.querySelectorAll('.node').forEach((el, i) => {
+            const d = originalNodes[i].__data__;
+            el.setAttribute('transform', `translate(${d.x - nodeWidth / 2}, ${d.y - nodeHeight / 2})`);
+        });
+
+        const originalLinks = original.querySelectorAll('.link');
+        clone.querySelectorAll('.link').forEach((el, i) => {
+            const d = originalLinks[i].__data__;
+            el.setAttribute('d', this.mindMap.getLinkPath(d.source, d.target));
+        });
+
+        const originalRelations = original.querySelectorAll('.relation');
+        clone.querySelectorAll('.relation').forEach((el, i) => {
+            const d = originalRelations[i].__data__;
+            const { path, label } = this.mindMap.getRelationGeometry(d.source, d.target, d.lane);
+            el.querySelector('path').setAttribute('d', path);
+            el.querySelector('text').setAttribute('x', label.x);
+            el.querySelector('text').setAttribute('y', label.y);
+        });
+
+        // Icon-font glyphs won't render without the icon font; draw the shape instead
+        clone.querySelectorAll('.node-bookmark').forEach(el => {
+            const x = parseFloat(el.getAttribute('x'));
+            const y = parseFloat(el.getAttribute('y'));
+            const marker = document.createElementNS(this.svgNS, 'path');
+            marker.setAttribute('d', `M ${x - 5},${y - 7} h 10 v 14 l -5,-4 l -5,4 z`);
+            marker.setAttribute('fill', el.style.fill || '#e67e22');
+            el.replaceWith(marker);
+        });
+
+        clone.querySelectorAll('[style]').forEach(el => {
+            el.style.removeProperty('filter');
+            el.style.removeProperty('cursor');
+            el.style.removeProperty('pointer-events');
+        });
+
+        return clone;
+    }
+
+    /**
+     * Copy computed presentation styles from the live map onto the clone
+     * @param {Element} original - Live element
+     * @param {Element} clone - Cloned element
+     */
+    inlineStyles(original, clone) {
+        const sources = [original, ...original.querySelectorAll('*')];
+        const targets = [clone, ...clone.querySelectorAll('*')];
+
+        sources.forEach((source, i) => {
+            const computed = window.getComputedStyle(source);
+            this.styleProperties.forEach(prop => {
+                const value = computed.getPropertyValue(prop);
+                if (value && !targets[i].style.getPropertyValue(prop)) {
+                    targets[i].style.setProperty(prop, value);
+                }
+            });
+        });
+    }
+
+    /**
+     * Add the radial gradient background
+     * @param {SVGElement} svg - Export SVG
+     * @param {number} width - Width
+     * @param {number} height - Height
+     */
+    appendBackground(svg, width, height) {
+        const defs = this.append(svg, 'defs', {});
+        const gradient = this.append(defs, 'radialGradient', { id: 'map-background', cx: '50%', cy: '50%', r: '75%' });
+        this.append(gradient, 'stop', { offset: '0%', 'stop-color': this.background.inner });
+        this.append(gradient, 'stop', { offset: '100%', 'stop-color': this.background.outer });
+
+        this.append(svg, 'rect', { width, height, fill: 'url(#map-background)' });
+    }
+
+    /**
+     * Add the course title block
+     * @param {SVGElement} svg - Export SVG
+     */
+    appendTitle(svg) {
+        const meta = this.courseData.getMetadata();
+        const details = [meta.level, meta.university, meta.instructor, meta.date].filter(Boolean).join(' · ');
+
+        this.append(svg, 'text', {
+            x: this.margin, y: this.margin + 28,
+            fill: '#ffffff', 'font-family': 'Inter, sans-serif', 'font-size': 28, 'font-weight': 700
+        }).textContent = meta.title || 'Course Mind Map';
+
+        if (details) {
+            this.append(svg, 'text', {
+                x: this.margin, y: this.margin + 58,
+                fill: '#a8b2d1', 'font-family': 'Inter, sans-serif', 'font-size': 15
+            }).textContent = details;
+        }
+    }
+
+    /**
+     * Add a legend of part colors
+     * @param {SVGElement} svg - Export SVG
+     * @param {Array} parts - Course parts
+     * @param {number} y - Top of the legend
+     */
+    appendLegend(svg, parts, y) {
+        const legend = this.append(svg, 'g', { transform: `translate(${this.margin}, ${y})` });
+
+        parts.forEach((part, i) => {
+            const rowY = i * this.legendRowHeight;
+            this.append(legend, 'circle', { cx: 8, cy: rowY + 8, r: 8, fill: part.color });
+            this.append(legend, 'text', {
+                x: 26, y: rowY + 13,
+                fill: '#e5e7eb', 'font-family': 'Inter, sans-serif', 'font-size': 14
+            }).textContent = `Part ${part.part}: ${part.title}`;
+        });
+    }
+
+    /**
+     * Create a child SVG element
+     * @param {Element} parent - Parent element
+     * @param {string} tag - Tag name
+     * @param {Object} attrs - Attributes
+     * @returns {Element} New element
+     */
+    append(parent, tag, attrs) {
+        const el = document.createElementNS(this.svgNS, tag);
+        Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+        parent.appendChild(el);
+        return el;
+    }
+
+    /**
+     * Fetch the Latin subset of the app font as data URLs so the SVG
+     * renders the same without network access
+     * @returns {Promise<string>} @font-face rules, or '' if unavailable
+     */
+    async loadFontCss() {
+        try {
+            const css = await fetch(this.fontStylesheet).then(r => r.text());
+            const rules = [...css.matchAll(/\/\* latin \*\/\s*(@font-face\s*{[^}]*})/g)].map(m => m[1]);
+
+            const embedded = await Promise.all(rules.map(async rule => {
+                const url = /url\(([^)]+)\)/.exec(rule)?.[1];
+                if (!url) return rule;
+
+                const blob = await fetch(url).then(r => r.blob());
+                return rule.replace(url, await this.toDataUrl(blob));
+            }));
+            return embedded.join('\n');
+        } catch (error) {
+            console.warn('⚠️ Could not embed fonts in export:', error.message);
+            return '';
+        }
+    }
+
+    /**
+     * Embed Inter in a PDF so svg2pdf uses it instead of a standard font.
+     * The files are fetched once; without them the PDF falls back to the
+     * built-in fonts.
+     * @param {Object} doc - jsPDF document
+     */
+    async addPdfFonts(doc) {
+        if (!this.pdfFonts) {
+            try {
+                this.pdfFonts = await Promise.all(this.pdfFontFaces.map(async face => {
+                    const url = this.pdfFontUrl.replace('{weight}', face.weight).replace('{style}', face.style);
+                    const response = await fetch(url);
+                    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+
+                    const dataUrl = await this.toDataUrl(await response.blob());
+                    return { ...face, file: `Inter-${face.weight}-${face.style}.ttf`, data: dataUrl.split(',')[1] };
+                }));
+            } catch (error) {
+                console.warn('⚠️ Could not embed fonts in PDF export:', error.message);
+                return;
+            }
+        }
+
+        this.pdfFonts.forEach(font => {
+            doc.addFileToVFS(font.file, font.data);
+            doc.addFont(font.file, 'Inter', font.style, font.weight);
+        });
+    }
+
+    /**
+     * Read a blob as a data URL
+     * @param {Blob} blob - Blob
+     * @returns {Promise<string>} Data URL
+     */
+    toDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * Serialize an SVG element with an XML declaration
+     * @param {SVGElement} svg - SVG element
+     * @returns {string} SVG document text
+     */
+    serialize(svg) {
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(svg);
+    }
+
+    /**
+     * Rasterize at up to 3x, capped so very large maps stay within
+     * browser canvas limits
+     * @param {SVGElement} svg - Export SVG
+     * @returns {Promise<Blob>} PNG blob
+     */
+    async toPng(svg) {
+        const width = parseFloat(svg.getAttribute('width'));
+        const height = parseFloat(svg.getAttribute('height'));
+        const scale = Math.min(3, Math.sqrt(40e6 / (width * height)));
+
+        const url = URL.createObjectURL(new Blob([this.serialize(svg)], { type: 'image/svg+xml' }));
+        try {
+            const img = await new Promise((resolve, reject) => {
+                const image = new Image();
+                image.onload = () => resolve(image);
+                image.onerror = () => reject(new Error('Could not render the map image'));
+                image.src = url;
+            });
+
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(width * scale);
+            canvas.height = Math.round(height * scale);
+
+            const ctx = canvas.getContext('2d');
+            ctx.scale(scale, scale);
+            ctx.drawImage(img, 0, 0, width, height);
+
+            return await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Lay the vector map out over as many A4 landscape pages as it needs
+     * to stay legible
+     * @param {SVGElement} svg - Export SVG
+     * @returns {Promise<Blob>} PDF blob
+     */
+    async toPdf(svg) {
+        await this.loadPdfLibraries();
+
+        const { jsPDF } = window.jspdf;
+        const doc = new jsPDF({ orientation: 'landscape', unit: 'pt', format: 'a4' });
+        await this.addPdfFonts(doc);
+
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const pageHeight = doc.internal.pageSize.getHeight();
+        const pageMargin = 28;
+        const usableWidth = pageWidth - pageMargin * 2;
+        const usableHeight = pageHeight - pageMargin * 2;
+
+        // Fit on one page when that stays legible; otherwise tile at
+        // 0.5pt per pixel, which keeps 14px node labels at 7pt
+        const width = parseFloat(svg.getAttribute('width'));
+        const height = parseFloat(svg.getAttribute('height'));
+        const fitScale = Math.min(usableWidth / width, usableHeight / height);
+        const scale = fitScale >= 0.5 ? Math.min(fitScale, 1) : 0.5;
+
+        const columns = Math.ceil((width * scale) / usableWidth);
+        const rows = Math.ceil((height * scale) / usableHeight);
+
+        // svg2pdf reads layout from the live DOM
+        svg.style.position = 'absolute';
+        svg.style.left = '-100000px';
+        document.body.appendChild(svg);
+
+        try {
+            for (let row = 0; row < rows; row++) {
+                for (let col = 0; col < columns; col++) {
+                    if (row > 0 || col > 0) doc.addPage();
+
+                    doc.saveGraphicsState();
+                    doc.rect(pageMargin, pageMargin, usableWidth, usableHeight, null);
+                    doc.clip();
+                    doc.discardPath();
+
+                    await doc.svg(svg, {
+                        x: pageMargin - col * usableWidth,
+                        y: pageMargin - row * usableHeight,
+                        width: width * scale,
+                        height: height * scale
+                    });
+                    doc.restoreGraphicsState();
+
+                    if (columns * rows > 1) {
+                        doc.setFontSize(8);
+                        doc.setTextColor(120);
+                        doc.text(`Row ${row + 1}, column ${col + 1} of ${rows} × ${columns}`,
+                            pageWidth - pageMargin, pageHeight - 12, { align: 'right' });
+                    }
+                }
+            }
+        } finally {
+            svg.remove();
+        }
+
+        return doc.output('blob');
+    }
+
+    /**
+     * Load jsPDF and svg2pdf on first use
+     * @returns {Promise<void>}
+     */
+    async loadPdfLibraries() {
+        if (window.jspdf?.jsPDF?.API?.svg) return;
+
+        for (const src of this.pdfLibraries) {
+            await new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = src;
+                script.onload = resolve;
+                script.onerror = () => reject(new Error(`Could not load ${src}`));
+                document.head.appendChild(script);
+            });
+        }
+    }
+
+    /**
+     * Save a blob as a file
+     * @param {Blob} blob - File contents
+     * @param {string} name - File name
+     */
+    download(blob, name) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Make MapExporter globally available
+window.MapExporter = MapExporter;
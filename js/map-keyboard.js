@@ -0,0 +1,262 @@
+/**
+ * Map Keyboard Module
+ * Makes the mind map an ARIA tree: nodes are tree items with their level,
+ * position among siblings and expanded state, and one node at a time is
+ * reachable with Tab (roving tabindex). Arrow keys move between parent,
+ * children and siblings following the layout's direction; Space expands
+ * or collapses, Enter opens content, Home and End jump to the root and
+ * the last visible node. The view pans to keep the focused node on screen.
+ */
+
+class MapKeyboard {
+    constructor(mindMap) {
+        this.mindMap = mindMap;
+        this.focusedId = 'root';
+        this.hasFocus = false;
+
+        this.createHelp();
+        this.attachEventListeners();
+    }
+
+    /**
+     * Give the map its tree role and a hidden description of the keys
+     */
+    createHelp() {
+        this.help = d3.select(this.mindMap.container)
+            .append('div')
+            .attr('id', 'mindmapKeyboardHelp')
+            .attr('class', 'map-keyboard-help');
+
+        this.mindMap.g
+            .attr('role', 'tree')
+            .attr('aria-label', 'Course mind map')
+            .attr('aria-describedby', 'mindmapKeyboardHelp');
+    }
+
+    /**
+     * Attach keyboard and focus listeners to the node group
+     */
+    attachEventListeners() {
+        this.mindMap.g
+            .on('keydown', (event) => this.handleKeydown(event))
+            .on('focusin', (event) => {
+                const id = event.target.closest('.node')?.__data__?.id;
+                this.hasFocus = true;
+                if (id && id !== this.focusedId) {
+                    this.focusedId = id;
+                    this.updateTabStops();
+                }
+            })
+            .on('focusout', (event) => {
+                if (!this.mindMap.g.node().contains(event.relatedTarget)) this.hasFocus = false;
+            });
+    }
+
+    /**
+     * Describe the nodes to assistive technology. Called after every
+     * render, since nodes come and go as branches open and close.
+     */
+    update() {
+        const nodes = this.mindMap.positioned;
+        const byId = new Map(nodes.map(n => [n.id, n]));
+
+        // Keep the tab stop on a visible node when its branch closes
+        if (!byId.has(this.focusedId)) {
+            const ancestors = this.mindMap.getAncestorIds(this.focusedId);
+            this.focusedId = ancestors.find(id => byId.has(id)) || 'root';
+        }
+
+        const siblings = d3.group(nodes, n => n.parent);
+
+        this.mindMap.g.selectAll('.node')
+            .attr('role', 'treeitem')
+            .attr('aria-label', d => d.label)
+            .attr('aria-level', d => d.level + 1)
+            .attr('aria-setsize', d => siblings.get(d.parent).length)
+            .attr('aria-posinset', d => siblings.get(d.parent).indexOf(d) + 1)
+            .attr('aria-expanded', d => d.hasChildren ? this.mindMap.expandedNodes.has(d.id) : null);
+
+        this.updateTabStops();
+        this.help.text(this.getHelpText());
+
+        // Focus was on a node that has just been removed
+        if (this.hasFocus && !this.mindMap.g.node().contains(document.activeElement)) {
+            this.focusNode(this.focusedId);
+        }
+    }
+
+    /**
+     * Only the focused node is in the tab order
+     */
+    updateTabStops() {
+        this.mindMap.g.selectAll('.node')
+            .attr('tabindex', d => d.id === this.focusedId ? 0 : -1);
+    }
+
+    /**
+     * Explain the keys for the current layout
+     * @returns {string} Help text
+     */
+    getHelpText() {
+        const [parent, child, siblings] = this.mindMap.layout === 'vertical'
+            ? ['Up', 'Down', 'Left and Right']
+            : ['Left', 'Right', 'Up and Down'];
+
+        return `Arrow ${parent} moves to the parent, arrow ${child} expands a node or moves to its first child, ` +
+            `arrows ${siblings} move between siblings. Space expands or collapses, Enter opens the content, ` +
+            'Home returns to the course and End goes to the last node.';
+    }
+
+    /**
+     * Map a key to a tree movement. The vertical tree grows downwards,
+     * so parent and child are up and down there; the other layouts
+     * follow the usual tree convention of left and right.
+     * @param {string} key - KeyboardEvent key
+     * @returns {string|null} Movement name
+     */
+    getMove(key) {
+        const moves = this.mindMap.layout === 'vertical'
+            ? { ArrowUp: 'parent', ArrowDown: 'child', ArrowLeft: 'previous', ArrowRight: 'next' }
+            : { ArrowLeft: 'parent', ArrowRight: 'child', ArrowUp: 'previous', ArrowDown: 'next' };
+
+        return moves[key] || { Home: 'first', End: 'last' }[key] || null;
+    }
+
+    /**
+     * Handle a key pressed on a focused node
+     * @param {KeyboardEvent} event - Key event
+     */
+    handleKeydown(event) {
+        if (event.ctrlKey || event.altKey || event.metaKey) return;
+
+        const node = this.mindMap.positioned.find(n => n.id === this.focusedId);
+        if (!node) return;
+
+        if (event.key === 'Enter') {
+            // Root and parts have no content page; open them instead
+            if (this.mindMap.getNodeLocation(node)) {
+                this.mindMap.openNode(event, node);
+            } else {
+                this.mindMap.toggleNode(node);
+            }
+        } else if (event.key === ' ') {
+            this.mindMap.toggleNode(node);
+        } else {
+            const move = this.getMove(event.key);
+            if (!move) return;
+            this.move(node, move);
+        }
+
+        // Keep Enter and arrows away from page-level shortcuts and scrolling
+        event.preventDefault();
+        event.stopPropagation();
+    }
+
+    /**
+     * Move focus through the tree
+     * @param {Object} node - Focused node
+     * @param {string} move - Movement name from getMove()
+     */
+    move(node, move) {
+        const nodes = this.mindMap.positioned;
+        const siblings = this.getSiblings(node);
+        const index = siblings.indexOf(node);
+
+        switch (move) {
+            case 'parent':
+                if (node.parent) this.focusNode(node.parent);
+                break;
+            case 'child':
+                if (!node.hasChildren) break;
+                if (!this.mindMap.expandedNodes.has(node.id)) {
+                    this.mindMap.toggleNode(node);
+                } else {
+                    const child = nodes.find(n => n.parent === node.id);
+                    if (child) this.focusNode(child.id);
+                }
+                break;
+            case 'previous':
+                if (index > 0) this.focusNode(siblings[index - 1].id);
+                break;
+            case 'next':
+                if (index < siblings.length - 1) this.focusNode(siblings[index + 1].id);
+                break;
+            case 'first':
+                this.focusNode('root');
+                break;
+            case 'last':
+                this.focusNode(nodes[nodes.length - 1].id);
+                break;
+        }
+    }
+
+    /**
+     * Get the visible nodes sharing a node's parent, in content order
+     * @param {Object} node - Node data
+     * @returns {Array} Sibling nodes, including the node itself
+     */
+    getSiblings(node) {
+        return this.mindMap.positioned.filter(n => n.parent === node.parent);
+    }
+
+    /**
+     * Focus a node and bring it into view
+     * @param {string} id - Node id
+     */
+    focusNode(id) {
+        const element = this.mindMap.g.selectAll('.node').filter(d => d.id === id).node();
+        if (!element) return;
+
+        this.focusedId = id;
+        this.updateTabStops();
+        element.focus();
+        this.panTo(this.mindMap.positioned.find(n => n.id === id));
+    }
+
+    /**
+     * Pan the view when a node is near or past the edge of the screen
+     * @param {Object} node - Positioned node
+     */
+    panTo(node) {
+        const { svg, zoom, width, height, nodeWidth, nodeHeight } = this.mindMap;
+        const transform = d3.zoomTransform(svg.node());
+        const [x, y] = transform.apply([node.x, node.y]);
+        const marginX = nodeWidth * transform.k / 2 + 20;
+        const marginY = nodeHeight * transform.k / 2 + 20;
+
+        if (x < marginX || x > width - marginX || y < marginY || y > height - marginY) {
+            svg.transition()
+                .duration(300)
+                .call(zoom.translateTo, node.x, node.y);
+        }
+    }
+}
+
+// Add CSS for map keyboard styles
+const mapKeyboardStyles = `
+    .map-keyboard-help {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        overflow: hidden;
+        clip: rect(0 0 0 0);
+        white-space: nowrap;
+    }
+
+    .node:focus {
+        outline: none;
+    }
+
+    .node:focus-visible .node-bg {
+        stroke: #ffffff;
+        stroke-width: 4px;
+        stroke-dasharray: none;
+    }
+`;
+
+const mapKeyboardStyleSheet = document.createElement('style');
+mapKeyboardStyleSheet.textContent = mapKeyboardStyles;
+document.head.appendChild(mapKeyboardStyleSheet);
+
+// Make MapKeyboard globally available
+window.MapKeyboard = MapKeyboard;
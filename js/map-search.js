@@ -0,0 +1,274 @@
+/**
+ * Map Search Module
+ * Shows search matches on the mind map: expands the path from the root
+ * to every match, highlights the matches and dims everything else.
+ * Enter / Shift+Enter (or the arrows in the match bar) step through the
+ * matches, centering the view on each one.
+ */
+
+class MapSearch {
+    constructor(mindMap) {
+        this.mindMap = mindMap;
+        this.query = '';
+        this.matches = [];
+        this.index = -1;
+        this.pathIds = new Set();
+
+        this.createBar();
+        this.attachEventListeners();
+    }
+
+    /**
+     * Build the match bar inside the map container
+     */
+    createBar() {
+        this.bar = d3.select(this.mindMap.container)
+            .append('div')
+            .attr('class', 'map-search-bar')
+            .attr('role', 'status');
+
+        this.bar.append('i').attr('class', 'fas fa-search');
+        this.label = this.bar.append('span').attr('class', 'map-search-label');
+
+        const button = (icon, title, handler) => this.bar.append('button')
+            .attr('class', 'map-search-btn')
+            .attr('title', title)
+            .attr('aria-label', title)
+            .html(`<i class="fas ${icon}"></i>`)
+            .on('click', handler);
+
+        this.prevBtn = button('fa-chevron-up', 'Previous match (Shift+Enter)', () => this.step(-1));
+        this.nextBtn = button('fa-chevron-down', 'Next match (Enter)', () => this.step(1));
+        button('fa-times', 'Clear highlights (Esc)', () => this.clear());
+    }
+
+    /**
+     * Attach keyboard and content listeners
+     */
+    attachEventListeners() {
+        document.addEventListener('keydown', (e) => {
+            if (!this.isActive() || !this.isMapVisible()) return;
+            if (e.target.closest?.('input, textarea, select, button, [contenteditable="true"]')) return;
+
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.step(e.shiftKey ? -1 : 1);
+            } else if (e.key === 'Escape') {
+                this.clear();
+            }
+        });
+
+        // Matches point into the old course after an import
+        document.addEventListener('content:datasetChanged', () => this.clear());
+    }
+
+    /**
+     * Check whether matches are being shown
+     * @returns {boolean} True while highlighting
+     */
+    isActive() {
+        return this.query !== '';
+    }
+
+    /**
+     * Check whether the map is on screen rather than the content panel
+     * @returns {boolean} True if visible
+     */
+    isMapVisible() {
+        return !this.mindMap.container.closest('.hidden');
+    }
+
+    /**
+     * Highlight search results on the map
+     * @param {Array} results - Search results with locations
+     * @param {string} query - Query the results are for
+     */
+    show(results, query) {
+        const ids = results
+            .map(result => result.location && this.mindMap.getNodeIdForLocation(result.location))
+            .filter(Boolean);
+
+        this.query = query;
+        this.matches = [...new Set(ids)];
+        this.index = -1;
+
+        // Open the path from the root to every match
+        this.pathIds = new Set();
+        this.matches.forEach(id => {
+            this.mindMap.getAncestorIds(id).forEach(ancestor => {
+                this.pathIds.add(ancestor);
+                this.mindMap.expandedNodes.add(ancestor);
+            });
+        });
+
+        this.mindMap.render({ center: this.matches.length === 0 });
+        this.updateBar();
+
+        if (this.matches.length > 0) this.focus(0);
+    }
+
+    /**
+     * Stop highlighting
+     */
+    clear() {
+        if (!this.isActive()) return;
+
+        this.query = '';
+        this.matches = [];
+        this.index = -1;
+        this.pathIds = new Set();
+
+        this.applyHighlights();
+        this.updateBar();
+    }
+
+    /**
+     * Move to the next or previous match, wrapping around
+     * @param {number} delta - 1 for next, -1 for previous
+     */
+    step(delta) {
+        if (this.matches.length === 0) return;
+        this.focus((this.index + delta + this.matches.length) % this.matches.length);
+    }
+
+    /**
+     * Center the view on a match
+     * @param {number} index - Match index
+     */
+    focus(index) {
+        this.index = index;
+        const node = this.mindMap.positioned.find(n => n.id === this.matches[index]);
+        if (node) this.mindMap.centerView([node]);
+
+        this.applyHighlights();
+        this.updateBar();
+    }
+
+    /**
+     * Mark matches, the paths leading to them and everything else.
+     * Called after every render so new nodes pick up the state.
+     */
+    applyHighlights() {
+        if (!this.mindMap.g) return;
+
+        const active = this.isActive();
+        const matches = new Set(this.matches);
+        const current = this.matches[this.index];
+        const state = id => {
+            if (!active) return null;
+            if (matches.has(id)) return 'match';
+            return this.pathIds.has(id) ? 'path' : 'dimmed';
+        };
+
+        this.mindMap.g.selectAll('.node')
+            .classed('search-match', d => state(d.id) === 'match')
+            .classed('search-current', d => active && d.id === current)
+            .classed('search-path', d => state(d.id) === 'path')
+            .classed('search-dimmed', d => state(d.id) === 'dimmed');
+
+        this.mindMap.g.selectAll('.link')
+            .classed('search-dimmed', d => active && state(d.target.id) === 'dimmed');
+    }
+
+    /**
+     * Show the match count and position
+     */
+    updateBar() {
+        this.bar.classed('active', this.isActive());
+        if (!this.isActive()) return;
+
+        const count = this.matches.length;
+        const position = count > 0 ? `${this.index + 1} of ${count}` : 'No';
+
+        this.label.text(`${position} match${count !== 1 ? 'es' : ''} for “${this.query}”`);
+        this.prevBtn.attr('disabled', count > 1 ? null : true);
+        this.nextBtn.attr('disabled', count > 1 ? null : true);
+    }
+}
+
+// Add CSS for map search styles
+const mapSearchStyles = `
+    .map-search-bar {
+        position: absolute;
+        top: 1rem;
+        left: 50%;
+        transform: translateX(-50%);
+        z-index: 10;
+        display: none;
+        align-items: center;
+        gap: 0.5rem;
+        max-width: calc(100% - 2rem);
+        padding: 0.4rem 0.5rem 0.4rem 0.9rem;
+        background: rgba(26, 31, 46, 0.95);
+        border: 1px solid var(--border);
+        border-radius: 10px;
+        box-shadow: var(--shadow);
+        color: var(--text-secondary);
+        font-size: 0.85rem;
+    }
+
+    .map-search-bar.active {
+        display: flex;
+    }
+
+    .map-search-bar > i {
+        color: #f1c40f;
+    }
+
+    .map-search-label {
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+    }
+
+    .map-search-btn {
+        width: 28px;
+        height: 28px;
+        flex-shrink: 0;
+        background: transparent;
+        border: none;
+        border-radius: 6px;
+        color: var(--text-secondary);
+        cursor: pointer;
+    }
+
+    .map-search-btn:hover:not(:disabled) {
+        background: var(--bg-hover);
+        color: var(--text-primary);
+    }
+
+    .map-search-btn:disabled {
+        opacity: 0.35;
+        cursor: default;
+    }
+
+    .node.search-dimmed,
+    .link.search-dimmed {
+        opacity: 0.15;
+    }
+
+    .node.search-path {
+        opacity: 0.6;
+    }
+
+    .node.search-match .node-bg {
+        stroke: #f1c40f;
+        stroke-width: 4px;
+    }
+
+    .node.search-current .node-bg {
+        stroke-width: 6px;
+        animation: search-pulse 1.2s ease-in-out infinite;
+    }
+
+    @keyframes search-pulse {
+        50% { stroke-opacity: 0.4; }
+    }
+`;
+
+const mapSearchStyleSheet = document.createElement('style');
+mapSearchStyleSheet.textContent = mapSearchStyles;
+document.head.appendChild(mapSearchStyleSheet);
+
+// Make MapSearch globally available
+window.MapSearch = MapSearch;
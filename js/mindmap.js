@@ -8,6 +8,8 @@ class MindMap {
         this.container = document.getElementById(containerId);
         this.svg = null;
         this.g = null;
+        this.minimap = null;
+        this.courseData = null;
         this.allItems = [];
         this.expandedNodes = new Set(['root']);
 
@@ -21,6 +23,40 @@ class MindMap {
         this.levelHeight = 150;
         this.siblingSpacing = 20;
 
+        // A click on a node waits this long (ms) to see if it becomes a double-click
+        this.doubleClickDelay = 250;
+        this.clickTimer = null;
+
+        // Layouts: vertical tree, horizontal tree, radial, force-directed
+        this.layouts = ['vertical', 'horizontal', 'radial', 'force'];
+        this.layoutKey = 'ob_mindmap_layout';
+        this.layout = this.loadLayout();
+        this.positioned = [];
+        this.lastPositions = new Map();
+        this.lastLayoutPositions = new Map();
+
+        // Custom arrangement: per-layout offsets from dragging nodes
+        this.offsetsKey = 'ob_mindmap_positions';
+        this.snapKey = 'ob_mindmap_snap';
+        this.gridSize = 25;
+        this.offsets = this.loadOffsets();
+        this.snapToGrid = localStorage.getItem(this.snapKey) === 'true';
+
+        // Cross-links between related content, drawn over the tree
+        this.relationsKey = 'ob_mindmap_relations';
+        this.showRelations = localStorage.getItem(this.relationsKey) !== 'false';
+        this.relationColors = {
+            'related-to': '#95a5a6',
+            'builds-on': '#1abc9c',
+            'contrasts-with': '#e74c3c'
+        };
+
+        // What a chapter expands into: 'takeaways', 'sections' or 'both'
+        this.chapterChildrenKey = 'ob_mindmap_chapter_children';
+        this.chapterChildren = ['takeaways', 'sections', 'both'].includes(localStorage.getItem(this.chapterChildrenKey))
+            ? localStorage.getItem(this.chapterChildrenKey)
+            : 'both';
+
         // Colors
         this.colors = {
             'Part 1': '#3498db',
@@ -38,12 +74,19 @@ class MindMap {
         }
 
         try {
-            this.allItems = courseData.getFlattenedContent();
+            this.courseData = courseData;
+            this.allItems = courseData.getFlattenedContent({ chapterChildren: this.chapterChildren });
             this.updateDimensions();
             this.createSVG();
             this.render();
 
             window.addEventListener('resize', () => this.handleResize());
+            document.addEventListener('content:chapterLoaded', () => this.refresh());
+            document.addEventListener('content:chaptersLoaded', () => this.refresh());
+            document.addEventListener('content:datasetChanged', () => this.reset());
+            document.addEventListener('bookmarks:changed', () => this.updateBookmarkMarkers());
+            document.addEventListener('annotations:changed', () => this.updateNoteMarkers());
+            document.addEventListener('progress:changed', () => this.updateProgressFill());
 
             console.log('✅ Mind map initialized');
         } catch (error) {
@@ -68,9 +111,10 @@ class MindMap {
 
         // Zoom and pan
         this.zoom = d3.zoom()
-            .scaleExtent([0.3, 2])
+            .scaleExtent([0.1, 2])
             .on('zoom', (event) => {
                 this.g.attr('transform', event.transform);
+                this.minimap?.updateViewport(event.transform);
             });
 
         this.svg.call(this.zoom);
@@ -78,6 +122,34 @@ class MindMap {
         // Main group
         this.g = this.svg.append('g');
 
+        // Reading progress fills chapter nodes up to their rounded outline
+        this.g.append('defs')
+            .append('clipPath')
+            .attr('id', 'chapter-node-clip')
+            .append('rect')
+            .attr('width', this.nodeWidth)
+            .attr('height', this.nodeHeight)
+            .attr('rx', 12);
+
+        // Relations go first so tree links and nodes draw over them. The
+        // arrow marker lives in the group so exports keep it.
+        this.relationsLayer = this.g.append('g')
+            .attr('class', 'relations')
+            .attr('aria-hidden', 'true');
+
+        this.relationsLayer.append('defs')
+            .append('marker')
+            .attr('id', 'relation-arrow')
+            .attr('viewBox', '0 0 10 10')
+            .attr('refX', 9)
+            .attr('refY', 5)
+            .attr('markerWidth', 7)
+            .attr('markerHeight', 7)
+            .attr('orient', 'auto')
+            .append('path')
+            .attr('d', 'M 0 0 L 10 5 L 0 10 z')
+            .attr('fill', this.relationColors['builds-on']);
+
         // Create tooltip
         this.tooltip = d3.select(this.container)
             .append('div')
@@ -94,68 +166,336 @@ class MindMap {
             .style('box-shadow', '0 10px 30px rgba(0,0,0,0.5)')
             .style('z-index', '10000')
             .style('pointer-events', 'none');
+
+        // Overview of the whole map in the corner
+        this.minimap = new window.MiniMap(this);
+
+        // Search matches shown on the map
+        this.mapSearch = new window.MapSearch(this);
+
+        // Arrow-key navigation and tree semantics for screen readers
+        this.keyboard = new window.MapKeyboard(this);
     }
 
-    render() {
+    /**
+     * Rebuild items from the course data without moving the view
+     */
+    refresh() {
+        this.allItems = this.courseData.getFlattenedContent({ chapterChildren: this.chapterChildren });
+        this.render({ center: false });
+    }
+
+    /**
+     * Start over with a different course: collapse everything, drop the
+     * custom arrangement made for the old course and fit the view
+     */
+    reset() {
+        this.offsets = {};
+        this.saveOffsets();
+        this.expandedNodes = new Set(['root']);
+        this.lastPositions.clear();
+        this.lastLayoutPositions.clear();
+        this.allItems = this.courseData.getFlattenedContent({ chapterChildren: this.chapterChildren });
+        this.render();
+    }
+
+    /**
+     * Lay out and draw the visible nodes
+     * @param {Object} options - Render options
+     * @param {boolean} options.center - Fit the whole map in view
+     * @param {string} options.anchor - Instead of fitting, keep this node
+     *     where it is on screen (e.g. the node that was just expanded)
+     */
+    render({ center = true, anchor = null } = {}) {
         // Get visible nodes
         const visibleNodes = this.getVisibleNodes();
+        const anchorBefore = anchor ? this.lastPositions.get(anchor) : null;
 
         // Calculate positions
         const positioned = this.calculatePositions(visibleNodes);
+        this.positioned = positioned;
 
         // Render links first
         this.renderLinks(positioned);
+        this.renderRelations(positioned);
 
         // Then render nodes
         this.renderNodes(positioned);
+        this.mapSearch?.applyHighlights();
+        this.keyboard?.update();
+        this.minimap?.update();
 
         // Center view
-        this.centerView(positioned);
+        const anchorAfter = anchor ? this.lastPositions.get(anchor) : null;
+        if (anchorBefore && anchorAfter) {
+            this.svg.transition()
+                .duration(500)
+                .call(this.zoom.translateBy, anchorBefore.x - anchorAfter.x, anchorBefore.y - anchorAfter.y);
+        } else if (center) {
+            this.centerView(positioned);
+        }
     }
 
     getVisibleNodes() {
+        // Items are ordered parents first, so a node is visible when its
+        // parent is visible and expanded
+        const visible = new Set();
+
         return this.allItems.filter(item => {
-            if (item.id === 'root') return true;
-            return this.expandedNodes.has(item.parent);
+            if (item.id === 'root' || (visible.has(item.parent) && this.expandedNodes.has(item.parent))) {
+                visible.add(item.id);
+                return true;
+            }
+            return false;
         });
     }
 
+    /**
+     * Read the saved layout choice
+     * @returns {string} Layout name
+     */
+    loadLayout() {
+        const saved = localStorage.getItem(this.layoutKey);
+        return this.layouts.includes(saved) ? saved : 'vertical';
+    }
+
+    /**
+     * Switch layout, animating nodes to their new positions
+     * @param {string} layout - One of this.layouts
+     */
+    setLayout(layout) {
+        if (!this.layouts.includes(layout) || layout === this.layout) return;
+
+        this.layout = layout;
+        localStorage.setItem(this.layoutKey, layout);
+        this.render();
+    }
+
+    /**
+     * Choose what chapters expand into and rebuild the map
+     * @param {string} mode - 'takeaways', 'sections' or 'both'
+     */
+    setChapterChildren(mode) {
+        if (!['takeaways', 'sections', 'both'].includes(mode) || mode === this.chapterChildren) return;
+
+        this.chapterChildren = mode;
+        localStorage.setItem(this.chapterChildrenKey, mode);
+
+        this.allItems = this.courseData.getFlattenedContent({ chapterChildren: mode });
+        const ids = new Set(this.allItems.map(item => item.id));
+        this.expandedNodes = new Set([...this.expandedNodes].filter(id => ids.has(id)));
+        this.render({ center: false });
+
+        window.Router.replace(window.Router.mapPath(this.getExpandedIds()));
+    }
+
+    /**
+     * Check whether a node can be expanded. Chapters count as expandable
+     * until their detail has loaded, since sections arrive with it.
+     * @param {Object} node - Node data
+     * @returns {boolean} True if the node has or may have children
+     */
+    isExpandable(node) {
+        if (this.allItems.some(item => item.parent === node.id)) return true;
+        return node.type === 'chapter' && !this.courseData.isChapterLoaded(node.chapterNumber);
+    }
+
     calculatePositions(nodes) {
-        const positioned = [];
-        const levels = {};
+        let positions;
+        if (this.layout === 'radial') {
+            positions = this.calculateRadialLayout(nodes);
+        } else if (this.layout === 'force') {
+            positions = this.calculateForceLayout(nodes);
+        } else {
+            positions = this.calculateTreeLayout(nodes, this.layout === 'horizontal');
+        }
 
-        // Group by level
-        nodes.forEach(node => {
-            if (!levels[node.level]) {
-                levels[node.level] = [];
-            }
-            levels[node.level].push(node);
+        this.lastLayoutPositions = positions;
+
+        // Dragged nodes carry their subtree with them, so offsets add up
+        // from the root down (nodes are ordered parents first)
+        const offsets = this.offsets[this.layout] || {};
+        const totals = new Map();
+        const positioned = nodes.map(node => {
+            const inherited = totals.get(node.parent) || { dx: 0, dy: 0 };
+            const own = offsets[node.id] || { dx: 0, dy: 0 };
+            const total = { dx: inherited.dx + own.dx, dy: inherited.dy + own.dy };
+            totals.set(node.id, total);
+
+            const { x, y } = positions.get(node.id);
+            return {
+                ...node,
+                x: x + total.dx,
+                y: y + total.dy,
+                hasChildren: this.isExpandable(node),
+                isExpanded: this.expandedNodes.has(node.id)
+            };
         });
 
-        // Position each level
-        let currentY = 50;
-
-        Object.keys(levels).sort((a, b) => a - b).forEach(levelKey => {
-            const levelNodes = levels[levelKey];
-            const levelWidth = (this.nodeWidth + this.siblingSpacing) * levelNodes.length - this.siblingSpacing;
-            let currentX = -levelWidth / 2;
-
-            levelNodes.forEach(node => {
-                positioned.push({
-                    ...node,
-                    x: currentX + this.nodeWidth / 2,
-                    y: currentY,
-                    hasChildren: this.allItems.some(item => item.parent === node.id),
-                    isExpanded: this.expandedNodes.has(node.id)
-                });
+        this.lastPositions = new Map(positioned.map(n => [n.id, { x: n.x, y: n.y }]));
+        return positioned;
+    }
 
-                currentX += this.nodeWidth + this.siblingSpacing;
+    /**
+     * Build a d3 hierarchy from the visible nodes
+     * @param {Array} nodes - Visible nodes
+     * @returns {Object} d3 hierarchy root
+     */
+    buildHierarchy(nodes) {
+        return d3.stratify()
+            .id(d => d.id)
+            .parentId(d => d.id === 'root' ? null : d.parent)(nodes);
+    }
+
+    /**
+     * Tidy tree layout, top-down or left-to-right. Every subtree reserves
+     * as much breadth as its widest level needs and its children are
+     * centered under it, so a subtree's shape depends only on its own
+     * nodes: expanding or collapsing a node moves its siblings aside
+     * but never rearranges other branches.
+     * @param {Array} nodes - Visible nodes
+     * @param {boolean} horizontal - Lay out left to right
+     * @returns {Map} Node id → { x, y }
+     */
+    calculateTreeLayout(nodes, horizontal) {
+        const breadth = horizontal ? this.nodeHeight + this.siblingSpacing : this.nodeWidth + this.siblingSpacing;
+        const depth = horizontal ? this.nodeWidth + 100 : this.levelHeight;
+        const groupSpacing = this.siblingSpacing * 2;
+
+        const root = this.buildHierarchy(nodes);
+
+        // Reserve breadth bottom-up
+        root.eachAfter(d => {
+            d.span = d.children
+                ? Math.max(breadth, d3.sum(d.children, c => c.span)) + groupSpacing
+                : breadth;
+        });
+
+        // Center each group of children under its parent
+        root.offset = 0;
+        root.eachBefore(d => {
+            if (!d.children) return;
+
+            let start = d.offset - d3.sum(d.children, c => c.span) / 2;
+            d.children.forEach(child => {
+                child.offset = start + child.span / 2;
+                start += child.span;
             });
+        });
 
-            currentY += this.levelHeight;
+        const positions = new Map();
+        root.each(d => {
+            const along = d.depth * depth;
+            positions.set(d.id, horizontal ? { x: along, y: d.offset } : { x: d.offset, y: along });
         });
+        return positions;
+    }
 
-        return positioned;
+    /**
+     * Radial layout with the course at the center and one ring per level.
+     * Rings grow with the number of nodes on them so neighbors don't overlap.
+     * @param {Array} nodes - Visible nodes
+     * @returns {Map} Node id → { x, y }
+     */
+    calculateRadialLayout(nodes) {
+        const root = d3.tree()
+            .size([2 * Math.PI, 1])
+            .separation((a, b) => (a.parent === b.parent ? 1 : 2) / a.depth)(this.buildHierarchy(nodes));
+
+        const counts = [];
+        root.each(d => { counts[d.depth] = (counts[d.depth] || 0) + 1; });
+
+        const radii = [0];
+        for (let level = 1; level < counts.length; level++) {
+            const needed = counts[level] * (this.nodeHeight + this.siblingSpacing) * 1.6 / (2 * Math.PI);
+            radii[level] = Math.max(radii[level - 1] + this.nodeWidth + 60, needed);
+        }
+
+        const positions = new Map();
+        root.each(d => {
+            const angle = d.x - Math.PI / 2;
+            positions.set(d.id, {
+                x: radii[d.depth] * Math.cos(angle),
+                y: radii[d.depth] * Math.sin(angle)
+            });
+        });
+        return positions;
+    }
+
+    /**
+     * Force-directed layout. Starts from the previous positions so
+     * switching or expanding morphs the map instead of reshuffling it.
+     * @param {Array} nodes - Visible nodes
+     * @returns {Map} Node id → { x, y }
+     */
+    calculateForceLayout(nodes) {
+        const simNodes = nodes.map((node, i) => {
+            const previous = this.lastLayoutPositions.get(node.id);
+            const parent = this.lastLayoutPositions.get(node.parent);
+            const start = previous || (parent
+                ? { x: parent.x + Math.cos(i) * 100, y: parent.y + Math.sin(i) * 100 }
+                : { x: Math.cos(i) * 200, y: Math.sin(i) * 200 });
+
+            return node.id === 'root'
+                ? { id: node.id, x: 0, y: 0, fx: 0, fy: 0 }
+                : { id: node.id, x: start.x, y: start.y };
+        });
+
+        const links = nodes
+            .filter(node => node.id !== 'root')
+            .map(node => ({ source: node.parent, target: node.id }));
+
+        const simulation = d3.forceSimulation(simNodes)
+            .force('link', d3.forceLink(links).id(d => d.id).distance(this.nodeWidth * 0.8).strength(1))
+            .force('charge', d3.forceManyBody().strength(-2500))
+            .force('collide', d3.forceCollide(this.nodeWidth * 0.55))
+            .force('x', d3.forceX(0).strength(0.03))
+            .force('y', d3.forceY(0).strength(0.03))
+            .stop();
+
+        for (let i = 0; i < 300; i++) simulation.tick();
+
+        return new Map(simNodes.map(n => [n.id, { x: n.x, y: n.y }]));
+    }
+
+    /**
+     * Path for a link between two positioned nodes. Always a single cubic
+     * curve so links interpolate smoothly when the layout changes.
+     * @param {Object} source - Parent node
+     * @param {Object} target - Child node
+     * @returns {string} SVG path data
+     */
+    getLinkPath(source, target) {
+        if (this.layout === 'vertical') {
+            const sy = source.y + this.nodeHeight / 2;
+            const ty = target.y - this.nodeHeight / 2;
+            const midY = (sy + ty) / 2;
+            return `M ${source.x},${sy} C ${source.x},${midY} ${target.x},${midY} ${target.x},${ty}`;
+        }
+
+        if (this.layout === 'horizontal') {
+            const sx = source.x + this.nodeWidth / 2;
+            const tx = target.x - this.nodeWidth / 2;
+            const midX = (sx + tx) / 2;
+            return `M ${sx},${source.y} C ${midX},${source.y} ${midX},${target.y} ${tx},${target.y}`;
+        }
+
+        // Radial and force: center to center
+        const dx = target.x - source.x;
+        const dy = target.y - source.y;
+        return `M ${source.x},${source.y} C ${source.x + dx / 3},${source.y + dy / 3} ` +
+            `${source.x + dx * 2 / 3},${source.y + dy * 2 / 3} ${target.x},${target.y}`;
+    }
+
+    /**
+     * Where the expand/collapse button sits relative to its node
+     * @returns {Object} { cx, cy }
+     */
+    getExpandButtonPosition() {
+        if (this.layout === 'horizontal') {
+            return { cx: this.nodeWidth + 15, cy: this.nodeHeight / 2 };
+        }
+        return { cx: this.nodeWidth / 2, cy: this.nodeHeight + 15 };
     }
 
     renderLinks(nodes) {
@@ -179,22 +519,165 @@ class MindMap {
             .append('path')
             .attr('class', 'link')
             .attr('fill', 'none')
-            .attr('stroke', d => this.getNodeColor(d.target))
             .attr('stroke-width', 3)
             .attr('stroke-opacity', 0.4);
 
-        linkEnter.merge(link)
-            .attr('d', d => {
-                const sx = d.source.x;
-                const sy = d.source.y + this.nodeHeight / 2;
-                const tx = d.target.x;
-                const ty = d.target.y - this.nodeHeight / 2;
+        linkEnter.attr('d', d => this.getLinkPath(d.source, d.target));
+        linkEnter.merge(link).attr('stroke', d => this.getNodeColor(d.target));
+
+        link.transition()
+            .duration(500)
+            .attr('d', d => this.getLinkPath(d.source, d.target));
+    }
+
+    /**
+     * Draw relations between visible nodes as dashed, labelled cross-links.
+     * An end inside a collapsed chapter attaches to the chapter; relations
+     * are hidden while an end is still folded into its part, and skipped
+     * when both ends land in the same branch.
+     * @param {Array} nodes - Positioned nodes
+     */
+    renderRelations(nodes) {
+        const byId = new Map(nodes.map(n => [n.id, n]));
+        const visibleNode = (location) => {
+            const id = this.getNodeIdForLocation(location);
+            if (!id) return null;
+            const node = [id, ...this.getAncestorIds(id)].map(a => byId.get(a)).find(Boolean);
+            return node && node.type !== 'root' && node.type !== 'part' ? node : null;
+        };
+
+        const relations = new Map();
+        if (this.showRelations) {
+            this.courseData.getRelations().forEach(relation => {
+                const source = visibleNode(relation.from);
+                const target = visibleNode(relation.to);
+                if (!source || !target || source === target) return;
+                if (this.getAncestorIds(source.id).includes(target.id) || this.getAncestorIds(target.id).includes(source.id)) return;
+
+                // Several relations can land on the same pair of collapsed nodes
+                const key = `${source.id}|${target.id}|${relation.type}`;
+                if (relations.has(key)) {
+                    relations.get(key).notes.push(relation.note);
+                } else {
+                    relations.set(key, { key, type: relation.type, source, target, notes: [relation.note] });
+                }
+            });
+        }
+
+        // Fan out relations between the same two nodes so they don't overlap
+        const lanes = new Map();
+        relations.forEach(d => {
+            const pair = [d.source.id, d.target.id].sort().join('|');
+            d.lane = lanes.get(pair) || 0;
+            lanes.set(pair, d.lane + 1);
+        });
+
+        const relation = this.relationsLayer.selectAll('.relation')
+            .data([...relations.values()], d => d.key);
+
+        relation.exit().remove();
 
-                const midY = (sy + ty) / 2;
+        const relationEnter = relation.enter()
+            .append('g')
+            .attr('class', d => `relation relation-${d.type}`);
 
-                return `M ${sx},${sy}
-                        C ${sx},${midY} ${tx},${midY} ${tx},${ty}`;
+        relationEnter.append('path')
+            .attr('fill', 'none')
+            .attr('stroke', d => this.relationColors[d.type])
+            .attr('stroke-width', 2)
+            .attr('stroke-dasharray', '6 5')
+            .attr('stroke-opacity', 0.8)
+            .attr('marker-end', d => d.type === 'builds-on' ? 'url(#relation-arrow)' : null);
+
+        relationEnter.append('text')
+            .attr('class', 'relation-label')
+            .attr('text-anchor', 'middle')
+            .attr('dy', '0.35em')
+            .style('fill', d => this.relationColors[d.type])
+            .style('font-size', '12px')
+            .style('font-weight', '600')
+            .style('paint-order', 'stroke')
+            .style('stroke', '#0f1419')
+            .style('stroke-width', '4px')
+            .text(d => this.courseData.relationTypes[d.type].label.toLowerCase());
+
+        relationEnter.append('title');
+
+        const allRelations = relationEnter.merge(relation);
+        allRelations.select('title')
+            .text(d => {
+                const label = this.courseData.relationTypes[d.type].label.toLowerCase();
+                const notes = d.notes.filter(Boolean);
+                return `${d.source.label} ${label} ${d.target.label}${notes.length ? `\n\n${notes.join('\n')}` : ''}`;
             });
+
+        this.positionRelations(relationEnter);
+        this.positionRelations(relation.transition().duration(500));
+    }
+
+    /**
+     * Place relation curves and labels between their nodes
+     * @param {Object} selection - d3 selection or transition of relations
+     */
+    positionRelations(selection) {
+        selection.select('path')
+            .attr('d', d => this.getRelationGeometry(d.source, d.target, d.lane).path);
+        selection.select('text')
+            .attr('x', d => this.getRelationGeometry(d.source, d.target, d.lane).label.x)
+            .attr('y', d => this.getRelationGeometry(d.source, d.target, d.lane).label.y);
+    }
+
+    /**
+     * Curve for a relation: bowed to one side so it stands apart from tree
+     * links, and clipped to the node boxes so arrowheads stay visible
+     * @param {Object} source - Source node
+     * @param {Object} target - Target node
+     * @param {number} lane - Index among relations between the same nodes
+     * @returns {Object} { path, label: { x, y } }
+     */
+    getRelationGeometry(source, target, lane = 0) {
+        const dx = target.x - source.x;
+        const dy = target.y - source.y;
+        const length = Math.hypot(dx, dy) || 1;
+        const bend = Math.min(length * 0.25, 120) * (1 + lane * 0.6);
+
+        const cx = (source.x + target.x) / 2 - dy / length * bend;
+        const cy = (source.y + target.y) / 2 + dx / length * bend;
+        const start = this.clipToNode(source, cx, cy);
+        const end = this.clipToNode(target, cx, cy);
+
+        return {
+            path: `M${start.x},${start.y} Q${cx},${cy} ${end.x},${end.y}`,
+            label: { x: (start.x + 2 * cx + end.x) / 4, y: (start.y + 2 * cy + end.y) / 4 }
+        };
+    }
+
+    /**
+     * Find where a line from a node's center toward a point leaves the node
+     * @param {Object} node - Node with x, y
+     * @param {number} x - Point x
+     * @param {number} y - Point y
+     * @returns {Object} { x, y } on the node's edge
+     */
+    clipToNode(node, x, y) {
+        const dx = x - node.x;
+        const dy = y - node.y;
+        const scale = Math.min(
+            dx ? (this.nodeWidth / 2) / Math.abs(dx) : Infinity,
+            dy ? (this.nodeHeight / 2) / Math.abs(dy) : Infinity,
+            1
+        );
+        return { x: node.x + dx * scale, y: node.y + dy * scale };
+    }
+
+    /**
+     * Show or hide relation cross-links
+     * @param {boolean} enabled - Draw relations
+     */
+    setShowRelations(enabled) {
+        this.showRelations = enabled;
+        localStorage.setItem(this.relationsKey, enabled);
+        this.render({ center: false });
     }
 
     renderNodes(nodes) {
@@ -205,20 +688,19 @@ class MindMap {
 
         const nodeEnter = node.enter()
             .append('g')
-            .attr('class', 'node')
+            .attr('class', d => `node node-${d.type}`)
             .style('cursor', 'pointer')
             .on('click', (event, d) => this.handleNodeClick(event, d))
+            .on('dblclick', (event, d) => this.openNode(event, d))
             .on('mouseenter', (event, d) => this.showTooltip(event, d))
-            .on('mouseleave', () => this.hideTooltip());
+            .on('mouseleave', () => this.hideTooltip())
+            .call(this.createDragBehavior());
 
         // Node background
         nodeEnter.append('rect')
             .attr('class', 'node-bg')
             .attr('width', this.nodeWidth)
             .attr('height', this.nodeHeight)
-            .attr('rx', 12)
-            .attr('fill', d => this.getNodeColor(d))
-            .attr('stroke', d => this.lightenColor(this.getNodeColor(d)))
             .attr('stroke-width', 2)
             .style('filter', 'drop-shadow(0 6px 12px rgba(0,0,0,0.4))')
             .on('mouseover', function() {
@@ -243,32 +725,51 @@ class MindMap {
             .attr('y', this.nodeHeight / 2)
             .attr('text-anchor', 'middle')
             .attr('dy', '0.35em')
-            .style('fill', '#ffffff')
+            .style('pointer-events', 'none');
+
+        // Style and label every node, not just new ones: a replaced dataset
+        // reuses ids like 'chapter-3' for different content
+        const allNodes = nodeEnter.merge(node);
+
+        allNodes.select('.node-bg')
+            .attr('rx', d => this.getNodeStyle(d).rx)
+            .attr('fill', d => this.getNodeStyle(d).fill)
+            .attr('fill-opacity', d => this.getNodeStyle(d).fillOpacity)
+            .attr('stroke', d => this.getNodeStyle(d).stroke)
+            .attr('stroke-dasharray', d => this.getNodeStyle(d).dash);
+
+        allNodes.select('.node-text')
+            .style('fill', d => this.getNodeStyle(d).text)
             .style('font-size', d => {
                 if (d.type === 'root') return '18px';
                 if (d.type === 'part') return '16px';
+                if (d.type === 'example') return '12px';
                 return '14px';
             })
             .style('font-weight', d => d.type === 'root' || d.type === 'part' ? '700' : '600')
-            .style('pointer-events', 'none')
+            .style('font-style', d => d.type === 'example' ? 'italic' : 'normal')
             .text(d => this.truncateText(d.label));
 
-        // Expand/collapse button
-        const btnGroup = nodeEnter.filter(d => d.hasChildren)
+        // Expand/collapse button; rebuilt each render since chapters gain
+        // children when their detail loads
+        allNodes.selectAll('.expand-btn').remove();
+
+        const { cx, cy } = this.getExpandButtonPosition();
+        const btnGroup = allNodes.filter(d => d.hasChildren)
             .append('g')
             .attr('class', 'expand-btn');
 
         btnGroup.append('circle')
-            .attr('cx', this.nodeWidth / 2)
-            .attr('cy', this.nodeHeight + 15)
+            .attr('cx', cx)
+            .attr('cy', cy)
             .attr('r', 14)
             .attr('fill', '#ffffff')
             .attr('stroke', d => this.getNodeColor(d))
             .attr('stroke-width', 2);
 
         btnGroup.append('text')
-            .attr('x', this.nodeWidth / 2)
-            .attr('y', this.nodeHeight + 15)
+            .attr('x', cx)
+            .attr('y', cy)
             .attr('text-anchor', 'middle')
             .attr('dy', '0.35em')
             .style('fill', d => this.getNodeColor(d))
@@ -282,27 +783,365 @@ class MindMap {
             .transition()
             .duration(500)
             .attr('transform', d => `translate(${d.x - this.nodeWidth / 2}, ${d.y - this.nodeHeight / 2})`);
+
+        this.updateBookmarkMarkers();
+        this.updateNoteMarkers();
+        this.updateProgressFill();
     }
 
+    /**
+     * Show a bookmark marker on nodes whose chapter or takeaway is bookmarked
+     */
+    updateBookmarkMarkers() {
+        if (!this.g) return;
+
+        const bookmarked = window.Bookmarks.getBookmarkedIds();
+        const isBookmarked = d => {
+            const location = this.getNodeLocation(d);
+            return location !== null && bookmarked.has(this.courseData.getLocationId(location));
+        };
+
+        const nodes = this.g.selectAll('.node').classed('bookmarked', isBookmarked);
+        nodes.selectAll('.node-bookmark').remove();
+
+        nodes.filter(isBookmarked)
+            .append('text')
+            .attr('class', 'node-bookmark')
+            .attr('x', this.nodeWidth - 18)
+            .attr('y', 18)
+            .attr('text-anchor', 'middle')
+            .attr('dy', '0.35em')
+            .style('font-family', '"Font Awesome 6 Free"')
+            .style('font-weight', 900)
+            .style('font-size', '14px')
+            .text('\uf02e');
+    }
+
+    /**
+     * Fill chapter nodes from the bottom as far as the chapter has been read
+     */
+    updateProgressFill() {
+        if (!this.g) return;
+
+        const chapters = this.g.selectAll('.node-chapter');
+        chapters.selectAll('.node-progress').remove();
+
+        chapters.insert('rect', '.node-text')
+            .attr('class', 'node-progress')
+            .attr('clip-path', 'url(#chapter-node-clip)')
+            .attr('width', this.nodeWidth)
+            .attr('height', d => this.nodeHeight * window.Progress.getProgress({ chapter: d.chapterNumber }))
+            .attr('y', d => this.nodeHeight * (1 - window.Progress.getProgress({ chapter: d.chapterNumber })));
+    }
+
+    /**
+     * Show the number of highlights in or under each chapter, section,
+     * takeaway and concept node, with totals on part nodes
+     */
+    updateNoteMarkers() {
+        if (!this.g) return;
+
+        const countNotes = d => {
+            if (d.type === 'part') {
+                return this.courseData.getChaptersByPart(d.partNumber)
+                    .reduce((sum, ch) => sum + window.Annotations.countWithin({ chapter: ch.chapter }), 0);
+            }
+            const location = this.getNodeLocation(d);
+            return location ? window.Annotations.countWithin(location) : 0;
+        };
+
+        const nodes = this.g.selectAll('.node');
+        nodes.selectAll('.node-notes').remove();
+
+        const badges = nodes.filter(d => countNotes(d) > 0)
+            .append('g')
+            .attr('class', 'node-notes')
+            .attr('transform', 'translate(14, 14)');
+
+        badges.append('circle')
+            .attr('r', 9)
+            .attr('fill', '#e67e22');
+
+        badges.append('text')
+            .attr('text-anchor', 'middle')
+            .attr('dy', '0.35em')
+            .attr('fill', '#ffffff')
+            .style('font-size', '10px')
+            .style('font-weight', 'bold')
+            .text(countNotes);
+
+        badges.append('title')
+            .text(d => `${countNotes(d)} highlight${countNotes(d) !== 1 ? 's' : ''}`);
+    }
+
+    /**
+     * Drag behavior for nodes. A dragged node takes its visible subtree
+     * along and links follow while dragging; the move is saved as an
+     * offset for the current layout when the drag ends.
+     * @returns {Function} d3 drag behavior
+     */
+    createDragBehavior() {
+        let drag = null;
+
+        return d3.drag()
+            .clickDistance(4)
+            .on('start', (event, d) => {
+                this.hideTooltip();
+
+                const moving = new Set([d.id]);
+                this.positioned.forEach(n => {
+                    if (moving.has(n.parent)) moving.add(n.id);
+                });
+                drag = { moving, startX: d.x, startY: d.y };
+
+                this.g.selectAll('.node').filter(n => moving.has(n.id)).interrupt().raise();
+            })
+            .on('drag', (event, d) => {
+                let x = event.x;
+                let y = event.y;
+                if (this.snapToGrid) {
+                    x = Math.round(x / this.gridSize) * this.gridSize;
+                    y = Math.round(y / this.gridSize) * this.gridSize;
+                }
+
+                const dx = x - d.x;
+                const dy = y - d.y;
+                if (dx === 0 && dy === 0) return;
+
+                this.positioned.forEach(n => {
+                    if (!drag.moving.has(n.id)) return;
+                    n.x += dx;
+                    n.y += dy;
+                });
+
+                this.g.selectAll('.node')
+                    .filter(n => drag.moving.has(n.id))
+                    .attr('transform', n => `translate(${n.x - this.nodeWidth / 2}, ${n.y - this.nodeHeight / 2})`);
+                this.g.selectAll('.link')
+                    .filter(l => drag.moving.has(l.target.id))
+                    .interrupt()
+                    .attr('d', l => this.getLinkPath(l.source, l.target));
+
+                const relations = this.relationsLayer.selectAll('.relation')
+                    .filter(r => drag.moving.has(r.source.id) || drag.moving.has(r.target.id));
+                relations.selectAll('path, text').interrupt();
+                this.positionRelations(relations);
+            })
+            .on('end', (event, d) => {
+                const dx = d.x - drag.startX;
+                const dy = d.y - drag.startY;
+                drag = null;
+                if (dx === 0 && dy === 0) return;
+
+                const offsets = this.offsets[this.layout] || (this.offsets[this.layout] = {});
+                const own = offsets[d.id] || { dx: 0, dy: 0 };
+                offsets[d.id] = { dx: own.dx + dx, dy: own.dy + dy };
+                this.saveOffsets();
+
+                this.positioned.forEach(n => this.lastPositions.set(n.id, { x: n.x, y: n.y }));
+                this.minimap?.update();
+            });
+    }
+
+    /**
+     * Read saved node offsets
+     * @returns {Object} Layout name → node id → { dx, dy }
+     */
+    loadOffsets() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.offsetsKey) || '{}');
+            return saved && typeof saved === 'object' ? saved : {};
+        } catch (error) {
+            console.error('❌ Error reading saved map positions:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Persist node offsets
+     */
+    saveOffsets() {
+        localStorage.setItem(this.offsetsKey, JSON.stringify(this.offsets));
+    }
+
+    /**
+     * Turn snap-to-grid on or off for dragging
+     * @param {boolean} enabled - Snap dragged nodes to the grid
+     */
+    setSnapToGrid(enabled) {
+        this.snapToGrid = enabled;
+        localStorage.setItem(this.snapKey, enabled);
+    }
+
+    /**
+     * Check whether nodes in the current layout have been moved by hand
+     * @returns {boolean} True if there is a custom arrangement
+     */
+    hasCustomLayout() {
+        return Object.keys(this.offsets[this.layout] || {}).length > 0;
+    }
+
+    /**
+     * Drop the custom arrangement for the current layout
+     */
+    resetLayout() {
+        delete this.offsets[this.layout];
+        this.saveOffsets();
+        this.render();
+    }
+
+    /**
+     * Get the content location a node opens, if any
+     * @param {Object} node - Node data
+     * @returns {Object|null} Location or null for root and part nodes
+     */
+    getNodeLocation(node) {
+        if (node.type === 'takeaway') {
+            return { chapter: node.chapterNumber, takeaway: node.takeawayIndex };
+        }
+        if (node.type === 'concept' || node.type === 'example') {
+            return { chapter: node.chapterNumber, section: node.sectionPath, concept: node.conceptIndex };
+        }
+        if (node.type === 'section') {
+            return { chapter: node.chapterNumber, section: node.sectionPath };
+        }
+        if (node.chapterNumber) {
+            return { chapter: node.chapterNumber };
+        }
+        return null;
+    }
+
+    /**
+     * Find the node showing a content location. Locations the map doesn't
+     * draw (e.g. takeaways while chapters expand into sections only) fall
+     * back to the nearest node above them.
+     * @param {Object} location - { chapter, takeaway?, section?, concept? }
+     * @returns {string|null} Node id or null
+     */
+    getNodeIdForLocation(location) {
+        const chapterId = `chapter-${location.chapter}`;
+        const candidates = [];
+
+        if (location.takeaway !== undefined) {
+            candidates.push(`${chapterId}-takeaway-${location.takeaway}`);
+        } else if (location.section) {
+            const sectionId = `${chapterId}-s${location.section.join('.')}`;
+            if (location.concept !== undefined) candidates.push(`${sectionId}-c${location.concept}`);
+            candidates.push(sectionId);
+        }
+        candidates.push(chapterId);
+
+        const known = new Set(this.allItems.map(item => item.id));
+        return candidates.find(id => known.has(id)) || null;
+    }
+
+    /**
+     * Get the ids of a node's ancestors, nearest first
+     * @param {string} nodeId - Node id
+     * @returns {Array} Ancestor ids
+     */
+    getAncestorIds(nodeId) {
+        const byId = new Map(this.allItems.map(item => [item.id, item]));
+        const ancestors = [];
+        let parent = byId.get(nodeId)?.parent;
+
+        while (parent) {
+            ancestors.push(parent);
+            parent = byId.get(parent)?.parent;
+        }
+        return ancestors;
+    }
+
+    /**
+     * Expand or collapse a node; leaf nodes open their content instead
+     * @param {Event} event - Click event
+     * @param {Object} node - Node data
+     */
     handleNodeClick(event, node) {
         event.stopPropagation();
+        clearTimeout(this.clickTimer);
 
-        if (node.hasChildren) {
-            if (this.expandedNodes.has(node.id)) {
-                this.collapseNode(node.id);
-            } else {
-                this.expandedNodes.add(node.id);
-            }
-            this.render();
+        // Second click of a double-click; the dblclick handler opens the node
+        if (event.detail > 1) return;
+
+        if (!node.hasChildren) {
+            this.openNode(event, node);
+            return;
         }
 
-        // Load content
-        if (node.chapter) {
-            const customEvent = new CustomEvent('content:loadChapter', {
-                detail: { chapter: node }
-            });
-            document.dispatchEvent(customEvent);
+        // The expand button only ever toggles, so it needn't wait
+        if (event.target.closest('.expand-btn')) {
+            this.toggleNode(node);
+            return;
+        }
+
+        // Toggle once it's clear this isn't the start of a double-click,
+        // so opening a node doesn't expand and collapse it first
+        this.clickTimer = setTimeout(() => this.toggleNode(node), this.doubleClickDelay);
+    }
+
+    /**
+     * Expand a collapsed node or collapse an expanded one, keeping it in
+     * place on screen
+     * @param {Object} node - Node data
+     */
+    toggleNode(node) {
+        if (!node.hasChildren) return;
+
+        if (node.type === 'chapter' && !this.courseData.isChapterLoaded(node.chapterNumber)) {
+            // Sections appear through refresh() once the detail arrives
+            this.courseData.loadChapter(node.chapterNumber);
+        }
+
+        if (this.expandedNodes.has(node.id)) {
+            this.collapseNode(node.id);
+        } else {
+            this.expandedNodes.add(node.id);
         }
+        this.render({ anchor: node.id });
+
+        // Keep the URL in step with the expanded state
+        window.Router.replace(window.Router.mapPath(this.getExpandedIds()));
+    }
+
+    /**
+     * Open a node's content in the content panel
+     * @param {Event} event - Click or double-click event
+     * @param {Object} node - Node data
+     */
+    openNode(event, node) {
+        event.stopPropagation();
+
+        const location = this.getNodeLocation(node);
+        if (location) {
+            window.Router.navigate(window.Router.locationPath(location));
+        }
+    }
+
+    /**
+     * Get ids of expanded nodes, in content order
+     * @returns {Array} Node ids
+     */
+    getExpandedIds() {
+        return this.allItems
+            .filter(item => this.expandedNodes.has(item.id))
+            .map(item => item.id);
+    }
+
+    /**
+     * Replace the expanded state, e.g. from a shared URL
+     * @param {Array} ids - Node ids to expand
+     */
+    setExpanded(ids) {
+        const known = new Set(this.allItems.map(item => item.id));
+        const next = ['root', ...ids.filter(id => known.has(id))];
+
+        const unchanged = next.length === this.expandedNodes.size &&
+            next.every(id => this.expandedNodes.has(id));
+        if (unchanged) return;
+
+        this.expandedNodes = new Set(next);
+        this.render();
     }
 
     collapseNode(nodeId) {
@@ -335,6 +1174,34 @@ class MindMap {
         return node.color || '#3498db';
     }
 
+    /**
+     * Visual style for a node by type: solid cards down to chapters and
+     * takeaways, outlined sections, pill-shaped concepts and dashed examples
+     * @param {Object} node - Node data
+     * @returns {Object} { fill, fillOpacity, stroke, dash, rx, text }
+     */
+    getNodeStyle(node) {
+        const color = this.getNodeColor(node);
+        const style = {
+            fill: color,
+            fillOpacity: 1,
+            stroke: this.lightenColor(color),
+            dash: null,
+            rx: 12,
+            text: '#ffffff'
+        };
+
+        if (node.type === 'section') {
+            Object.assign(style, { fill: '#1a1f2e', stroke: color });
+        } else if (node.type === 'concept') {
+            Object.assign(style, { fillOpacity: 0.6, rx: this.nodeHeight / 2 });
+        } else if (node.type === 'example') {
+            Object.assign(style, { fill: '#0f1419', stroke: color, dash: '6 4', rx: 6, text: '#a8b2d1' });
+        }
+
+        return style;
+    }
+
     lightenColor(color) {
         const rgb = this.hexToRgb(color);
         return `rgb(${Math.min(255, rgb.r + 50)}, ${Math.min(255, rgb.g + 50)}, ${Math.min(255, rgb.b + 50)})`;
@@ -405,46 +1272,38 @@ class MindMap {
     }
 
     resetZoom() {
-        const nodes = this.getVisibleNodes();
-        const positioned = this.calculatePositions(nodes);
-        this.centerView(positioned);
+        this.centerView(this.positioned);
     }
 
-    async exportAsImage() {
+    /**
+     * Export the whole expanded map
+     * @param {string} format - 'svg', 'pdf' or 'png'
+     * @param {Object} options - { legend, title }
+     */
+    async exportMap(format, options = {}) {
         try {
-            const svgElement = this.svg.node();
-            const serializer = new XMLSerializer();
-            const svgString = serializer.serializeToString(svgElement);
-
-            const canvas = document.createElement('canvas');
-            canvas.width = this.width * 2;
-            canvas.height = this.height * 2;
-
-            const ctx = canvas.getContext('2d');
-            const img = new Image();
-
-            img.onload = () => {
-                ctx.scale(2, 2);
-                ctx.drawImage(img, 0, 0);
-                canvas.toBlob((blob) => {
-                    const url = URL.createObjectURL(blob);
-                    const link = document.createElement('a');
-                    link.href = url;
-                    link.download = 'ob-mindmap.png';
-                    link.click();
-                    URL.revokeObjectURL(url);
-                });
-            };
-
-            img.src = 'data:image/svg+xml;base64,' + btoa(unescape(encodeURIComponent(svgString)));
+            await new window.MapExporter(this, this.courseData).export(format, options);
+            console.log(`✅ Mind map exported as ${format.toUpperCase()}`);
         } catch (error) {
-            console.error('Export error:', error);
+            console.error('❌ Export error:', error);
+            alert(`Export failed: ${error.message}`);
         }
     }
 
     showTooltip(event, node) {
         let html = `<div style="font-weight: 600; margin-bottom: 8px; font-size: 15px;">${node.label}</div>`;
 
+        if (node.description) {
+            const shortDescription = node.description.length > 200 ? node.description.substring(0, 200) + '...' : node.description;
+            html += `<div style="font-size: 13px; color: #a8b2d1;">${shortDescription}</div>`;
+        }
+        if (node.type === 'chapter') {
+            html += `<div style="font-size: 12px; color: #2ecc71; margin-top: 8px;">${window.Progress.describe({ chapter: node.chapterNumber })}</div>`;
+        }
+        if (node.hasChildren && this.getNodeLocation(node)) {
+            html += `<div style="font-size: 12px; color: #6b7280; margin-top: 8px;">Double-click to open</div>`;
+        }
+
         // Add key takeaways if available
         if (node.keyTakeaways && node.keyTakeaways.length > 0) {
             html += `<div style="font-size: 13px; color: #a8b2d1; margin-top: 8px;">`;
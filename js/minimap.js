@@ -0,0 +1,257 @@
+/**
+ * Minimap Module
+ * Small overview of the whole visible mind map with a rectangle for the
+ * current viewport. Clicking or dragging in the overview pans the main
+ * view through the map's d3.zoom behavior.
+ */
+
+class MiniMap {
+    constructor(mindMap) {
+        this.mindMap = mindMap;
+        this.width = 200;
+        this.height = 140;
+        this.padding = 8;
+
+        this.collapsedKey = 'ob_mindmap_minimap_collapsed';
+        this.collapsed = localStorage.getItem(this.collapsedKey) === 'true';
+
+        // Content → overview mapping, set by update()
+        this.scale = 1;
+        this.offsetX = 0;
+        this.offsetY = 0;
+
+        this.createPanel();
+    }
+
+    /**
+     * Build the panel inside the map container
+     */
+    createPanel() {
+        this.panel = d3.select(this.mindMap.container)
+            .append('div')
+            .attr('class', 'mindmap-minimap')
+            .classed('collapsed', this.collapsed);
+
+        this.toggleBtn = this.panel.append('button')
+            .attr('class', 'minimap-toggle')
+            .on('click', () => this.setCollapsed(!this.collapsed));
+        this.updateToggle();
+
+        this.svg = this.panel.append('svg')
+            .attr('width', this.width)
+            .attr('height', this.height)
+            .call(this.createDragBehavior());
+
+        this.links = this.svg.append('g').attr('class', 'minimap-links');
+        this.nodes = this.svg.append('g').attr('class', 'minimap-nodes');
+        this.viewport = this.svg.append('rect').attr('class', 'minimap-viewport');
+    }
+
+    /**
+     * Show or hide the overview, keeping the toggle button visible
+     * @param {boolean} collapsed - Hide the overview
+     */
+    setCollapsed(collapsed) {
+        this.collapsed = collapsed;
+        localStorage.setItem(this.collapsedKey, collapsed);
+        this.panel.classed('collapsed', collapsed);
+        this.updateToggle();
+        if (!collapsed) this.update();
+    }
+
+    /**
+     * Match the toggle button's icon and label to the collapsed state
+     */
+    updateToggle() {
+        const label = this.collapsed ? 'Show overview' : 'Hide overview';
+        this.toggleBtn
+            .attr('title', label)
+            .attr('aria-label', label)
+            .attr('aria-expanded', !this.collapsed)
+            .html(`<i class="fas ${this.collapsed ? 'fa-map' : 'fa-chevron-down'}"></i>`);
+    }
+
+    /**
+     * Redraw the overview from the map's current node positions
+     */
+    update() {
+        const nodes = this.mindMap.positioned;
+        if (this.collapsed || nodes.length === 0) return;
+
+        const { nodeWidth, nodeHeight } = this.mindMap;
+        const minX = Math.min(...nodes.map(n => n.x)) - nodeWidth / 2;
+        const maxX = Math.max(...nodes.map(n => n.x)) + nodeWidth / 2;
+        const minY = Math.min(...nodes.map(n => n.y)) - nodeHeight / 2;
+        const maxY = Math.max(...nodes.map(n => n.y)) + nodeHeight / 2;
+
+        const innerWidth = this.width - this.padding * 2;
+        const innerHeight = this.height - this.padding * 2;
+        this.scale = Math.min(innerWidth / (maxX - minX), innerHeight / (maxY - minY));
+        this.offsetX = this.padding + (innerWidth - (maxX - minX) * this.scale) / 2 - minX * this.scale;
+        this.offsetY = this.padding + (innerHeight - (maxY - minY) * this.scale) / 2 - minY * this.scale;
+
+        const byId = new Map(nodes.map(n => [n.id, n]));
+        const links = nodes.filter(n => byId.has(n.parent)).map(n => ({ source: byId.get(n.parent), target: n }));
+
+        this.links.selectAll('line')
+            .data(links, d => d.target.id)
+            .join('line')
+            .attr('x1', d => this.toMiniX(d.source.x))
+            .attr('y1', d => this.toMiniY(d.source.y))
+            .attr('x2', d => this.toMiniX(d.target.x))
+            .attr('y2', d => this.toMiniY(d.target.y));
+
+        // Keep tiny nodes visible when the whole course is expanded
+        const width = Math.max(nodeWidth * this.scale, 3);
+        const height = Math.max(nodeHeight * this.scale, 2);
+
+        this.nodes.selectAll('rect')
+            .data(nodes, d => d.id)
+            .join('rect')
+            .attr('x', d => this.toMiniX(d.x) - width / 2)
+            .attr('y', d => this.toMiniY(d.y) - height / 2)
+            .attr('width', width)
+            .attr('height', height)
+            .attr('rx', Math.min(width, height) / 4)
+            .attr('fill', d => this.mindMap.getNodeColor(d));
+
+        this.updateViewport(d3.zoomTransform(this.mindMap.svg.node()));
+    }
+
+    /**
+     * Move the viewport rectangle to match the main view
+     * @param {Object} transform - Current d3 zoom transform
+     */
+    updateViewport(transform) {
+        if (this.collapsed || !transform.k) return;
+
+        const [x0, y0] = transform.invert([0, 0]);
+        const [x1, y1] = transform.invert([this.mindMap.width, this.mindMap.height]);
+
+        this.viewport
+            .attr('x', this.toMiniX(x0))
+            .attr('y', this.toMiniY(y0))
+            .attr('width', Math.max((x1 - x0) * this.scale, 0))
+            .attr('height', Math.max((y1 - y0) * this.scale, 0));
+    }
+
+    /**
+     * Clicking outside the viewport centers the main view there;
+     * dragging pans it, whether the drag starts on the viewport or not
+     * @returns {Function} d3 drag behavior
+     */
+    createDragBehavior() {
+        return d3.drag()
+            .container(function () { return this; })
+            .on('start', (event) => {
+                if (event.sourceEvent?.target === this.viewport.node()) return;
+
+                this.mindMap.svg.transition()
+                    .duration(250)
+                    .call(this.mindMap.zoom.translateTo, this.fromMiniX(event.x), this.fromMiniY(event.y));
+            })
+            .on('drag', (event) => {
+                this.mindMap.svg.interrupt()
+                    .call(this.mindMap.zoom.translateBy, -event.dx / this.scale, -event.dy / this.scale);
+            });
+    }
+
+    // Content coordinates <-> overview coordinates
+    toMiniX(x) {
+        return x * this.scale + this.offsetX;
+    }
+
+    toMiniY(y) {
+        return y * this.scale + this.offsetY;
+    }
+
+    fromMiniX(x) {
+        return (x - this.offsetX) / this.scale;
+    }
+
+    fromMiniY(y) {
+        return (y - this.offsetY) / this.scale;
+    }
+}
+
+// Add CSS for minimap styles
+const minimapStyles = `
+    .mindmap-minimap {
+        position: absolute;
+        right: 1rem;
+        bottom: 1rem;
+        z-index: 10;
+        background: rgba(26, 31, 46, 0.95);
+        border: 1px solid var(--border);
+        border-radius: 10px;
+        box-shadow: var(--shadow);
+        overflow: hidden;
+    }
+
+    .mindmap-minimap svg {
+        display: block;
+        cursor: pointer;
+    }
+
+    .mindmap-minimap.collapsed svg {
+        display: none;
+    }
+
+    .minimap-toggle {
+        position: absolute;
+        top: 4px;
+        right: 4px;
+        width: 22px;
+        height: 22px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: rgba(15, 20, 25, 0.8);
+        border: none;
+        border-radius: 4px;
+        color: var(--text-muted);
+        font-size: 0.7rem;
+        cursor: pointer;
+    }
+
+    .minimap-toggle:hover {
+        color: var(--text-primary);
+    }
+
+    .mindmap-minimap.collapsed .minimap-toggle {
+        position: static;
+        width: 36px;
+        height: 36px;
+        font-size: 0.9rem;
+    }
+
+    .minimap-links line {
+        stroke: rgba(255, 255, 255, 0.25);
+        stroke-width: 1;
+    }
+
+    .minimap-nodes rect {
+        opacity: 0.85;
+    }
+
+    .minimap-viewport {
+        fill: rgba(52, 152, 219, 0.12);
+        stroke: var(--primary);
+        stroke-width: 1.5;
+        cursor: move;
+    }
+
+    /* Leave small screens to the legend and pinch-zoom */
+    @media (max-width: 767px) {
+        .mindmap-minimap {
+            display: none;
+        }
+    }
+`;
+
+const minimapStyleSheet = document.createElement('style');
+minimapStyleSheet.textContent = minimapStyles;
+document.head.appendChild(minimapStyleSheet);
+
+// Make MiniMap globally available
+window.MiniMap = MiniMap;
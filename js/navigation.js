@@ -36,7 +36,126 @@ class Navigation {
     async render() {
         const parts = this.courseData.getParts();
         const html = parts.map(part => this.renderPart(part)).join('');
-        this.container.innerHTML = html;
+        this.container.innerHTML = this.renderCourseProgress() + html;
+        this.updateBookmarkMarkers();
+        this.updateDueCounts();
+        this.updateNoteBadges();
+        this.updateProgress();
+    }
+
+    /**
+     * Mark bookmarked chapters, sections and takeaways in the tree
+     */
+    updateBookmarkMarkers() {
+        const bookmarked = window.Bookmarks.getBookmarkedIds();
+
+        this.container.querySelectorAll('.nav-chapter').forEach(chapter => {
+            chapter.querySelector('.nav-chapter-header')
+                ?.classList.toggle('bookmarked', bookmarked.has(chapter.dataset.chapter));
+        });
+
+        this.container.querySelectorAll('.nav-section[data-chapter]').forEach(item => {
+            const { sectionPath, takeaway } = item.dataset;
+            const location = { chapter: parseInt(item.dataset.chapter) };
+            if (takeaway !== undefined) location.takeaway = parseInt(takeaway);
+            else if (sectionPath) location.section = sectionPath.split('.').map(Number);
+            else return;
+
+            item.classList.toggle('bookmarked', bookmarked.has(this.courseData.getLocationId(location)));
+        });
+    }
+
+    /**
+     * Show how many flashcards are due for review in each part and
+     * chapter. New cards draw on one daily allowance, so they're shown
+     * on the flashcards button instead.
+     */
+    updateDueCounts() {
+        this.container.querySelectorAll('.nav-due').forEach(badge => {
+            const due = window.Flashcards.getDueCount(badge.dataset.deck);
+            badge.textContent = due;
+            badge.title = `${due} flashcard${due !== 1 ? 's' : ''} due for review - click to study`;
+            badge.hidden = due === 0;
+        });
+    }
+
+    /**
+     * Show how many highlights each chapter, section and takeaway holds
+     */
+    updateNoteBadges() {
+        this.container.querySelectorAll('.nav-notes').forEach(badge => {
+            const item = badge.closest('.nav-section[data-chapter], .nav-chapter');
+            const { sectionPath, takeaway } = item.dataset;
+            const location = { chapter: parseInt(item.dataset.chapter) };
+            if (takeaway !== undefined) location.takeaway = parseInt(takeaway);
+            else if (sectionPath) location.section = sectionPath.split('.').map(Number);
+
+            const count = window.Annotations.countWithin(location);
+            badge.innerHTML = `<i class="fas fa-highlighter"></i> ${count}`;
+            badge.title = `${count} highlight${count !== 1 ? 's' : ''}`;
+            badge.hidden = count === 0;
+        });
+    }
+
+    /**
+     * Fill the progress rings of chapters and sections and the course
+     * completion bar
+     */
+    updateProgress() {
+        const progress = window.Progress;
+
+        this.container.querySelectorAll('.progress-ring').forEach(ring => {
+            const item = ring.closest('.nav-section[data-section-path], .nav-chapter');
+            const location = { chapter: parseInt(item.dataset.chapter) };
+            if (item.dataset.sectionPath) location.section = item.dataset.sectionPath.split('.').map(Number);
+
+            const value = progress.getProgress(location);
+            ring.querySelector('.progress-ring-value').setAttribute('stroke-dasharray', `${value * 100} 100`);
+            ring.querySelector('title').textContent = progress.describe(location);
+            ring.classList.toggle('complete', value >= 1);
+        });
+
+        const bar = this.container.querySelector('.nav-progress');
+        if (bar) {
+            const percent = Math.round(progress.getCourseProgress() * 100);
+            bar.querySelector('.nav-progress-value').textContent = `${percent}%`;
+            bar.querySelector('.nav-progress-fill').style.width = `${percent}%`;
+            bar.querySelector('[role="progressbar"]').setAttribute('aria-valuenow', percent);
+        }
+    }
+
+    /**
+     * Render the course completion bar
+     * @returns {string} HTML string
+     */
+    renderCourseProgress() {
+        return `
+            <div class="nav-progress" title="Chapters count by their number of pages">
+                <div class="nav-progress-label">
+                    <span>Course progress</span>
+                    <span class="nav-progress-value">0%</span>
+                </div>
+                <div class="nav-progress-bar" role="progressbar" aria-label="Course progress"
+                     aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+                    <div class="nav-progress-fill"></div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render an empty progress ring, filled in by updateProgress
+     * @returns {string} HTML string
+     */
+    renderProgressRing() {
+        return `
+            <svg class="progress-ring" viewBox="0 0 20 20" role="img">
+                <title></title>
+                <circle class="progress-ring-track" cx="10" cy="10" r="8"></circle>
+                <circle class="progress-ring-value" cx="10" cy="10" r="8" pathLength="100"
+                        stroke-dasharray="0 100" transform="rotate(-90 10 10)"></circle>
+            </svg>
+        `;
     }
 
     /**
@@ -51,6 +170,7 @@ class Navigation {
             <div class="nav-part" data-part="${part.part}">
                 <div class="nav-part-header part-${part.part}" style="border-color: ${part.color}">
                     <span>${part.title}</span>
+                    <span class="nav-due" data-deck="part-${part.part}" hidden></span>
                     <i class="fas fa-chevron-right toggle-icon"></i>
                 </div>
                 <div class="nav-chapters">
@@ -68,11 +188,20 @@ class Navigation {
      */
     renderChapter(chapter, color) {
         const hasSections = chapter.sections && chapter.sections.length > 0;
+        const errors = this.courseData.getChapterErrors(chapter.chapter)
+            .filter(err => err.severity === 'error');
 
         return `
             <div class="nav-chapter" data-chapter="${chapter.chapter}">
                 <div class="nav-chapter-header" data-color="${color}">
+                    ${this.renderProgressRing()}
                     <span>Chapter ${chapter.chapter}: ${chapter.title}</span>
+                    ${errors.length > 0 ? `
+                        <i class="fas fa-exclamation-triangle nav-chapter-warning"
+                           title="${errors.length} content error${errors.length !== 1 ? 's' : ''} in this chapter"></i>
+                    ` : ''}
+                    <span class="nav-notes" hidden></span>
+                    <span class="nav-due" data-deck="chapter-${chapter.chapter}" hidden></span>
                     ${hasSections ? '<i class="fas fa-chevron-right toggle-icon"></i>' : ''}
                 </div>
                 ${hasSections ? this.renderSections(chapter.sections, chapter.chapter) : ''}
@@ -86,23 +215,27 @@ class Navigation {
      * @param {Array} sections - Array of sections
      * @param {number} chapterNum - Chapter number
      * @param {number} level - Nesting level
+     * @param {Array} path - Index path of the parent section
      * @returns {string} HTML string
      */
-    renderSections(sections, chapterNum, level = 0) {
+    renderSections(sections, chapterNum, level = 0, path = []) {
         const indent = level * 1;
 
         return `
             <div class="nav-sections" style="padding-left: ${indent}rem;">
-                ${sections.map(section => `
+                ${sections.map((section, index) => `
                     <div class="nav-section"
                          data-chapter="${chapterNum}"
                          data-section="${section.title}"
+                         data-section-path="${path.concat(index).join('.')}"
                          style="padding-left: ${level * 0.5}rem;">
                         <i class="fas fa-angle-right" style="font-size: 0.8rem; margin-right: 0.5rem;"></i>
+                        ${this.renderProgressRing()}
                         ${section.title}
+                        <span class="nav-notes" hidden></span>
                     </div>
                     ${section.subsections && section.subsections.length > 0 ?
-                        this.renderSections(section.subsections, chapterNum, level + 1) :
+                        this.renderSections(section.subsections, chapterNum, level + 1, path.concat(index)) :
                         ''}
                 `).join('')}
             </div>
@@ -132,6 +265,7 @@ class Navigation {
                          title="${takeaway}">
                         <i class="fas fa-circle" style="font-size: 0.4rem; margin-right: 0.5rem; color: ${color};"></i>
                         ${this.truncateText(takeaway, 60)}
+                        <span class="nav-notes" hidden></span>
                     </div>
                 `).join('')}
             </div>
@@ -142,8 +276,20 @@ class Navigation {
      * Attach event listeners
      */
     attachEventListeners() {
+        // Due-count badge click - study that deck
+        this.container.addEventListener('click', (e) => {
+            const badge = e.target.closest('.nav-due');
+            if (badge) {
+                document.dispatchEvent(new CustomEvent('flashcards:study', {
+                    detail: { deck: badge.dataset.deck }
+                }));
+            }
+        });
+
         // Part header click - toggle chapters
         this.container.addEventListener('click', (e) => {
+            if (e.target.closest('.nav-due')) return;
+
             const partHeader = e.target.closest('.nav-part-header');
             if (partHeader) {
                 const part = partHeader.closest('.nav-part');
@@ -154,7 +300,7 @@ class Navigation {
         // Chapter header click - toggle sections
         this.container.addEventListener('click', (e) => {
             const chapterHeader = e.target.closest('.nav-chapter-header');
-            if (chapterHeader && !e.target.closest('.nav-part-header')) {
+            if (chapterHeader && !e.target.closest('.nav-part-header, .nav-due')) {
                 const chapter = chapterHeader.closest('.nav-chapter');
                 const chapterNum = parseInt(chapter.dataset.chapter);
 
@@ -174,17 +320,33 @@ class Navigation {
             const section = e.target.closest('.nav-section');
             if (section && !e.target.closest('.nav-chapter-header') && !e.target.closest('.nav-part-header')) {
                 const chapterNum = parseInt(section.dataset.chapter);
-                const sectionTitle = section.dataset.section;
+                const sectionPath = section.dataset.sectionPath;
                 const takeawayIndex = section.dataset.takeaway;
 
                 if (takeawayIndex !== undefined) {
                     this.loadTakeaway(chapterNum, parseInt(takeawayIndex));
-                } else if (sectionTitle) {
-                    this.loadSection(chapterNum, sectionTitle);
+                } else if (sectionPath) {
+                    this.loadSection(chapterNum, sectionPath.split('.').map(Number));
                 }
             }
         });
 
+        // Re-render a chapter once its detail has been merged in
+        document.addEventListener('content:chapterLoaded', (e) => {
+            this.refreshChapter(e.detail.chapter);
+        });
+        document.addEventListener('content:chaptersLoaded', (e) => {
+            e.detail.chapters.forEach(chapter => this.refreshChapter(chapter));
+        });
+
+        // Start over when a different course is loaded
+        document.addEventListener('content:datasetChanged', () => this.render());
+
+        document.addEventListener('bookmarks:changed', () => this.updateBookmarkMarkers());
+        document.addEventListener('flashcards:changed', () => this.updateDueCounts());
+        document.addEventListener('annotations:changed', () => this.updateNoteBadges());
+        document.addEventListener('progress:changed', () => this.updateProgress());
+
         // Collapse All button
         const collapseAllBtn = document.getElementById('collapseAll');
         if (collapseAllBtn) {
@@ -198,6 +360,33 @@ class Navigation {
         }
     }
 
+    /**
+     * Re-render a single chapter, keeping its expanded state
+     * @param {Object} chapter - Chapter object
+     */
+    refreshChapter(chapter) {
+        const existing = this.container.querySelector(`.nav-chapter[data-chapter="${chapter.chapter}"]`);
+        if (!existing) return;
+
+        const partElement = existing.closest('.nav-part');
+        const part = this.courseData.getPart(parseInt(partElement.dataset.part));
+        const wasExpanded = existing.classList.contains('expanded');
+
+        const template = document.createElement('template');
+        template.innerHTML = this.renderChapter(chapter, part?.color).trim();
+        const replacement = template.content.firstElementChild;
+
+        if (wasExpanded) {
+            replacement.classList.add('expanded');
+        }
+
+        existing.replaceWith(replacement);
+        this.updateBookmarkMarkers();
+        this.updateDueCounts();
+        this.updateNoteBadges();
+        this.updateProgress();
+    }
+
     /**
      * Toggle part expansion
      * @param {HTMLElement} partElement - Part element
@@ -212,6 +401,12 @@ class Navigation {
      */
     toggleChapter(chapterElement) {
         chapterElement.classList.toggle('expanded');
+
+        // Prefetch detail so subsections are ready when the user drills in
+        const chapterNum = parseInt(chapterElement.dataset.chapter);
+        if (!this.courseData.isChapterLoaded(chapterNum)) {
+            this.courseData.loadChapter(chapterNum);
+        }
     }
 
     /**
@@ -241,30 +436,20 @@ class Navigation {
      * @param {number} chapterNum - Chapter number
      */
     loadChapter(chapterNum) {
-        const chapter = this.courseData.getChapter(chapterNum);
-        if (!chapter) return;
+        if (!this.courseData.getChapter(chapterNum)) return;
 
-        const event = new CustomEvent('content:loadChapter', {
-            detail: { chapter }
-        });
-        document.dispatchEvent(event);
+        window.Router.navigate(window.Router.locationPath({ chapter: chapterNum }));
     }
 
     /**
      * Load section content
      * @param {number} chapterNum - Chapter number
-     * @param {string} sectionTitle - Section title
+     * @param {Array} sectionPath - Index path of the section
      */
-    loadSection(chapterNum, sectionTitle) {
-        const chapter = this.courseData.getChapter(chapterNum);
-        if (!chapter) return;
+    loadSection(chapterNum, sectionPath) {
+        if (!this.courseData.getChapter(chapterNum)) return;
 
-        const section = this.findSection(chapter.sections, sectionTitle);
-
-        const event = new CustomEvent('content:loadSection', {
-            detail: { chapter, section }
-        });
-        document.dispatchEvent(event);
+        window.Router.navigate(window.Router.locationPath({ chapter: chapterNum, section: sectionPath }));
     }
 
     /**
@@ -273,38 +458,9 @@ class Navigation {
      * @param {number} takeawayIndex - Takeaway index
      */
     loadTakeaway(chapterNum, takeawayIndex) {
-        const chapter = this.courseData.getChapter(chapterNum);
-        if (!chapter) return;
-
-        const takeaway = chapter.keyTakeaways[takeawayIndex];
-
-        const event = new CustomEvent('content:loadTakeaway', {
-            detail: { chapter, takeaway, index: takeawayIndex }
-        });
-        document.dispatchEvent(event);
-    }
-
-    /**
-     * Find section by title recursively
-     * @param {Array} sections - Array of sections
-     * @param {string} title - Section title
-     * @returns {Object|null} Section object or null
-     */
-    findSection(sections, title) {
-        if (!sections) return null;
-
-        for (const section of sections) {
-            if (section.title === title) {
-                return section;
-            }
-
-            if (section.subsections) {
-                const found = this.findSection(section.subsections, title);
-                if (found) return found;
-            }
-        }
+        if (!this.courseData.getChapter(chapterNum)) return;
 
-        return null;
+        window.Router.navigate(window.Router.locationPath({ chapter: chapterNum, takeaway: takeawayIndex }));
     }
 
     /**
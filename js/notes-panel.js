@@ -0,0 +1,319 @@
+/**
+ * Notes Panel Module
+ * "My notes": every highlight and note, grouped by chapter, with links
+ * back to the content and a Markdown export
+ */
+
+class NotesPanel {
+    constructor() {
+        this.openBtn = document.getElementById('openNotes');
+        this.modal = document.getElementById('notesModal');
+        this.body = document.getElementById('notesBody');
+        this.closeBtn = document.getElementById('closeNotesModal');
+        this.store = window.Annotations;
+        this.courseData = null;
+    }
+
+    /**
+     * Initialize the notes panel
+     * @param {Object} courseData - Course data object
+     */
+    async init(courseData) {
+        this.courseData = courseData;
+
+        if (!this.modal || !this.body) {
+            console.error('Notes panel not found');
+            return;
+        }
+
+        try {
+            this.attachEventListeners();
+            console.log('✅ Notes initialized successfully');
+        } catch (error) {
+            console.error('❌ Error initializing notes:', error);
+        }
+    }
+
+    /**
+     * Attach event listeners
+     */
+    attachEventListeners() {
+        this.openBtn?.addEventListener('click', () => this.open());
+        this.closeBtn?.addEventListener('click', () => this.close());
+
+        // Close on overlay click
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.close();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) this.close();
+        });
+
+        document.addEventListener('annotations:changed', () => {
+            if (this.isOpen()) this.render();
+        });
+
+        this.body.addEventListener('click', (e) => this.handleClick(e));
+    }
+
+    /**
+     * Handle clicks on panel buttons and notes
+     * @param {Event} e - Click event
+     */
+    handleClick(e) {
+        const action = e.target.closest('[data-action]')?.dataset.action;
+        const id = e.target.closest('.note-item')?.dataset.annotation;
+        const annotation = id && this.store.get(id);
+
+        if (action === 'export') {
+            this.download(this.store.toMarkdown());
+        } else if (action === 'edit' && annotation) {
+            const note = prompt('Note for this highlight:', annotation.note);
+            if (note !== null) this.store.update(id, { note });
+        } else if (action === 'delete' && annotation) {
+            if (confirm('Delete this highlight and its note?')) this.store.remove(id);
+        } else if (action === 'open' && annotation) {
+            this.close();
+            window.Router.navigate(window.Router.locationPath(this.courseData.parseLocationId(annotation.location)));
+        }
+    }
+
+    /**
+     * Show the panel
+     */
+    async open() {
+        this.modal.classList.add('active');
+        this.body.innerHTML = '<div class="notes-status">Loading notes…</div>';
+
+        // Concept highlights need the chapter detail to be found
+        await this.courseData.loadAllChapters();
+        this.render();
+    }
+
+    /**
+     * Hide the panel
+     */
+    close() {
+        this.modal.classList.remove('active');
+    }
+
+    /**
+     * Check whether the panel is showing
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return this.modal.classList.contains('active');
+    }
+
+    /**
+     * Render every highlight by chapter
+     */
+    render() {
+        const groups = this.store.groupByChapter();
+        const total = this.store.getAll().length;
+
+        if (total === 0) {
+            this.body.innerHTML = `
+                <div class="no-results">
+                    <i class="fas fa-highlighter"></i>
+                    <p>No highlights or notes yet</p>
+                    <small>Select text in a chapter overview, key takeaway or concept to highlight it</small>
+                </div>
+            `;
+            return;
+        }
+
+        this.body.innerHTML = `
+            <div class="notes-actions">
+                <span>${total} highlight${total !== 1 ? 's' : ''}</span>
+                <button class="control-btn" data-action="export" title="Export as Markdown">
+                    <i class="fas fa-file-export"></i> Markdown
+                </button>
+            </div>
+
+            ${groups.map(({ chapter, items }) => `
+                <div class="notes-chapter">
+                    <h4>${chapter ? `Chapter ${chapter.chapter}: ${this.escapeHtml(chapter.title)}` : 'Detached highlights'}</h4>
+                    ${items.map(item => this.renderItem(item)).join('')}
+                </div>
+            `).join('')}
+        `;
+    }
+
+    /**
+     * Render one highlight
+     * @param {Object} item - Annotation
+     * @returns {string} HTML string
+     */
+    renderItem(item) {
+        const detached = this.store.resolve(item) === null;
+        const orphaned = !this.courseData.getChapter(this.courseData.parseLocationId(item.location).chapter);
+
+        return `
+            <div class="note-item" data-annotation="${item.id}" style="border-left-color: ${this.store.colors[item.color]}">
+                <button class="note-link" data-action="open"
+                        ${orphaned ? 'disabled title="This chapter is no longer in the course"' : 'title="Go to this highlight"'}>
+                    <small>
+                        ${this.escapeHtml(this.store.describeTarget(item))}
+                        ${detached ? '<span class="note-detached" title="The text changed and this highlight could not be placed">detached</span>' : ''}
+                    </small>
+                    <q>${this.escapeHtml(this.truncate(item.exact, 200))}</q>
+                </button>
+                ${item.note ? `<p class="note-text">${this.escapeHtml(item.note)}</p>` : ''}
+                <div class="note-actions">
+                    <button class="icon-btn" data-action="edit" title="${item.note ? 'Edit note' : 'Add a note'}">
+                        <i class="fas fa-pen"></i>
+                    </button>
+                    <button class="icon-btn" data-action="delete" title="Delete highlight">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Save the notes as a Markdown file
+     * @param {string} markdown - Markdown text
+     */
+    download(markdown) {
+        const blob = new Blob([markdown], { type: 'text/markdown' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = 'my-notes.md';
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Shorten long quotes
+     * @param {string} text - Text
+     * @param {number} length - Maximum length
+     * @returns {string} Shortened text
+     */
+    truncate(text, length) {
+        return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+    }
+
+    /**
+     * Escape HTML
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Add CSS for notes styles
+const notesStyles = `
+    .notes-actions {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        margin-bottom: 1rem;
+        color: var(--text-secondary);
+        font-size: 0.85rem;
+    }
+
+    .notes-actions .control-btn {
+        width: auto;
+        padding: 0.5rem 0.75rem;
+    }
+
+    .notes-status {
+        color: var(--text-secondary);
+        font-size: 0.85rem;
+    }
+
+    .notes-chapter {
+        margin-bottom: 1.25rem;
+    }
+
+    .notes-chapter h4 {
+        margin-bottom: 0.5rem;
+        color: var(--primary);
+    }
+
+    .note-item {
+        position: relative;
+        margin-bottom: 0.5rem;
+        padding: 0.6rem 4.5rem 0.6rem 0.75rem;
+        border: 1px solid var(--border);
+        border-left: 4px solid;
+        border-radius: 8px;
+        background: var(--bg-dark);
+    }
+
+    .note-link {
+        display: flex;
+        flex-direction: column;
+        gap: 0.25rem;
+        width: 100%;
+        padding: 0;
+        background: none;
+        border: none;
+        color: var(--text-primary);
+        text-align: left;
+        line-height: 1.5;
+        cursor: pointer;
+    }
+
+    .note-link:disabled {
+        cursor: default;
+    }
+
+    .note-link small {
+        color: var(--text-muted);
+        font-size: 0.75rem;
+    }
+
+    .note-detached {
+        margin-left: 0.35rem;
+        padding: 0 0.35rem;
+        border-radius: 4px;
+        background: rgba(231, 76, 60, 0.2);
+        color: #e74c3c;
+    }
+
+    .note-text {
+        margin-top: 0.4rem;
+        color: var(--text-secondary);
+        font-size: 0.9rem;
+        white-space: pre-wrap;
+    }
+
+    .note-actions {
+        position: absolute;
+        top: 0.35rem;
+        right: 0.35rem;
+        display: flex;
+    }
+
+    .nav-notes {
+        margin-left: 0.4rem;
+        color: var(--accent);
+        font-size: 0.7rem;
+        white-space: nowrap;
+    }
+
+    .node-notes {
+        pointer-events: none;
+    }
+
+    .node-notes circle {
+        fill: var(--accent);
+    }
+`;
+
+const notesStyleSheet = document.createElement('style');
+notesStyleSheet.textContent = notesStyles;
+document.head.appendChild(notesStyleSheet);
+
+// Make NotesPanel globally available
+window.NotesPanel = NotesPanel;
@@ -0,0 +1,343 @@
+/**
+ * Outline Panel Module
+ * Exports the course hierarchy as OPML, FreeMind or Markdown for
+ * desktop mind-mapping and outliner tools, and loads an edited outline
+ * back in as the course shown in the app
+ */
+
+class OutlinePanel {
+    constructor() {
+        this.openBtn = document.getElementById('openOutline');
+        this.modal = document.getElementById('outlineModal');
+        this.body = document.getElementById('outlineBody');
+        this.closeBtn = document.getElementById('closeOutlineModal');
+        this.outline = window.CourseOutline;
+        this.courseData = null;
+        this.status = '';
+        this.importedFrom = null;
+
+        this.formatIcons = {
+            opml: 'fa-list-ul',
+            freemind: 'fa-project-diagram',
+            markdown: 'fa-file-alt'
+        };
+    }
+
+    /**
+     * Initialize the outline panel
+     * @param {Object} courseData - Course data object
+     */
+    async init(courseData) {
+        this.courseData = courseData;
+
+        if (!this.modal || !this.body) {
+            console.error('Outline panel not found');
+            return;
+        }
+
+        try {
+            this.attachEventListeners();
+            console.log('✅ Outline import/export initialized successfully');
+        } catch (error) {
+            console.error('❌ Error initializing outline import/export:', error);
+        }
+    }
+
+    /**
+     * Attach event listeners
+     */
+    attachEventListeners() {
+        this.openBtn?.addEventListener('click', () => this.open());
+        this.closeBtn?.addEventListener('click', () => this.close());
+
+        // Close on overlay click
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.close();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) this.close();
+        });
+
+        this.body.addEventListener('click', (e) => {
+            const format = e.target.closest('[data-export]')?.dataset.export;
+            const action = e.target.closest('[data-action]')?.dataset.action;
+
+            if (format) {
+                this.exportOutline(format);
+            } else if (action === 'import') {
+                this.body.querySelector('.outline-import-file')?.click();
+            } else if (action === 'restore') {
+                window.location.reload();
+            }
+        });
+
+        this.body.addEventListener('change', (e) => {
+            if (e.target.matches('.outline-import-file')) {
+                this.importFile(e.target.files[0]);
+                e.target.value = '';
+            }
+        });
+    }
+
+    /**
+     * Show the panel
+     */
+    open() {
+        this.status = '';
+        this.render();
+        this.modal.classList.add('active');
+    }
+
+    /**
+     * Hide the panel
+     */
+    close() {
+        this.modal.classList.remove('active');
+    }
+
+    /**
+     * Check whether the panel is showing
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return this.modal.classList.contains('active');
+    }
+
+    /**
+     * Render export and import options
+     */
+    render() {
+        const formats = Object.entries(this.outline.formats);
+
+        this.body.innerHTML = `
+            ${this.importedFrom ? `
+                <div class="outline-notice">
+                    <i class="fas fa-info-circle"></i>
+                    <span>Showing the course imported from <strong>${this.escapeHtml(this.importedFrom)}</strong>.
+                        It is not saved; reload to return to the published course.</span>
+                    <button class="control-btn" data-action="restore">Restore</button>
+                </div>
+            ` : ''}
+
+            <div class="outline-section">
+                <h4>Export</h4>
+                <p>Download the whole course &mdash; parts, chapters, sections, concepts and key takeaways &mdash; as an outline.</p>
+                <div class="outline-formats">
+                    ${formats.map(([key, format]) => `
+                        <button class="outline-format" data-export="${key}">
+                            <i class="fas ${this.formatIcons[key]}"></i>
+                            <span>${format.label}</span>
+                            <small>.${format.extension}</small>
+                        </button>
+                    `).join('')}
+                </div>
+            </div>
+
+            <div class="outline-section">
+                <h4>Import</h4>
+                <p>Load an outline edited in another tool as the course. Use the structure of an exported file:
+                    <code>Part N:</code> and <code>Chapter N:</code> items, a <code>Key Takeaways</code> item,
+                    and <code>Concept:</code> / <code>Example:</code> items inside sections. Notes become
+                    overviews, section content and definitions.</p>
+                <button class="control-btn outline-import" data-action="import">
+                    <i class="fas fa-file-import"></i> Choose file…
+                </button>
+                <input type="file" class="outline-import-file" accept=".opml,.mm,.md,.markdown,.txt,.xml" hidden>
+            </div>
+
+            ${this.status ? `<div class="outline-status">${this.escapeHtml(this.status)}</div>` : ''}
+        `;
+    }
+
+    /**
+     * Download the course as an outline file
+     * @param {string} format - Format key
+     */
+    async exportOutline(format) {
+        const { extension, mimeType } = this.outline.formats[format];
+
+        try {
+            const course = await this.courseData.loadFullCourse();
+            const text = this.outline.exportCourse(course, format);
+            this.download(new Blob([text], { type: mimeType }), `${this.slugify(course.courseTitle)}.${extension}`);
+            this.status = '';
+        } catch (error) {
+            console.error('❌ Error exporting outline:', error);
+            this.status = `Export failed: ${error.message}`;
+        }
+        this.render();
+    }
+
+    /**
+     * Import a course from a file chosen by the reader
+     * @param {File} file - Outline file
+     */
+    async importFile(file) {
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            const format = this.outline.detectFormat(file.name, text);
+            const dataset = this.outline.importCourse(text, format);
+
+            // Outlines don't carry relations or vocabulary; keep the current course's.
+            // Relation ends are followed by text, so chapter detail is needed
+            const current = await this.courseData.loadFullCourse();
+            const dropped = this.outline.carryOver(current, dataset);
+            dropped.forEach(({ relation, reason }) => {
+                console.warn(`⚠️ Relation ${relation?.from} → ${relation?.to} dropped:`, reason);
+            });
+
+            const course = this.courseData.useDataset(dataset);
+
+            this.importedFrom = file.name;
+            this.status = `Imported ${course.chapters.length} chapter${course.chapters.length !== 1 ? 's' : ''} ` +
+                `in ${course.parts.length} part${course.parts.length !== 1 ? 's' : ''} from ${this.outline.formats[format].label}` +
+                (dropped.length > 0
+                    ? `; ${dropped.length} relation${dropped.length !== 1 ? 's' : ''} dropped because an end is no longer in the outline`
+                    : '');
+        } catch (error) {
+            console.error('❌ Error importing outline:', error);
+            this.status = `Could not import ${file.name}: ${error.message}`;
+        }
+        this.render();
+    }
+
+    /**
+     * Save a file
+     * @param {Blob} blob - File contents
+     * @param {string} fileName - File name
+     */
+    download(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Turn a title into a file name
+     * @param {string} text - Title
+     * @returns {string} Slug
+     */
+    slugify(text) {
+        return (text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'course';
+    }
+
+    /**
+     * Escape HTML
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Add CSS for outline panel styles
+const outlineStyles = `
+    .outline-notice {
+        display: flex;
+        align-items: center;
+        gap: 0.75rem;
+        padding: 0.75rem 1rem;
+        margin-bottom: 1.25rem;
+        border: 1px solid var(--primary);
+        border-radius: 8px;
+        color: var(--text-secondary);
+        font-size: 0.85rem;
+    }
+
+    .outline-notice > i {
+        color: var(--primary);
+    }
+
+    .outline-notice span {
+        flex: 1;
+    }
+
+    .outline-notice .control-btn,
+    .outline-import {
+        width: auto;
+        padding: 0.5rem 0.85rem;
+        gap: 0.5rem;
+    }
+
+    .outline-section {
+        margin-bottom: 1.5rem;
+    }
+
+    .outline-section h4 {
+        margin-bottom: 0.5rem;
+        color: var(--text-primary);
+    }
+
+    .outline-section p {
+        margin-bottom: 0.85rem;
+        color: var(--text-secondary);
+        font-size: 0.85rem;
+        line-height: 1.6;
+    }
+
+    .outline-section code {
+        padding: 0.1rem 0.35rem;
+        border-radius: 4px;
+        background: var(--bg-dark);
+        color: var(--text-primary);
+        font-size: 0.8rem;
+    }
+
+    .outline-status {
+        padding: 0.75rem 1rem;
+        border-radius: 8px;
+        background: var(--bg-dark);
+        color: var(--text-secondary);
+        font-size: 0.85rem;
+    }
+
+    .outline-formats {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(140px, 1fr));
+        gap: 0.75rem;
+    }
+
+    .outline-format {
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        gap: 0.35rem;
+        padding: 1rem;
+        border: 1px solid var(--border);
+        border-radius: 8px;
+        background: var(--bg-dark);
+        color: var(--text-primary);
+        cursor: pointer;
+        transition: var(--transition);
+    }
+
+    .outline-format:hover {
+        border-color: var(--primary);
+    }
+
+    .outline-format i {
+        font-size: 1.25rem;
+        color: var(--primary);
+    }
+
+    .outline-format small {
+        color: var(--text-muted);
+    }
+`;
+
+const outlineStyleSheet = document.createElement('style');
+outlineStyleSheet.textContent = outlineStyles;
+document.head.appendChild(outlineStyleSheet);
+
+// Make OutlinePanel globally available
+window.OutlinePanel = OutlinePanel;
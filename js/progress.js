@@ -0,0 +1,224 @@
+/**
+ * Progress Module
+ * Tracks reading progress per chapter and section page in localStorage:
+ * when it was opened, how far it was scrolled, time spent on it and
+ * whether it was marked as done.
+ *
+ * A page counts as read as far as it was scrolled, or fully once it or
+ * a page above it is marked done. A chapter or section with sections
+ * below it counts as read at least as far as those sections on average.
+ * Course completion weighs each chapter by its `totalPages`.
+ *
+ * Dispatches `progress:changed` on the document when pages are opened,
+ * scrolled further or marked done. Time is saved quietly.
+ */
+
+class ProgressStore {
+    constructor() {
+        this.storageKey = 'ob_progress';
+        this.version = 1;
+
+        // Smallest increase in scroll depth worth saving
+        this.scrollStep = 0.05;
+
+        this.pages = {};
+        this.load();
+    }
+
+    /**
+     * Read progress from localStorage
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved && saved.pages && typeof saved.pages === 'object') {
+                Object.entries(saved.pages).forEach(([id, page]) => {
+                    if (window.ContentData.parseLocationId(id) && page && typeof page === 'object') {
+                        this.pages[id] = page;
+                    }
+                });
+            }
+        } catch (error) {
+            console.error('❌ Error reading progress:', error);
+        }
+    }
+
+    /**
+     * Persist progress
+     * @param {boolean} [notify=true] - Tell listeners
+     */
+    save(notify = true) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                version: this.version,
+                pages: this.pages
+            }));
+        } catch (error) {
+            console.error('❌ Error saving progress:', error);
+        }
+
+        if (notify) document.dispatchEvent(new CustomEvent('progress:changed'));
+    }
+
+    /**
+     * Get the record of a page
+     * @param {Object} location - Chapter or section location
+     * @returns {Object|null} { opened, lastOpened, scroll, seconds, done }
+     */
+    getPage(location) {
+        return this.pages[window.ContentData.getLocationId(location)] || null;
+    }
+
+    /**
+     * Get or create the record of a page
+     * @param {Object} location - Chapter or section location
+     * @returns {Object} Page record
+     */
+    ensurePage(location) {
+        const id = window.ContentData.getLocationId(location);
+        if (!this.pages[id]) {
+            this.pages[id] = { opened: new Date().toISOString(), lastOpened: null, scroll: 0, seconds: 0, done: false };
+        }
+        return this.pages[id];
+    }
+
+    /**
+     * Record that a page was opened
+     * @param {Object} location - Chapter or section location
+     */
+    visit(location) {
+        this.ensurePage(location).lastOpened = new Date().toISOString();
+        this.save();
+    }
+
+    /**
+     * Record how far a page has been scrolled; only new depths count
+     * @param {Object} location - Chapter or section location
+     * @param {number} fraction - Part of the page seen, 0 to 1
+     */
+    recordScroll(location, fraction) {
+        const page = this.ensurePage(location);
+        const scroll = Math.min(1, Math.round(fraction * 100) / 100);
+
+        if (scroll >= page.scroll + this.scrollStep || (scroll === 1 && page.scroll < 1)) {
+            page.scroll = scroll;
+            this.save();
+        }
+    }
+
+    /**
+     * Add reading time to a page
+     * @param {Object} location - Chapter or section location
+     * @param {number} seconds - Seconds spent
+     */
+    addTime(location, seconds) {
+        this.ensurePage(location).seconds += seconds;
+        this.save(false);
+    }
+
+    /**
+     * Mark a page as done, or not
+     * @param {Object} location - Chapter or section location
+     * @param {boolean} done - Done state
+     */
+    setDone(location, done) {
+        this.ensurePage(location).done = done;
+        this.save();
+    }
+
+    /**
+     * Check whether a page itself is marked done
+     * @param {Object} location - Chapter or section location
+     * @returns {boolean} True if marked done
+     */
+    isDone(location) {
+        return Boolean(this.getPage(location)?.done);
+    }
+
+    /**
+     * Check whether a page or a page above it is marked done
+     * @param {Object} location - Chapter or section location
+     * @returns {boolean} True if covered by a done mark
+     */
+    isCoveredByDone(location) {
+        const data = window.ContentData;
+        return Object.entries(this.pages).some(([id, page]) =>
+            page.done && data.isWithinLocation(location, data.parseLocationId(id))
+        );
+    }
+
+    /**
+     * How much of a chapter or section has been read
+     * @param {Object} location - Chapter or section location
+     * @returns {number} Progress from 0 to 1
+     */
+    getProgress(location) {
+        if (this.isCoveredByDone(location)) return 1;
+
+        const data = window.ContentData;
+        const sections = location.section
+            ? data.getSection(location.chapter, location.section)?.subsections
+            : data.getChapter(location.chapter)?.sections;
+
+        const own = this.getPage(location)?.scroll || 0;
+        if (!sections || sections.length === 0) return own;
+
+        const below = sections.reduce((sum, section, index) => sum + this.getProgress({
+            chapter: location.chapter,
+            section: (location.section || []).concat(index)
+        }), 0) / sections.length;
+
+        return Math.max(own, below);
+    }
+
+    /**
+     * Share of the whole course read, weighted by chapter length
+     * @returns {number} Progress from 0 to 1
+     */
+    getCourseProgress() {
+        let read = 0;
+        let total = 0;
+
+        window.ContentData.getChapters().forEach(chapter => {
+            // Chapters without a page count weigh as a single page
+            const pages = chapter.totalPages > 0 ? chapter.totalPages : 1;
+            read += this.getProgress({ chapter: chapter.chapter }) * pages;
+            total += pages;
+        });
+
+        return total > 0 ? read / total : 0;
+    }
+
+    /**
+     * Total reading time on a chapter or section and the pages below it
+     * @param {Object} location - Chapter or section location
+     * @returns {number} Seconds
+     */
+    getTimeSpent(location) {
+        const data = window.ContentData;
+        return Object.entries(this.pages)
+            .filter(([id]) => data.isWithinLocation(data.parseLocationId(id), location))
+            .reduce((sum, [, page]) => sum + (page.seconds || 0), 0);
+    }
+
+    /**
+     * Summarize progress for tooltips
+     * @param {Object} location - Chapter or section location
+     * @returns {string} e.g. "40% read · 12 min"
+     */
+    describe(location) {
+        const percent = Math.round(this.getProgress(location) * 100);
+        const seconds = this.getTimeSpent(location);
+        const parts = [this.isCoveredByDone(location) ? 'Done' : `${percent}% read`];
+
+        if (seconds > 0) parts.push(seconds < 60 ? 'under a minute' : `${Math.round(seconds / 60)} min`);
+
+        return parts.join(' · ');
+    }
+}
+
+// Create and export singleton instance
+const progressStore = new ProgressStore();
+
+// Make it globally available
+window.Progress = progressStore;
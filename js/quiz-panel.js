@@ -0,0 +1,837 @@
+/**
+ * Quiz Panel Module
+ * Sets up practice quizzes, runs them question by question with an
+ * optional time limit, and ends on a results screen that links every
+ * missed question back to the content it came from
+ */
+
+class QuizPanel {
+    constructor() {
+        this.openBtn = document.getElementById('openQuiz');
+        this.modal = document.getElementById('quizModal');
+        this.body = document.getElementById('quizBody');
+        this.closeBtn = document.getElementById('closeQuizModal');
+        this.store = window.Quizzes;
+        this.courseData = null;
+
+        this.settings = { scope: 'all', count: 10, minutes: 0 };
+        this.status = '';
+
+        // Quiz in progress or just finished, null on the setup screen
+        this.run = null;
+        this.timer = null;
+    }
+
+    /**
+     * Initialize the quiz panel
+     * @param {Object} courseData - Course data object
+     */
+    async init(courseData) {
+        this.courseData = courseData;
+
+        if (!this.modal || !this.body) {
+            console.error('Quiz panel not found');
+            return;
+        }
+
+        try {
+            this.attachEventListeners();
+            console.log('✅ Quizzes initialized successfully');
+        } catch (error) {
+            console.error('❌ Error initializing quizzes:', error);
+        }
+    }
+
+    /**
+     * Attach event listeners
+     */
+    attachEventListeners() {
+        this.openBtn?.addEventListener('click', () => this.open());
+        this.closeBtn?.addEventListener('click', () => this.close());
+
+        // Close on overlay click
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.close();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) this.close();
+        });
+
+        // Questions point into the old course after an import
+        document.addEventListener('content:datasetChanged', () => {
+            this.stopTimer();
+            this.run = null;
+            this.settings.scope = 'all';
+            if (this.isOpen()) this.render();
+        });
+
+        this.body.addEventListener('click', (e) => this.handleClick(e));
+
+        this.body.addEventListener('change', (e) => {
+            if (e.target.matches('.quiz-setting')) {
+                const value = e.target.value;
+                this.settings[e.target.name] = e.target.name === 'scope' ? value : parseInt(value);
+            } else if (e.target.matches('.quiz-match-select')) {
+                const { responses, index } = this.run;
+                const row = parseInt(e.target.dataset.row);
+                responses[index] = responses[index] || [];
+                responses[index][row] = e.target.value === '' ? undefined : parseInt(e.target.value);
+            }
+        });
+    }
+
+    /**
+     * Handle clicks on panel buttons
+     * @param {Event} e - Click event
+     */
+    handleClick(e) {
+        const source = e.target.closest('.quiz-source');
+        if (source) {
+            const location = this.courseData.parseLocationId(source.dataset.location);
+            if (location) {
+                this.close();
+                window.Router.navigate(window.Router.locationPath(location));
+            }
+            return;
+        }
+
+        const option = e.target.closest('.quiz-option');
+        if (option) {
+            this.run.responses[this.run.index] = parseInt(option.dataset.option);
+            this.render();
+            return;
+        }
+
+        const action = e.target.closest('[data-action]')?.dataset.action;
+
+        if (action === 'start') {
+            this.start();
+        } else if (action === 'previous') {
+            this.goTo(this.run.index - 1);
+        } else if (action === 'next') {
+            this.goTo(this.run.index + 1);
+        } else if (action === 'finish') {
+            const unanswered = this.run.quiz.questions.filter((q, i) => this.isUnanswered(q, this.run.responses[i])).length;
+            if (unanswered === 0 || confirm(`${unanswered} question${unanswered !== 1 ? 's are' : ' is'} unanswered. Finish anyway?`)) {
+                this.finish(false);
+            }
+        } else if (action === 'setup') {
+            this.run = null;
+            this.render();
+        } else if (action === 'clear-history') {
+            if (confirm('Delete the history of all past quiz attempts?')) {
+                this.store.clearHistory();
+                this.render();
+            }
+        }
+    }
+
+    /**
+     * Show the panel
+     */
+    async open() {
+        if (!this.run) this.status = '';
+        this.modal.classList.add('active');
+
+        if (!this.run) {
+            this.body.innerHTML = '<div class="quiz-status">Loading questions…</div>';
+            // Concept questions need every chapter's sections
+            await this.courseData.loadAllChapters();
+        }
+        this.render();
+    }
+
+    /**
+     * Hide the panel, abandoning a quiz in progress
+     */
+    close() {
+        this.modal.classList.remove('active');
+        if (this.run && !this.run.attempt) {
+            this.stopTimer();
+            this.run = null;
+        }
+    }
+
+    /**
+     * Check whether the panel is showing
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return this.modal.classList.contains('active');
+    }
+
+    /**
+     * Build a quiz with the current settings and start it
+     */
+    start() {
+        const quiz = this.store.buildQuiz(this.settings.scope, this.settings.count);
+
+        if (quiz.questions.length === 0) {
+            this.status = `There is not enough material in ${quiz.scopeName} for a quiz yet`;
+            this.render();
+            return;
+        }
+
+        this.status = '';
+        this.run = {
+            quiz,
+            index: 0,
+            responses: [],
+            startedAt: Date.now(),
+            timeLimit: this.settings.minutes * 60,
+            attempt: null
+        };
+
+        this.stopTimer();
+        this.timer = setInterval(() => this.tick(), 1000);
+        this.render();
+    }
+
+    /**
+     * Update the clock, finishing the quiz when time runs out
+     */
+    tick() {
+        if (!this.run || this.run.attempt) return;
+
+        const remaining = this.run.timeLimit - this.getElapsed();
+        if (this.run.timeLimit && remaining <= 0) {
+            this.finish(true);
+            return;
+        }
+
+        const clock = this.body.querySelector('.quiz-timer');
+        if (clock) clock.textContent = this.getClockText();
+    }
+
+    /**
+     * Stop the clock
+     */
+    stopTimer() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Seconds since the quiz started
+     * @returns {number} Elapsed seconds
+     */
+    getElapsed() {
+        return Math.floor((Date.now() - this.run.startedAt) / 1000);
+    }
+
+    /**
+     * Describe the clock: time left for a timed quiz, time taken otherwise
+     * @returns {string} Clock text
+     */
+    getClockText() {
+        const { timeLimit } = this.run;
+        return timeLimit
+            ? `${this.formatTime(Math.max(timeLimit - this.getElapsed(), 0))} left`
+            : this.formatTime(this.getElapsed());
+    }
+
+    /**
+     * Show another question
+     * @param {number} index - Question index
+     */
+    goTo(index) {
+        this.run.index = Math.max(0, Math.min(index, this.run.quiz.questions.length - 1));
+        this.render();
+    }
+
+    /**
+     * Score the quiz and save it to the history
+     * @param {boolean} timedOut - Whether the time limit ran out
+     */
+    finish(timedOut) {
+        this.stopTimer();
+
+        const { quiz, responses, timeLimit } = this.run;
+        this.run.attempt = this.store.recordAttempt(quiz, responses, {
+            seconds: timeLimit ? Math.min(this.getElapsed(), timeLimit) : this.getElapsed(),
+            timeLimit,
+            timedOut
+        });
+        this.render();
+    }
+
+    /**
+     * Check whether a question still needs an answer
+     * @param {Object} question - Question
+     * @param {*} response - Response so far
+     * @returns {boolean} True if unanswered
+     */
+    isUnanswered(question, response) {
+        if (question.type === 'match') {
+            return !Array.isArray(response) || question.left.some((item, i) => response[i] === undefined);
+        }
+        return response === undefined;
+    }
+
+    /**
+     * Render the setup screen, the current question or the results
+     */
+    render() {
+        if (!this.run) {
+            this.body.innerHTML = this.renderSetup();
+        } else if (this.run.attempt) {
+            this.body.innerHTML = this.renderResults();
+        } else {
+            this.body.innerHTML = this.renderQuestion();
+        }
+    }
+
+    /**
+     * Render quiz settings and the attempt history
+     * @returns {string} HTML string
+     */
+    renderSetup() {
+        const { scope, count, minutes } = this.settings;
+        const parts = this.courseData.getParts()
+            .filter(part => this.courseData.getChaptersByPart(part.part).length > 0);
+        const option = (value, label, current) =>
+            `<option value="${value}" ${String(value) === String(current) ? 'selected' : ''}>${this.escapeHtml(label)}</option>`;
+
+        return `
+            <div class="quiz-setup">
+                <label>
+                    <span>Scope</span>
+                    <select class="quiz-setting" name="scope">
+                        ${option('all', 'All chapters', scope)}
+                        ${parts.map(part => `
+                            <optgroup label="${this.escapeHtml(part.title)}">
+                                ${option(`part-${part.part}`, `Whole part: ${part.title}`, scope)}
+                                ${this.courseData.getChaptersByPart(part.part).map(chapter =>
+                                    option(`chapter-${chapter.chapter}`, `Chapter ${chapter.chapter}: ${chapter.title}`, scope)
+                                ).join('')}
+                            </optgroup>
+                        `).join('')}
+                    </select>
+                </label>
+                <label>
+                    <span>Questions</span>
+                    <select class="quiz-setting" name="count">
+                        ${[5, 10, 20].map(n => option(n, `${n} questions`, count)).join('')}
+                    </select>
+                </label>
+                <label>
+                    <span>Time limit</span>
+                    <select class="quiz-setting" name="minutes">
+                        ${option(0, 'No limit', minutes)}
+                        ${[5, 10, 20].map(n => option(n, `${n} minutes`, minutes)).join('')}
+                    </select>
+                </label>
+                <button class="quiz-primary" data-action="start">
+                    <i class="fas fa-play"></i> Start quiz
+                </button>
+            </div>
+
+            ${this.status ? `<div class="quiz-status">${this.escapeHtml(this.status)}</div>` : ''}
+
+            ${this.renderHistory()}
+        `;
+    }
+
+    /**
+     * Render past attempts
+     * @returns {string} HTML string
+     */
+    renderHistory() {
+        const history = this.store.getHistory();
+        if (history.length === 0) return '';
+
+        return `
+            <div class="quiz-history">
+                <div class="quiz-history-header">
+                    <h4>Past attempts</h4>
+                    <button class="icon-btn" data-action="clear-history" title="Clear history">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+                ${history.map(attempt => `
+                    <details class="quiz-attempt">
+                        <summary>
+                            <span class="quiz-attempt-score">${this.percent(attempt)}%</span>
+                            <span class="quiz-attempt-text">
+                                ${this.escapeHtml(attempt.scopeName)}
+                                <small>
+                                    ${new Date(attempt.date).toLocaleString()} ·
+                                    ${attempt.correct}/${attempt.total} correct ·
+                                    ${this.formatTime(attempt.seconds)}${attempt.timedOut ? ' (time ran out)' : ''}
+                                </small>
+                            </span>
+                        </summary>
+                        ${attempt.missed.length > 0 ? `
+                            <div class="quiz-missed">
+                                <small>Review what you missed:</small>
+                                ${this.renderSources(attempt.missed)}
+                            </div>
+                        ` : '<small class="quiz-missed">No mistakes</small>'}
+                    </details>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the current question
+     * @returns {string} HTML string
+     */
+    renderQuestion() {
+        const { quiz, index, responses } = this.run;
+        const question = quiz.questions[index];
+        const response = responses[index];
+        const isLast = index === quiz.questions.length - 1;
+
+        return `
+            <div class="quiz-header">
+                <span>${this.escapeHtml(quiz.scopeName)} · Question ${index + 1} of ${quiz.questions.length}</span>
+                <span class="quiz-timer ${this.run.timeLimit ? 'timed' : ''}">${this.getClockText()}</span>
+            </div>
+
+            <div class="quiz-question">
+                <span class="quiz-type">${{ choice: 'Multiple choice', truefalse: 'True or false', match: 'Matching' }[question.type]}</span>
+                <p class="quiz-prompt">${this.escapeHtml(question.prompt)}</p>
+
+                ${question.type === 'match' ? `
+                    <div class="quiz-match">
+                        ${question.left.map((left, row) => `
+                            <div class="quiz-match-row">
+                                <span>${this.escapeHtml(left)}</span>
+                                <select class="quiz-match-select" data-row="${row}" aria-label="Match for ${this.escapeHtml(left)}">
+                                    <option value="">Choose…</option>
+                                    ${question.right.map((right, i) => `
+                                        <option value="${i}" ${Array.isArray(response) && response[row] === i ? 'selected' : ''}>
+                                            ${this.escapeHtml(right)}
+                                        </option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : `
+                    <div class="quiz-options ${question.type}">
+                        ${question.options.map((text, i) => `
+                            <button class="quiz-option ${response === i ? 'selected' : ''}" data-option="${i}"
+                                    aria-pressed="${response === i}">
+                                ${this.escapeHtml(text)}
+                            </button>
+                        `).join('')}
+                    </div>
+                `}
+            </div>
+
+            <div class="quiz-nav">
+                <button class="control-btn" data-action="previous" ${index === 0 ? 'disabled' : ''} title="Previous question">
+                    <i class="fas fa-chevron-left"></i>
+                </button>
+                ${isLast ? `
+                    <button class="quiz-primary" data-action="finish">Finish</button>
+                ` : `
+                    <button class="control-btn" data-action="next" title="Next question">
+                        <i class="fas fa-chevron-right"></i>
+                    </button>
+                `}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the score and a review of every question
+     * @returns {string} HTML string
+     */
+    renderResults() {
+        const { quiz, responses, attempt } = this.run;
+
+        return `
+            <div class="quiz-score">
+                <strong>${attempt.correct} / ${attempt.total}</strong>
+                <span>${this.percent(attempt)}% · ${this.formatTime(attempt.seconds)}${attempt.timedOut ? ' · time ran out' : ''}</span>
+            </div>
+
+            <div class="quiz-review">
+                ${quiz.questions.map((question, i) => this.renderReviewItem(question, responses[i], i)).join('')}
+            </div>
+
+            <div class="quiz-nav">
+                <button class="control-btn" data-action="setup" title="Quiz settings and history">
+                    <i class="fas fa-list"></i>
+                </button>
+                <button class="quiz-primary" data-action="start">
+                    <i class="fas fa-redo"></i> New quiz
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render one question on the results screen
+     * @param {Object} question - Question
+     * @param {*} response - Response
+     * @param {number} index - Question index
+     * @returns {string} HTML string
+     */
+    renderReviewItem(question, response, index) {
+        const correct = this.store.checkAnswer(question, response);
+        let detail = '';
+
+        if (!correct && question.type === 'match') {
+            detail = question.left.map((left, row) => {
+                if (Array.isArray(response) && response[row] === question.answer[row]) return '';
+                return `
+                    <li>
+                        ${this.escapeHtml(left)} → <strong>${this.escapeHtml(question.right[question.answer[row]])}</strong>
+                        ${this.renderSources([this.courseData.getLocationId(question.locations[row])])}
+                    </li>
+                `;
+            }).join('');
+            detail = `<ul class="quiz-review-pairs">${detail}</ul>`;
+        } else if (!correct) {
+            detail = `
+                <p>Your answer: ${response === undefined ? '<em>none</em>' : this.escapeHtml(question.options[response])}</p>
+                <p>Correct answer: <strong>${this.escapeHtml(question.options[question.answer])}</strong></p>
+                ${this.renderSources([this.courseData.getLocationId(question.location)])}
+            `;
+        }
+
+        return `
+            <div class="quiz-review-item ${correct ? 'correct' : 'missed'}">
+                <i class="fas ${correct ? 'fa-check' : 'fa-times'}"></i>
+                <div>
+                    <p class="quiz-prompt">${index + 1}. ${this.escapeHtml(question.prompt)}</p>
+                    ${detail}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render links back to source content
+     * @param {Array} ids - Location ids
+     * @returns {string} HTML string
+     */
+    renderSources(ids) {
+        return ids.map(id => {
+            const location = this.courseData.parseLocationId(id);
+            const info = location && this.courseData.describeLocation(location);
+            if (!info) return '';
+
+            return `
+                <button class="quiz-source" data-location="${id}">
+                    <i class="fas fa-arrow-right"></i>
+                    ${this.escapeHtml(this.truncate(info.label, 60))}
+                    <small>${this.escapeHtml(info.context)}</small>
+                </button>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Score as a whole percentage
+     * @param {Object} attempt - Attempt
+     * @returns {number} Percentage
+     */
+    percent(attempt) {
+        return attempt.total ? Math.round(attempt.correct / attempt.total * 100) : 0;
+    }
+
+    /**
+     * Format seconds as m:ss
+     * @param {number} seconds - Seconds
+     * @returns {string} Time
+     */
+    formatTime(seconds) {
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Shorten text for link labels
+     * @param {string} text - Text
+     * @param {number} length - Maximum length
+     * @returns {string} Shortened text
+     */
+    truncate(text, length) {
+        return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+    }
+
+    /**
+     * Escape HTML
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Add CSS for quiz styles
+const quizStyles = `
+    .quiz-setup {
+        display: grid;
+        gap: 0.75rem;
+    }
+
+    .quiz-setup label {
+        display: flex;
+        align-items: center;
+        gap: 0.75rem;
+    }
+
+    .quiz-setup label span {
+        width: 6rem;
+        flex-shrink: 0;
+        color: var(--text-secondary);
+        font-size: 0.85rem;
+    }
+
+    .quiz-setup select,
+    .quiz-match-select {
+        flex: 1;
+        min-width: 0;
+        padding: 0.5rem;
+        background: var(--bg-dark);
+        color: var(--text-primary);
+        border: 1px solid var(--border);
+        border-radius: 6px;
+        font-size: 0.85rem;
+    }
+
+    .quiz-primary {
+        padding: 0.6rem 1.25rem;
+        border: none;
+        border-radius: 8px;
+        background: var(--primary);
+        color: white;
+        font-size: 0.9rem;
+        cursor: pointer;
+    }
+
+    .quiz-status {
+        margin-top: 1rem;
+        padding: 0.75rem 1rem;
+        border-radius: 8px;
+        background: var(--bg-dark);
+        color: var(--text-secondary);
+        font-size: 0.85rem;
+    }
+
+    .quiz-history {
+        margin-top: 1.5rem;
+    }
+
+    .quiz-history-header {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        margin-bottom: 0.5rem;
+    }
+
+    .quiz-attempt {
+        margin-bottom: 0.5rem;
+        border: 1px solid var(--border);
+        border-radius: 8px;
+        background: var(--bg-dark);
+    }
+
+    .quiz-attempt summary {
+        display: flex;
+        align-items: center;
+        gap: 0.75rem;
+        padding: 0.5rem 0.75rem;
+        cursor: pointer;
+    }
+
+    .quiz-attempt-score {
+        width: 3rem;
+        font-weight: 600;
+        color: var(--accent);
+    }
+
+    .quiz-attempt-text {
+        display: flex;
+        flex-direction: column;
+        min-width: 0;
+    }
+
+    .quiz-attempt-text small,
+    .quiz-missed small {
+        color: var(--text-muted);
+        font-size: 0.75rem;
+    }
+
+    .quiz-missed {
+        display: grid;
+        gap: 0.25rem;
+        padding: 0 0.75rem 0.75rem;
+    }
+
+    .quiz-header {
+        display: flex;
+        justify-content: space-between;
+        margin-bottom: 0.75rem;
+        color: var(--text-muted);
+        font-size: 0.8rem;
+    }
+
+    .quiz-timer.timed {
+        color: var(--accent);
+        font-weight: 600;
+    }
+
+    .quiz-question {
+        padding: 1.25rem;
+        border: 1px solid var(--border);
+        border-radius: 12px;
+        background: var(--bg-dark);
+    }
+
+    .quiz-type {
+        color: var(--text-muted);
+        font-size: 0.75rem;
+        text-transform: uppercase;
+        letter-spacing: 0.05em;
+    }
+
+    .quiz-prompt {
+        margin: 0.5rem 0 1rem;
+        line-height: 1.5;
+    }
+
+    .quiz-options {
+        display: grid;
+        gap: 0.5rem;
+    }
+
+    .quiz-options.truefalse {
+        grid-template-columns: 1fr 1fr;
+    }
+
+    .quiz-option {
+        padding: 0.75rem 1rem;
+        border: 1px solid var(--border);
+        border-radius: 8px;
+        background: var(--bg-card);
+        color: var(--text-primary);
+        text-align: left;
+        line-height: 1.4;
+        cursor: pointer;
+        transition: var(--transition);
+    }
+
+    .quiz-option:hover {
+        border-color: var(--primary);
+    }
+
+    .quiz-option.selected {
+        border-color: var(--primary);
+        background: rgba(52, 152, 219, 0.15);
+    }
+
+    .quiz-match {
+        display: grid;
+        gap: 0.75rem;
+    }
+
+    .quiz-match-row {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 0.75rem;
+        align-items: center;
+        font-size: 0.9rem;
+    }
+
+    .quiz-nav {
+        display: flex;
+        justify-content: space-between;
+        margin-top: 1rem;
+    }
+
+    .quiz-nav .control-btn:disabled {
+        opacity: 0.35;
+        cursor: default;
+    }
+
+    .quiz-score {
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        margin-bottom: 1.25rem;
+    }
+
+    .quiz-score strong {
+        font-size: 2rem;
+    }
+
+    .quiz-score span {
+        color: var(--text-secondary);
+    }
+
+    .quiz-review {
+        display: grid;
+        gap: 0.5rem;
+    }
+
+    .quiz-review-item {
+        display: flex;
+        gap: 0.75rem;
+        padding: 0.75rem;
+        border: 1px solid var(--border);
+        border-radius: 8px;
+        background: var(--bg-dark);
+        font-size: 0.9rem;
+    }
+
+    .quiz-review-item > i {
+        margin-top: 0.2rem;
+    }
+
+    .quiz-review-item.correct > i {
+        color: #2ecc71;
+    }
+
+    .quiz-review-item.missed > i {
+        color: #e74c3c;
+    }
+
+    .quiz-review-item .quiz-prompt {
+        margin: 0 0 0.5rem;
+    }
+
+    .quiz-review-item p {
+        color: var(--text-secondary);
+    }
+
+    .quiz-review-pairs {
+        margin-left: 1rem;
+        color: var(--text-secondary);
+    }
+
+    .quiz-source {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: baseline;
+        gap: 0.4rem;
+        margin-top: 0.35rem;
+        padding: 0;
+        background: none;
+        border: none;
+        color: var(--primary);
+        font-size: 0.85rem;
+        text-align: left;
+        cursor: pointer;
+    }
+
+    .quiz-source small {
+        color: var(--text-muted);
+    }
+`;
+
+const quizStyleSheet = document.createElement('style');
+quizStyleSheet.textContent = quizStyles;
+document.head.appendChild(quizStyleSheet);
+
+// Make QuizPanel globally available
+window.QuizPanel = QuizPanel;
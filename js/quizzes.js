@@ -0,0 +1,497 @@
+/**
+ * Quizzes Module
+ * Generates practice quizzes from the structured course content and
+ * keeps a history of past attempts in localStorage.
+ *
+ * Question types:
+ *  - choice: pick a concept's definition (or the concept for a
+ *    definition), or the chapter a takeaway or overview comes from
+ *  - truefalse: judge a concept/definition or takeaway/chapter pairing
+ *  - match: pair concepts with definitions, or takeaways with chapters
+ *
+ * A quiz on a single chapter never asks which chapter something comes
+ * from. Takeaways and the overview are asked about instead by picking
+ * them out from those of other chapters, or by filling in a blanked
+ * concept name or vocabulary term.
+ *
+ * Distractors come from the same chapter where it has enough material,
+ * then from the rest of the course.
+ *
+ * Dispatches `quizzes:changed` on the document when the history changes.
+ */
+
+class QuizStore {
+    constructor() {
+        this.storageKey = 'ob_quiz_history';
+        this.version = 1;
+        this.maxHistory = 50;
+
+        // Options shown for a multiple-choice question, answer included
+        this.choiceCount = 4;
+
+        // Pairs in a matching exercise
+        this.matchSize = 4;
+
+        this.history = [];
+        this.load();
+    }
+
+    /**
+     * Read the attempt history from localStorage
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (saved && Array.isArray(saved.attempts)) {
+                this.history = saved.attempts.filter(attempt =>
+                    attempt && typeof attempt.scope === 'string' &&
+                    Number.isInteger(attempt.correct) && Number.isInteger(attempt.total) &&
+                    Array.isArray(attempt.missed)
+                );
+            }
+        } catch (error) {
+            console.error('❌ Error reading quiz history:', error);
+        }
+    }
+
+    /**
+     * Persist the history and notify listeners
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                version: this.version,
+                attempts: this.history
+            }));
+        } catch (error) {
+            console.error('❌ Error saving quiz history:', error);
+        }
+
+        document.dispatchEvent(new CustomEvent('quizzes:changed'));
+    }
+
+    /**
+     * Get past attempts, newest first
+     * @returns {Array} Attempts
+     */
+    getHistory() {
+        return this.history;
+    }
+
+    /**
+     * Record a finished quiz
+     * @param {Object} quiz - Quiz from buildQuiz()
+     * @param {Array} responses - One response per question
+     * @param {Object} timing - { seconds, timeLimit, timedOut }
+     * @returns {Object} Stored attempt
+     */
+    recordAttempt(quiz, responses, timing) {
+        const results = quiz.questions.map((question, index) => this.checkAnswer(question, responses[index]));
+        const missed = quiz.questions.flatMap((question, index) => this.getMissedLocations(question, responses[index]));
+
+        const attempt = {
+            date: new Date().toISOString(),
+            scope: quiz.scope,
+            scopeName: quiz.scopeName,
+            correct: results.filter(Boolean).length,
+            total: quiz.questions.length,
+            seconds: timing.seconds,
+            timeLimit: timing.timeLimit || null,
+            timedOut: Boolean(timing.timedOut),
+            missed: [...new Set(missed.map(location => window.ContentData.getLocationId(location)))]
+        };
+
+        this.history.unshift(attempt);
+        this.history = this.history.slice(0, this.maxHistory);
+        this.save();
+        return attempt;
+    }
+
+    /**
+     * Forget every past attempt
+     */
+    clearHistory() {
+        this.history = [];
+        this.save();
+    }
+
+    /**
+     * Gather the quizzable items in a scope
+     * @param {string} scope - 'all', 'part-N' or 'chapter-N'
+     * @returns {Array} Items: { kind, chapter, location, name?, text }
+     */
+    collectItems(scope) {
+        return window.ContentData.getScopeChapters(scope).flatMap(chapter => {
+            const items = [];
+
+            if (chapter.overview) {
+                items.push({ kind: 'overview', chapter, location: { chapter: chapter.chapter }, text: chapter.overview });
+            }
+
+            (chapter.keyTakeaways || []).forEach((takeaway, index) => {
+                items.push({ kind: 'takeaway', chapter, location: { chapter: chapter.chapter, takeaway: index }, text: takeaway });
+            });
+
+            const addSections = (sections, parentPath) => {
+                (sections || []).forEach((section, index) => {
+                    const path = parentPath.concat(index);
+
+                    (section.concepts || []).forEach((concept, conceptIndex) => {
+                        if (!concept.name || !concept.definition) return;
+                        items.push({
+                            kind: 'concept',
+                            chapter,
+                            location: { chapter: chapter.chapter, section: path, concept: conceptIndex },
+                            name: concept.name,
+                            text: concept.definition
+                        });
+                    });
+
+                    addSections(section.subsections, path);
+                });
+            };
+            addSections(chapter.sections, []);
+
+            return items;
+        });
+    }
+
+    /**
+     * Build a quiz
+     * @param {string} scope - 'all', 'part-N' or 'chapter-N'
+     * @param {number} count - Number of questions wanted
+     * @returns {Object} { scope, scopeName, questions }
+     */
+    buildQuiz(scope, count) {
+        const items = this.shuffle(this.collectItems(scope));
+        const concepts = this.collectItems('all').filter(item => item.kind === 'concept');
+        const used = new Set();
+
+        // Within one chapter, asking which chapter an item comes from gives the answer away
+        const terms = window.ContentData.getScopeChapters(scope).length === 1 ? this.getTerms(concepts) : null;
+        const questions = [];
+
+        // Roughly one matching exercise per five questions
+        const matchLimit = Math.floor(count / 5);
+        this.buildMatchSets(items, used).slice(0, matchLimit).forEach(question => questions.push(question));
+
+        items.filter(item => !used.has(item)).forEach(item => {
+            if (questions.length >= count) return;
+
+            const question = terms && item.kind !== 'concept'
+                ? this.buildRecallQuestion(item, terms)
+                : this.buildQuestion(item, concepts);
+            if (question) {
+                used.add(item);
+                questions.push(question);
+            }
+        });
+
+        return {
+            scope,
+            scopeName: window.ContentData.getScopeName(scope),
+            questions: this.shuffle(questions)
+        };
+    }
+
+    /**
+     * Build matching exercises, marking the items they use
+     * @param {Array} items - Shuffled items in scope
+     * @param {Set} used - Items already used in the quiz
+     * @returns {Array} Match questions
+     */
+    buildMatchSets(items, used) {
+        const sets = [];
+
+        // Concepts against their definitions, one chapter at a time
+        const byChapter = d3.group(items.filter(item => item.kind === 'concept'), item => item.chapter.chapter);
+        byChapter.forEach(concepts => {
+            const distinct = this.uniqueBy(concepts, item => item.text).slice(0, this.matchSize);
+            if (distinct.length < 3) return;
+
+            distinct.forEach(item => used.add(item));
+            sets.push(this.createMatch(
+                'Match each concept to its definition',
+                distinct.map(item => ({ left: item.name, right: item.text, location: item.location }))
+            ));
+        });
+
+        // Takeaways against their chapters, one takeaway from each chapter
+        const takeaways = this.uniqueBy(items.filter(item => item.kind === 'takeaway'), item => item.chapter.chapter);
+        for (let start = 0; start + 3 <= takeaways.length; start += this.matchSize) {
+            const group = takeaways.slice(start, start + this.matchSize);
+            if (group.length < 3) break;
+
+            group.forEach(item => used.add(item));
+            sets.push(this.createMatch(
+                'Match each key takeaway to its chapter',
+                group.map(item => ({ left: item.text, right: this.chapterLabel(item.chapter), location: item.location }))
+            ));
+        }
+
+        return this.shuffle(sets);
+    }
+
+    /**
+     * Build a single question about an item, choosing a type at random
+     * @param {Object} item - Item
+     * @param {Array} concepts - Every concept in the course, for distractors
+     * @returns {Object|null} Question, or null if there is nothing to ask
+     */
+    buildQuestion(item, concepts) {
+        if (item.kind === 'concept') {
+            const others = this.getDistractorConcepts(item, concepts);
+            if (others.length === 0) return null;
+
+            const type = this.pick(['definition', 'name', 'truefalse']);
+
+            if (type === 'truefalse') {
+                const isTrue = Math.random() < 0.5;
+                const definition = isTrue ? item.text : others[0].text;
+                return this.createTrueFalse(`“${item.name}” is defined as: ${definition}`, isTrue, item.location);
+            }
+
+            if (type === 'name') {
+                return this.createChoice(
+                    `Which concept is defined as: “${item.text}”?`,
+                    item.name,
+                    others.map(other => other.name),
+                    item.location
+                );
+            }
+
+            return this.createChoice(
+                `What is the definition of “${item.name}”?`,
+                item.text,
+                others.map(other => other.text),
+                item.location
+            );
+        }
+
+        // Takeaways and overviews: which chapter do they come from?
+        const otherChapters = this.shuffle(window.ContentData.getChapters()
+            .filter(chapter => chapter.chapter !== item.chapter.chapter));
+        if (otherChapters.length === 0) return null;
+
+        const subject = item.kind === 'overview' ? 'chapter overview' : 'key takeaway';
+
+        if (item.kind === 'takeaway' && Math.random() < 0.4) {
+            const isTrue = Math.random() < 0.5;
+            const chapter = isTrue ? item.chapter : otherChapters[0];
+            return this.createTrueFalse(
+                `This key takeaway comes from ${this.chapterLabel(chapter)}: “${item.text}”`,
+                isTrue,
+                item.location
+            );
+        }
+
+        return this.createChoice(
+            `Which chapter does this ${subject} come from? “${item.text}”`,
+            this.chapterLabel(item.chapter),
+            otherChapters.map(chapter => this.chapterLabel(chapter)),
+            item.location
+        );
+    }
+
+    /**
+     * Build a question about a takeaway or overview without asking
+     * which chapter it comes from: pick it out from those of other
+     * chapters, or fill in a term blanked from it
+     * @param {Object} item - Takeaway or overview item
+     * @param {Array} terms - Terms that can be blanked, longest first
+     * @returns {Object|null} Question, or null if there is nothing to ask
+     */
+    buildRecallQuestion(item, terms) {
+        const blank = this.findTerm(item.text, terms);
+        const others = this.uniqueBy(this.shuffle(this.collectItems('all').filter(other =>
+            other.kind === item.kind && other.chapter.chapter !== item.chapter.chapter && other.text !== item.text
+        )), other => other.text);
+
+        if (blank && (others.length === 0 || Math.random() < 0.5)) {
+            const answer = blank.term.toLowerCase();
+            const distractors = this.shuffle(terms.filter(term => term.toLowerCase() !== answer));
+            if (distractors.length === 0) return null;
+
+            const subject = item.kind === 'overview' ? 'chapter overview' : 'key takeaway';
+            const text = `${item.text.slice(0, blank.start)}_____${item.text.slice(blank.end)}`;
+            return this.createChoice(
+                `Which term completes this ${subject}? “${text}”`,
+                blank.term,
+                distractors,
+                item.location
+            );
+        }
+
+        if (others.length === 0) return null;
+
+        const subject = item.kind === 'overview' ? 'the overview' : 'a key takeaway';
+        return this.createChoice(
+            `Which of these is ${subject} of ${this.chapterLabel(item.chapter)}?`,
+            item.text,
+            others.map(other => other.text),
+            item.location
+        );
+    }
+
+    /**
+     * Get the concept names and vocabulary terms that can be blanked
+     * @param {Array} concepts - Every concept in the course
+     * @returns {Array} Terms, longest first
+     */
+    getTerms(concepts) {
+        const terms = concepts.map(item => item.name).concat(window.ContentData.getVocabulary())
+            .map(term => term.trim())
+            .filter(term => term.length > 1);
+
+        return this.uniqueBy(terms, term => term.toLowerCase()).sort((a, b) => b.length - a.length);
+    }
+
+    /**
+     * Find the longest term that appears in a text as a whole word
+     * @param {string} text - Takeaway or overview text
+     * @param {Array} terms - Terms, longest first
+     * @returns {Object|null} { term, start, end }
+     */
+    findTerm(text, terms) {
+        for (const term of terms) {
+            const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const match = new RegExp(`(?<![\\w-])${escaped}(?![\\w-])`, 'i').exec(text);
+            if (match) return { term, start: match.index, end: match.index + match[0].length };
+        }
+        return null;
+    }
+
+    /**
+     * Find concepts to use as wrong answers: the same chapter first,
+     * then the rest of the course, skipping identical definitions
+     * @param {Object} item - Concept item
+     * @param {Array} concepts - Every concept in the course
+     * @returns {Array} Up to choiceCount - 1 concepts
+     */
+    getDistractorConcepts(item, concepts) {
+        const candidates = concepts.filter(other => other.name !== item.name && other.text !== item.text);
+        const sameChapter = this.shuffle(candidates.filter(other => other.chapter.chapter === item.chapter.chapter));
+        const elsewhere = this.shuffle(candidates.filter(other => other.chapter.chapter !== item.chapter.chapter));
+
+        return this.uniqueBy(sameChapter.concat(elsewhere), other => other.text).slice(0, this.choiceCount - 1);
+    }
+
+    /**
+     * Create a multiple-choice question
+     * @param {string} prompt - Question text
+     * @param {string} answer - Correct option
+     * @param {Array} distractors - Wrong options
+     * @param {Object} location - Source location
+     * @returns {Object} Question
+     */
+    createChoice(prompt, answer, distractors, location) {
+        const options = this.shuffle([answer, ...distractors.slice(0, this.choiceCount - 1)]);
+        return { type: 'choice', prompt, options, answer: options.indexOf(answer), location };
+    }
+
+    /**
+     * Create a true/false question
+     * @param {string} prompt - Statement to judge
+     * @param {boolean} answer - Whether it is true
+     * @param {Object} location - Source location
+     * @returns {Object} Question
+     */
+    createTrueFalse(prompt, answer, location) {
+        return { type: 'truefalse', prompt, options: ['True', 'False'], answer: answer ? 0 : 1, location };
+    }
+
+    /**
+     * Create a matching exercise. The answer maps each left item to
+     * the index of its partner in the shuffled right column.
+     * @param {string} prompt - Instructions
+     * @param {Array} pairs - { left, right, location }
+     * @returns {Object} Question
+     */
+    createMatch(prompt, pairs) {
+        const right = this.shuffle(pairs.map(pair => pair.right));
+        return {
+            type: 'match',
+            prompt,
+            left: pairs.map(pair => pair.left),
+            right,
+            answer: pairs.map(pair => right.indexOf(pair.right)),
+            locations: pairs.map(pair => pair.location),
+            location: { chapter: pairs[0].location.chapter }
+        };
+    }
+
+    /**
+     * Check a response
+     * @param {Object} question - Question
+     * @param {number|Array|undefined} response - Option index, or right-column indexes for a match
+     * @returns {boolean} True if fully correct
+     */
+    checkAnswer(question, response) {
+        if (question.type === 'match') {
+            return Array.isArray(response) && question.answer.every((index, i) => response[i] === index);
+        }
+        return response === question.answer;
+    }
+
+    /**
+     * Get the source locations of what was answered wrongly
+     * @param {Object} question - Question
+     * @param {number|Array|undefined} response - Response
+     * @returns {Array} Locations
+     */
+    getMissedLocations(question, response) {
+        if (question.type === 'match') {
+            return question.locations.filter((location, i) => !Array.isArray(response) || response[i] !== question.answer[i]);
+        }
+        return this.checkAnswer(question, response) ? [] : [question.location];
+    }
+
+    /**
+     * Label a chapter as an answer option
+     * @param {Object} chapter - Chapter object
+     * @returns {string} Label
+     */
+    chapterLabel(chapter) {
+        return `Chapter ${chapter.chapter}: ${chapter.title}`;
+    }
+
+    /**
+     * Keep the first item for each key
+     * @param {Array} items - Items
+     * @param {Function} key - Key accessor
+     * @returns {Array} Items with distinct keys
+     */
+    uniqueBy(items, key) {
+        const seen = new Set();
+        return items.filter(item => {
+            const value = key(item);
+            if (seen.has(value)) return false;
+            seen.add(value);
+            return true;
+        });
+    }
+
+    /**
+     * Pick a random element
+     * @param {Array} items - Items
+     * @returns {*} Item
+     */
+    pick(items) {
+        return items[Math.floor(Math.random() * items.length)];
+    }
+
+    /**
+     * Shuffle a copy of an array
+     * @param {Array} items - Items
+     * @returns {Array} Shuffled copy
+     */
+    shuffle(items) {
+        return d3.shuffle(items.slice());
+    }
+}
+
+// Create and export singleton instance
+const quizStore = new QuizStore();
+
+// Make it globally available
+window.Quizzes = quizStore;
@@ -0,0 +1,172 @@
+/**
+ * Reading Tracker Module
+ * Follows the chapter or section page open in the content panel and
+ * reports to Progress how far it is scrolled and how long it is read.
+ * Time only counts while the tab is visible and the reader has scrolled,
+ * moved the mouse or pressed a key recently.
+ */
+
+class ReadingTracker {
+    constructor(container) {
+        this.container = container;
+        this.store = window.Progress;
+
+        this.tickSeconds = 5;
+        this.idleSeconds = 120;
+
+        this.location = null;
+        this.lastActivity = Date.now();
+        this.timer = null;
+        this.scrollFrame = null;
+
+        this.attachEventListeners();
+    }
+
+    /**
+     * Attach scroll and activity listeners
+     */
+    attachEventListeners() {
+        this.container.addEventListener('scroll', () => {
+            if (!this.location || this.scrollFrame) return;
+            this.scrollFrame = requestAnimationFrame(() => {
+                this.scrollFrame = null;
+                this.measure();
+            });
+        });
+
+        const markActive = () => { this.lastActivity = Date.now(); };
+        ['scroll', 'mousemove', 'keydown', 'pointerdown', 'touchstart'].forEach(type => {
+            document.addEventListener(type, markActive, { capture: true, passive: true });
+        });
+    }
+
+    /**
+     * Start tracking a page that was just rendered
+     * @param {Object} location - Chapter or section location
+     */
+    start(location) {
+        this.stop();
+
+        this.location = location;
+        this.lastActivity = Date.now();
+        this.store.visit(location);
+
+        // Measure once the view has settled, so short pages count as read
+        requestAnimationFrame(() => this.measure());
+        this.timer = setInterval(() => this.tick(), this.tickSeconds * 1000);
+    }
+
+    /**
+     * Stop tracking, e.g. when leaving the content panel
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.location = null;
+    }
+
+    /**
+     * Record how much of the page has been scrolled into view
+     */
+    measure() {
+        if (!this.location) return;
+
+        const { scrollTop, scrollHeight, clientHeight } = this.container;
+        const fraction = scrollHeight > clientHeight ? (scrollTop + clientHeight) / scrollHeight : 1;
+        this.store.recordScroll(this.location, fraction);
+    }
+
+    /**
+     * Count the last few seconds as reading time if the reader is active
+     */
+    tick() {
+        if (!this.location || document.visibilityState === 'hidden') return;
+        if (Date.now() - this.lastActivity > this.idleSeconds * 1000) return;
+
+        this.store.addTime(this.location, this.tickSeconds);
+    }
+
+    /**
+     * Get the page being tracked
+     * @returns {Object|null} Location
+     */
+    getLocation() {
+        return this.location;
+    }
+}
+
+// Add CSS for progress styles
+const progressStyles = `
+    .nav-progress {
+        margin-bottom: 1rem;
+        padding: 0.75rem 1rem;
+        background: var(--bg-card);
+        border: 1px solid var(--border);
+        border-radius: 8px;
+    }
+
+    .nav-progress-label {
+        display: flex;
+        justify-content: space-between;
+        margin-bottom: 0.4rem;
+        color: var(--text-secondary);
+        font-size: 0.8rem;
+    }
+
+    .nav-progress-value {
+        color: var(--text-primary);
+        font-weight: 600;
+    }
+
+    .nav-progress-bar {
+        height: 6px;
+        border-radius: 3px;
+        background: var(--border);
+        overflow: hidden;
+    }
+
+    .nav-progress-fill {
+        width: 0;
+        height: 100%;
+        background: var(--secondary);
+        transition: width 0.3s ease;
+    }
+
+    .progress-ring {
+        width: 14px;
+        height: 14px;
+        margin-right: 0.4rem;
+        vertical-align: -2px;
+        flex-shrink: 0;
+    }
+
+    .progress-ring circle {
+        fill: none;
+        stroke-width: 3;
+    }
+
+    .progress-ring-track {
+        stroke: var(--border);
+    }
+
+    .progress-ring-value {
+        stroke: var(--primary);
+    }
+
+    .progress-ring.complete .progress-ring-value {
+        stroke: var(--secondary);
+    }
+
+    .node-progress {
+        fill: #ffffff;
+        fill-opacity: 0.2;
+        pointer-events: none;
+    }
+`;
+
+const progressStyleSheet = document.createElement('style');
+progressStyleSheet.textContent = progressStyles;
+document.head.appendChild(progressStyleSheet);
+
+// Make ReadingTracker globally available
+window.ReadingTracker = ReadingTracker;
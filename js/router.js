@@ -0,0 +1,212 @@
+/**
+ * Router Module
+ * Hash-based routing so every view has a shareable URL and works
+ * with the browser's back and forward buttons.
+ *
+ * Routes:
+ *   #/map?expand=part-2,chapter-3                 Mind map (with expanded nodes)
+ *   #/chapter/3                                   Chapter
+ *   #/chapter/3/section/0.1                       Section (index path)
+ *   #/chapter/3/section/0.1/concept/2             Concept within a section
+ *   #/chapter/3/takeaway/4                        Key takeaway
+ *   #/search?q=motivation                         Search results
+ */
+
+class Router {
+    constructor() {
+        this.routes = [];
+        this.defaultPath = '/map';
+        this.currentPath = null;
+        this.previousPath = null;
+        this.started = false;
+    }
+
+    /**
+     * Register a route
+     * @param {string} pattern - Path pattern, e.g. '/chapter/:chapter'
+     * @param {Function} handler - Called with (params, query)
+     * @returns {Router} The router, for chaining
+     */
+    on(pattern, handler) {
+        const keys = [];
+        const regex = new RegExp('^' + pattern.replace(/:(\w+)/g, (_, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        }) + '/?$');
+
+        this.routes.push({ pattern, regex, keys, handler });
+        return this;
+    }
+
+    /**
+     * Start listening for hash changes and resolve the current URL
+     */
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        window.addEventListener('hashchange', () => this.resolve());
+        this.resolve();
+    }
+
+    /**
+     * Go to a path, adding a history entry
+     * @param {string} path - Path such as '/chapter/3'
+     * @param {Object} options - Navigation options
+     * @param {boolean} options.replace - Replace the current entry instead
+     */
+    navigate(path, { replace = false } = {}) {
+        const hash = `#${path}`;
+
+        if (replace) {
+            history.replaceState(null, '', hash);
+            this.resolve();
+        } else if (window.location.hash === hash) {
+            this.resolve();
+        } else {
+            // hashchange triggers resolve()
+            window.location.hash = path;
+        }
+    }
+
+    /**
+     * Update the URL to reflect state that is already on screen (e.g. the
+     * current search query) without re-running the route handler
+     * @param {string} path - Path to show
+     */
+    replace(path) {
+        history.replaceState(null, '', `#${path}`);
+        this.track(this.parse(`#${path}`).path);
+    }
+
+    /**
+     * Run the handler for the current URL
+     */
+    resolve() {
+        const { path, query } = this.parse(window.location.hash);
+
+        for (const route of this.routes) {
+            const match = route.regex.exec(path);
+            if (!match) continue;
+
+            const params = {};
+            try {
+                route.keys.forEach((key, i) => {
+                    params[key] = decodeURIComponent(match[i + 1]);
+                });
+            } catch (error) {
+                // Malformed escape in a deep link, e.g. '%E0%A4%A'
+                console.warn(`⚠️ Ignoring malformed route ${path}:`, error.message);
+                break;
+            }
+
+            this.track(path);
+            route.handler(params, query);
+            return;
+        }
+
+        // Unknown or empty hash
+        this.navigate(this.defaultPath, { replace: true });
+    }
+
+    /**
+     * Remember the current and previous distinct paths
+     * @param {string} path - Path without query
+     */
+    track(path) {
+        if (path !== this.currentPath) {
+            this.previousPath = this.currentPath;
+            this.currentPath = path;
+        }
+    }
+
+    /**
+     * Split a hash into path and query parameters
+     * @param {string} hash - URL hash, e.g. '#/search?q=x'
+     * @returns {Object} { path, query }
+     */
+    parse(hash) {
+        const raw = (hash || '').replace(/^#/, '') || this.defaultPath;
+        const [path, search = ''] = raw.split('?');
+        const query = Object.fromEntries(new URLSearchParams(search));
+
+        return { path, query };
+    }
+
+    /**
+     * Build a path with optional query parameters
+     * @param {string} path - Base path
+     * @param {Object} query - Query parameters; empty values are dropped
+     * @returns {string} Path
+     */
+    build(path, query = {}) {
+        const params = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                params.set(key, value);
+            }
+        });
+
+        const search = params.toString();
+        return search ? `${path}?${search}` : path;
+    }
+
+    /**
+     * Path for the mind map
+     * @param {Array} expanded - Expanded node ids
+     * @returns {string} Path
+     */
+    mapPath(expanded = []) {
+        const ids = expanded.filter(id => id !== 'root');
+        return this.build('/map', { expand: ids.join(',') });
+    }
+
+    /**
+     * Path for search results
+     * @param {string} query - Search query
+     * @returns {string} Path
+     */
+    searchPath(query) {
+        return this.build('/search', { q: query });
+    }
+
+    /**
+     * Path for a location in the course content
+     * @param {Object} location - { chapter, takeaway?, section?, concept? }
+     * @param {Array} highlight - Terms to highlight when the view opens
+     * @returns {string} Path
+     */
+    locationPath(location, highlight = []) {
+        let path = `/chapter/${location.chapter}`;
+
+        if (location.takeaway !== undefined) {
+            path += `/takeaway/${location.takeaway}`;
+        } else if (location.section) {
+            path += `/section/${location.section.join('.')}`;
+            if (location.concept !== undefined) {
+                path += `/concept/${location.concept}`;
+            }
+        }
+
+        return this.build(path, { hl: highlight.join(',') });
+    }
+
+    /**
+     * Read a location back from route params
+     * @param {Object} params - Route params
+     * @returns {Object} Location
+     */
+    paramsToLocation(params) {
+        const location = { chapter: parseInt(params.chapter) };
+        if (params.takeaway !== undefined) location.takeaway = parseInt(params.takeaway);
+        if (params.section !== undefined) location.section = params.section.split('.').map(Number);
+        if (params.concept !== undefined) location.concept = parseInt(params.concept);
+        return location;
+    }
+}
+
+// Create and export singleton instance
+const router = new Router();
+
+// Make it globally available
+window.Router = router;
@@ -0,0 +1,702 @@
+/**
+ * Search Index Module
+ * Inverted index over course content with stemming, stop-words and
+ * field-weighted relevance ranking
+ */
+
+class SearchIndex {
+    constructor() {
+        // term -> Map(docId -> weighted term frequency)
+        this.postings = new Map();
+        this.documents = new Map();
+        this.chapterDocs = new Map();
+        this.nextDocId = 0;
+
+        // Types of the results the index returns; the values type: filters accept
+        this.resultTypes = ['chapter', 'overview', 'takeaway', 'section', 'content', 'concept'];
+
+        // word -> { stem, count } across all indexed documents
+        this.vocabulary = new Map();
+
+        // Relative importance of each indexed field
+        this.fieldWeights = {
+            chapterTitle: 10,
+            conceptName: 8,
+            sectionTitle: 6,
+            conceptDefinition: 4,
+            takeaway: 3,
+            overview: 2,
+            sectionContent: 1.5,
+            example: 1
+        };
+
+        this.stopWords = new Set([
+            'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at',
+            'be', 'because', 'been', 'being', 'between', 'both', 'but', 'by', 'can',
+            'could', 'do', 'does', 'each', 'for', 'from', 'had', 'has', 'have', 'how',
+            'if', 'in', 'into', 'is', 'it', 'its', 'may', 'more', 'most', 'not', 'of',
+            'on', 'or', 'other', 'over', 'own', 'same', 'should', 'so', 'some', 'such',
+            'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they',
+            'this', 'those', 'through', 'to', 'under', 'up', 'very', 'was', 'we', 'were',
+            'what', 'when', 'where', 'which', 'while', 'who', 'why', 'will', 'with',
+            'within', 'would', 'you', 'your'
+        ]);
+    }
+
+    /**
+     * Build the index from scratch
+     * @param {Array} chapters - Array of chapter objects
+     */
+    build(chapters) {
+        this.postings.clear();
+        this.documents.clear();
+        this.chapterDocs.clear();
+        this.vocabulary.clear();
+
+        chapters.forEach(chapter => this.addChapter(chapter));
+    }
+
+    /**
+     * Index (or re-index) a single chapter
+     * @param {Object} chapter - Chapter object
+     */
+    addChapter(chapter) {
+        this.removeChapter(chapter.chapter);
+        this.chapterDocs.set(chapter.chapter, []);
+
+        this.addDocument(chapter, {
+            type: 'chapter',
+            match: chapter.title,
+            context: chapter.overview || '',
+            location: { chapter: chapter.chapter }
+        }, [['chapterTitle', chapter.title]]);
+
+        if (chapter.overview) {
+            this.addDocument(chapter, {
+                type: 'overview',
+                match: 'Overview',
+                context: chapter.overview,
+                location: { chapter: chapter.chapter, field: 'overview' }
+            }, [['overview', chapter.overview]]);
+        }
+
+        chapter.keyTakeaways?.forEach((takeaway, index) => {
+            this.addDocument(chapter, {
+                type: 'takeaway',
+                match: `Key Takeaway #${index + 1}`,
+                context: takeaway,
+                location: { chapter: chapter.chapter, takeaway: index }
+            }, [['takeaway', takeaway]]);
+        });
+
+        if (chapter.sections) {
+            this.addSections(chapter.sections, chapter);
+        }
+    }
+
+    /**
+     * Recursively index sections, subsections and concepts
+     * @param {Array} sections - Array of sections
+     * @param {Object} chapter - Chapter object
+     * @param {Array} path - Index path of the parent section
+     */
+    addSections(sections, chapter, path = []) {
+        sections.forEach((section, index) => {
+            const sectionPath = path.concat(index);
+            const location = { chapter: chapter.chapter, section: sectionPath };
+
+            if (section.title) {
+                this.addDocument(chapter, {
+                    type: 'section',
+                    match: section.title,
+                    context: section.content || '',
+                    location
+                }, [['sectionTitle', section.title]]);
+            }
+
+            if (section.content) {
+                this.addDocument(chapter, {
+                    type: 'content',
+                    match: section.title,
+                    context: section.content,
+                    location
+                }, [['sectionContent', section.content]]);
+            }
+
+            section.concepts?.forEach((concept, conceptIndex) => {
+                const fields = [
+                    ['conceptName', concept.name],
+                    ['conceptDefinition', concept.definition]
+                ];
+                concept.examples?.forEach(example => fields.push(['example', example]));
+
+                this.addDocument(chapter, {
+                    type: 'concept',
+                    match: concept.name,
+                    context: concept.definition,
+                    location: { ...location, concept: conceptIndex }
+                }, fields);
+            });
+
+            if (section.subsections && section.subsections.length > 0) {
+                this.addSections(section.subsections, chapter, sectionPath);
+            }
+        });
+    }
+
+    /**
+     * Add one result document to the index
+     * @param {Object} chapter - Chapter the document belongs to
+     * @param {Object} result - Result fields (type, match, context)
+     * @param {Array} fields - [fieldName, text] pairs to index
+     */
+    addDocument(chapter, result, fields) {
+        const id = this.nextDocId++;
+        const doc = {
+            id,
+            result: { ...result, chapter: chapter.chapter, title: chapter.title },
+            // stem -> Set of surface words, used for highlighting
+            surface: new Map(),
+            // Normalized full text, used for phrase matching
+            text: this.normalizePhrase(fields.map(([, text]) => text || '').join(' | '))
+        };
+
+        fields.forEach(([field, text]) => {
+            if (!text) return;
+
+            this.tokenize(text).forEach(({ word, stem }) => {
+                const weight = this.fieldWeights[field] || 1;
+
+                if (!this.postings.has(stem)) {
+                    this.postings.set(stem, new Map());
+                }
+                const posting = this.postings.get(stem);
+                posting.set(id, (posting.get(id) || 0) + weight);
+
+                if (!doc.surface.has(stem)) {
+                    doc.surface.set(stem, new Set());
+                }
+                doc.surface.get(stem).add(word);
+            });
+        });
+
+        // Course vocabulary for typo correction and prefix matching
+        doc.surface.forEach((words, stem) => {
+            words.forEach(word => {
+                const entry = this.vocabulary.get(word) || { stem, count: 0 };
+                entry.count++;
+                this.vocabulary.set(word, entry);
+            });
+        });
+
+        this.documents.set(id, doc);
+        this.chapterDocs.get(chapter.chapter).push(id);
+    }
+
+    /**
+     * Remove all documents for a chapter
+     * @param {number} chapterNum - Chapter number
+     */
+    removeChapter(chapterNum) {
+        const ids = this.chapterDocs.get(chapterNum);
+        if (!ids) return;
+
+        ids.forEach(id => {
+            const doc = this.documents.get(id);
+            doc.surface.forEach((words, stem) => {
+                const posting = this.postings.get(stem);
+                if (posting) {
+                    posting.delete(id);
+                    if (posting.size === 0) this.postings.delete(stem);
+                }
+
+                words.forEach(word => {
+                    const entry = this.vocabulary.get(word);
+                    if (entry && --entry.count === 0) this.vocabulary.delete(word);
+                });
+            });
+            this.documents.delete(id);
+        });
+
+        this.chapterDocs.delete(chapterNum);
+    }
+
+    /**
+     * Search the index
+     * @param {string|Object} query - Query string or parsed query
+     * @returns {Array} Ranked results in the {type, chapter, title, match, context} shape
+     */
+    search(query) {
+        return this.searchWithSuggestion(query).results;
+    }
+
+    /**
+     * Search the index, tolerating typos and partially typed words
+     * @param {string|Object} query - Query string or result of SearchQuery.parse()
+     * @param {Object} options - Search options
+     * @param {Function} options.filter - Predicate on a result; false drops it
+     * @returns {Object} { results, suggestion } where suggestion is a
+     *     corrected query when the best hits come from corrected terms
+     */
+    searchWithSuggestion(query, { filter = null } = {}) {
+        const parsed = typeof query === 'string' ? this.parseQuery(query) : query;
+        const groups = this.expandQuery(parsed);
+
+        // Invalid filters are ignored, so they can't list anything by themselves
+        const hasFilters = parsed.filters.some(f => f.valid);
+
+        if (groups.length === 0 && !hasFilters) {
+            return { results: [], suggestion: null };
+        }
+
+        let ranked;
+        if (groups.length === 0) {
+            // Filters alone list everything they allow, in document order
+            ranked = new Map([...this.documents.keys()].map(id => [id, { score: 0, matched: [] }]));
+        } else {
+            ranked = this.score(groups, true);
+            if (ranked.size === 0 && groups.length > 1) {
+                ranked = this.score(groups, false);
+            }
+        }
+
+        const excluded = this.excludedDocuments(parsed.exclude);
+
+        const results = [...ranked.entries()]
+            .filter(([id]) => !excluded.has(id))
+            .filter(([id]) => !filter || filter(this.documents.get(id).result))
+            .sort((a, b) => b[1].score - a[1].score || a[0] - b[0])
+            .map(([id, match]) => this.toResult(this.documents.get(id), match));
+
+        return { results, suggestion: this.buildSuggestion(parsed.text, groups, results[0]) };
+    }
+
+    /**
+     * Parse a query string, checking type: filters against the result types
+     * @param {string} text - Query string
+     * @returns {Object} Parsed query
+     */
+    parseQuery(text) {
+        return window.SearchQuery.parse(text, { types: this.resultTypes });
+    }
+
+    /**
+     * Expand each query group into the index terms it may refer to: the
+     * exact stem, close misspellings and, for the word being typed,
+     * longer words it is a prefix of. Phrases stay as single alternatives.
+     * @param {Object} parsed - Parsed query
+     * @returns {Array} One entry per AND-ed group: { alternatives: [{ stem, weight, kind, word, source }] }
+     */
+    expandQuery(parsed) {
+        const lastGroup = parsed.groups.length - 1;
+
+        return parsed.groups.map((items, groupIndex) => {
+            const alternatives = new Map();
+            const add = (key, alt) => {
+                const existing = alternatives.get(key);
+                if (!existing || existing.weight < alt.weight) {
+                    alternatives.set(key, alt);
+                }
+            };
+
+            let searchable = false;
+
+            items.forEach((item, itemIndex) => {
+                const tokens = this.tokenize(item.value);
+                if (tokens.length === 0) return;
+                searchable = true;
+
+                // Phrases, and words that split into several tokens (e.g. "big-five")
+                if (item.kind === 'phrase' || tokens.length > 1) {
+                    add(`"${item.value}"`, {
+                        kind: 'phrase',
+                        weight: 1.2,
+                        phrase: this.normalizePhrase(item.value),
+                        stems: tokens.map(t => t.stem),
+                        source: item.value
+                    });
+                    return;
+                }
+
+                const { word, stem } = tokens[0];
+                const exact = this.postings.has(stem);
+                const isTyping = parsed.typing && groupIndex === lastGroup && itemIndex === items.length - 1;
+
+                if (exact) {
+                    add(stem, { stem, weight: 1, kind: 'exact', word, source: word });
+                }
+
+                // Completions rank below the word itself once it is a whole word
+                if (isTyping && word.length >= 3) {
+                    const prefixWeight = exact ? 0.4 : 0.8;
+                    this.vocabulary.forEach((entry, vocabWord) => {
+                        if (vocabWord !== word && vocabWord.startsWith(word)) {
+                            add(entry.stem, { stem: entry.stem, weight: prefixWeight, kind: 'prefix', word: vocabWord, source: word });
+                        }
+                    });
+                }
+
+                if (!exact) {
+                    const maxDistance = this.maxEditDistance(word);
+                    this.vocabulary.forEach((entry, vocabWord) => {
+                        if (Math.abs(vocabWord.length - word.length) > maxDistance) return;
+                        const distance = this.editDistance(word, vocabWord, maxDistance);
+                        if (distance <= maxDistance) {
+                            add(entry.stem, {
+                                stem: entry.stem,
+                                weight: 0.7 - 0.15 * (distance - 1),
+                                kind: 'fuzzy',
+                                word: vocabWord,
+                                source: word
+                            });
+                        }
+                    });
+                }
+            });
+
+            return { alternatives: [...alternatives.values()], searchable };
+        })
+            // Groups of only stop-words are ignored; unknown words are kept
+            // so an AND query containing one finds nothing
+            .filter(group => group.searchable);
+    }
+
+    /**
+     * Edit-distance tolerance for a word: short words must match exactly
+     * @param {string} word - Query word
+     * @returns {number} Maximum allowed edits
+     */
+    maxEditDistance(word) {
+        if (word.length <= 4) return 0;
+        if (word.length <= 7) return 1;
+        return 2;
+    }
+
+    /**
+     * Damerau-Levenshtein (optimal string alignment) distance with an
+     * early exit once every path exceeds the limit
+     * @param {string} a - First word
+     * @param {string} b - Second word
+     * @param {number} limit - Largest distance worth computing
+     * @returns {number} Distance, or limit + 1 if it exceeds the limit
+     */
+    editDistance(a, b, limit) {
+        if (a === b) return 0;
+        if (limit === 0) return 1;
+
+        let prevPrev = null;
+        let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+
+                if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, prevPrev[j - 2] + 1);
+                }
+
+                current[j] = value;
+                rowMin = Math.min(rowMin, value);
+            }
+
+            if (rowMin > limit) return limit + 1;
+            prevPrev = prev;
+            prev = current;
+        }
+
+        return prev[b.length];
+    }
+
+    /**
+     * Score documents for expanded query groups using weighted TF-IDF.
+     * Within a group the best-matching alternative counts.
+     * @param {Array} groups - Result of expandQuery()
+     * @param {boolean} requireAll - Only keep documents matching every group
+     * @returns {Map<number, Object>} docId -> { score, matched: [alternative per group] }
+     */
+    score(groups, requireAll) {
+        const matches = new Map();
+
+        groups.forEach((group, groupIndex) => {
+            group.alternatives.forEach(alt => {
+                this.scoreAlternative(alt).forEach((value, id) => {
+                    if (!matches.has(id)) {
+                        matches.set(id, { groupScores: new Array(groups.length).fill(0), matched: [] });
+                    }
+
+                    const match = matches.get(id);
+                    if (value > match.groupScores[groupIndex]) {
+                        match.groupScores[groupIndex] = value;
+                        match.matched[groupIndex] = alt;
+                    }
+                });
+            });
+        });
+
+        const scores = new Map();
+        matches.forEach((match, id) => {
+            const hits = match.groupScores.filter(value => value > 0).length;
+            if (requireAll && hits < groups.length) return;
+
+            scores.set(id, {
+                score: match.groupScores.reduce((sum, value) => sum + value, 0),
+                matched: match.matched.filter(Boolean)
+            });
+        });
+
+        return scores;
+    }
+
+    /**
+     * Score every document matching one alternative
+     * @param {Object} alt - Alternative from expandQuery()
+     * @returns {Map<number, number>} docId -> score
+     */
+    scoreAlternative(alt) {
+        const total = this.documents.size || 1;
+        const termScore = (stem, id) => {
+            const posting = this.postings.get(stem);
+            const weight = posting?.get(id);
+            if (!weight) return 0;
+            return Math.log(1 + total / posting.size) * (1 + Math.log(weight));
+        };
+
+        const scores = new Map();
+
+        if (alt.kind === 'phrase') {
+            this.phraseDocuments(alt).forEach(id => {
+                const value = alt.stems.reduce((sum, stem) => sum + termScore(stem, id), 0);
+                scores.set(id, alt.weight * value);
+            });
+            return scores;
+        }
+
+        this.postings.get(alt.stem)?.forEach((weight, id) => {
+            scores.set(id, alt.weight * termScore(alt.stem, id));
+        });
+
+        return scores;
+    }
+
+    /**
+     * Find documents containing a phrase
+     * @param {Object} alt - Phrase alternative ({ phrase, stems })
+     * @returns {Array} Matching document ids
+     */
+    phraseDocuments(alt) {
+        const postings = alt.stems.map(stem => this.postings.get(stem));
+        if (postings.some(posting => !posting)) return [];
+
+        const pattern = new RegExp(`\\b${this.escapeRegExp(alt.phrase)}\\b`);
+        const [smallest] = [...postings].sort((a, b) => a.size - b.size);
+
+        return [...smallest.keys()].filter(id =>
+            postings.every(posting => posting.has(id)) &&
+            pattern.test(this.documents.get(id).text));
+    }
+
+    /**
+     * Collect documents ruled out by -exclusions
+     * @param {Array} exclude - Parsed exclusions
+     * @returns {Set<number>} Excluded document ids
+     */
+    excludedDocuments(exclude) {
+        const excluded = new Set();
+
+        exclude.forEach(item => {
+            const tokens = this.tokenize(item.value);
+            if (tokens.length === 0) return;
+
+            if (item.kind === 'phrase' || tokens.length > 1) {
+                const alt = { phrase: this.normalizePhrase(item.value), stems: tokens.map(t => t.stem) };
+                this.phraseDocuments(alt).forEach(id => excluded.add(id));
+            } else {
+                this.postings.get(tokens[0].stem)?.forEach((weight, id) => excluded.add(id));
+            }
+        });
+
+        return excluded;
+    }
+
+    /**
+     * Lowercase a phrase and collapse whitespace for matching
+     * @param {string} text - Phrase or document text
+     * @returns {string} Normalized text
+     */
+    normalizePhrase(text) {
+        return text.toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Suggest a corrected query when the top result was found through
+     * typo correction rather than the words as typed
+     * @param {string} query - Original query text
+     * @param {Array} groups - Result of expandQuery()
+     * @param {Object} best - Top-ranked result
+     * @returns {string|null} Corrected query or null
+     */
+    buildSuggestion(query, groups, best) {
+        if (!best || !best.matched.some(alt => alt.kind === 'fuzzy')) return null;
+
+        const corrections = new Map();
+        groups.forEach(group => {
+            group.alternatives.forEach(alt => {
+                if (alt.kind !== 'fuzzy') return;
+                if (!corrections.has(alt.source)) corrections.set(alt.source, []);
+                corrections.get(alt.source).push(alt);
+            });
+        });
+
+        let suggestion = query;
+        corrections.forEach((alts, source) => {
+            // Prefer the correction the top hit used, then the most common word
+            const used = best.matched.find(alt => alts.includes(alt));
+            const replacement = used || alts.sort((a, b) =>
+                b.weight - a.weight ||
+                this.vocabulary.get(b.word).count - this.vocabulary.get(a.word).count)[0];
+
+            suggestion = suggestion.replace(new RegExp(`\\b${this.escapeRegExp(source)}\\b`, 'i'), replacement.word);
+        });
+
+        return suggestion !== query ? suggestion : null;
+    }
+
+    /**
+     * Build a result object for a matched document
+     * @param {Object} doc - Indexed document
+     * @param {Object} match - { score, matched } from score()
+     * @returns {Object} Search result
+     */
+    toResult(doc, match) {
+        const terms = [];
+        match.matched.forEach(alt => {
+            if (alt.kind === 'phrase') {
+                terms.push(alt.phrase);
+            } else {
+                doc.surface.get(alt.stem)?.forEach(word => terms.push(word));
+            }
+        });
+
+        const result = {
+            ...doc.result,
+            score: match.score,
+            terms,
+            corrected: match.matched.some(alt => alt.kind === 'fuzzy'),
+            matched: match.matched
+        };
+
+        // Long bodies get a snippet around the first matched word
+        if (doc.result.type === 'overview' || doc.result.type === 'content') {
+            result.context = this.getContextSnippet(doc.result.context, terms);
+        }
+
+        return result;
+    }
+
+    /**
+     * Get context snippet around the first matched word
+     * @param {string} text - Full text
+     * @param {Array} terms - Matched surface words (lowercase)
+     * @returns {string} Context snippet
+     */
+    getContextSnippet(text, terms) {
+        const lowerText = text.toLowerCase();
+        const positions = terms
+            .map(term => lowerText.search(new RegExp(`\\b${this.escapeRegExp(term)}\\b`)))
+            .filter(index => index !== -1);
+
+        if (positions.length === 0) {
+            return text.length > 150 ? text.substring(0, 150) + '...' : text;
+        }
+
+        const index = Math.min(...positions);
+        const start = Math.max(0, index - 60);
+        const end = Math.min(text.length, index + 150);
+
+        let snippet = text.substring(start, end);
+        if (start > 0) snippet = '...' + snippet;
+        if (end < text.length) snippet = snippet + '...';
+
+        return snippet;
+    }
+
+    /**
+     * Split text into indexable tokens
+     * @param {string} text - Text to tokenize
+     * @returns {Array} Array of { word, stem }
+     */
+    tokenize(text) {
+        if (!text) return [];
+
+        return text
+            .toLowerCase()
+            .replace(/['’]s\b/g, '')
+            .split(/[^a-z0-9]+/)
+            .filter(word => word.length > 1 && !this.stopWords.has(word))
+            .map(word => ({ word, stem: this.stem(word) }));
+    }
+
+    /**
+     * Reduce a word to its stem (a compact Porter-style stemmer)
+     * @param {string} word - Lowercase word
+     * @returns {string} Stem
+     */
+    stem(word) {
+        if (word.length <= 3 || /^\d+$/.test(word)) return word;
+
+        let w = word;
+
+        // Plurals
+        if (w.endsWith('sses')) w = w.slice(0, -2);
+        else if (w.endsWith('ies')) w = w.slice(0, -3) + 'y';
+        else if (w.endsWith('s') && !w.endsWith('ss') && !w.endsWith('us') && !w.endsWith('is')) w = w.slice(0, -1);
+
+        // Past tense and gerunds
+        const hasVowel = (s) => /[aeiouy]/.test(s);
+        for (const suffix of ['ing', 'ed']) {
+            if (w.endsWith(suffix) && hasVowel(w.slice(0, -suffix.length)) && w.length - suffix.length >= 3) {
+                w = w.slice(0, -suffix.length);
+                if (/(at|bl|iz)$/.test(w)) w += 'e';
+                else if (/([^aeiouslz])\1$/.test(w)) w = w.slice(0, -1);
+                break;
+            }
+        }
+
+        // Derivational suffixes, longest first
+        const suffixes = [
+            ['izational', 'ize'], ['ational', 'ate'], ['tional', 'tion'], ['ization', 'ize'], ['fulness', 'ful'],
+            ['iveness', 'ive'], ['ousness', 'ous'], ['ation', 'ate'], ['ement', ''],
+            ['ment', ''], ['ness', ''], ['ity', ''], ['ive', ''], ['ize', ''], ['ate', ''],
+            ['al', ''], ['er', ''], ['ly', '']
+        ];
+
+        // Two passes so e.g. "motivational" -> "motivate" -> "motiv"
+        for (let pass = 0; pass < 2; pass++) {
+            const match = suffixes.find(([suffix]) => w.endsWith(suffix) && w.length - suffix.length >= 4);
+            if (!match) break;
+            w = w.slice(0, -match[0].length) + match[1];
+        }
+
+        // Normalize trailing -e and -y so related forms share a stem
+        if (w.length > 4 && w.endsWith('e')) w = w.slice(0, -1);
+        if (w.length > 4 && w.endsWith('y')) w = w.slice(0, -1) + 'i';
+
+        return w;
+    }
+
+    /**
+     * Escape special characters for use in a RegExp
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+// Make SearchIndex globally available
+window.SearchIndex = SearchIndex;
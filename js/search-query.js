@@ -0,0 +1,159 @@
+/**
+ * Search Query Module
+ * Parses the search box query language:
+ *   chapter:5  part:3  type:concept|takeaway   field filters
+ *   "emotional labor"                          quoted phrases
+ *   -stress  -"role conflict"  -type:content   exclusions
+ *   motivation OR rewards                      alternatives
+ */
+
+class SearchQueryParser {
+    constructor() {
+        // Filter fields and the aliases accepted for them
+        this.fields = {
+            chapter: 'chapter',
+            ch: 'chapter',
+            part: 'part',
+            type: 'type'
+        };
+    }
+
+    /**
+     * Parse a query string
+     * @param {string} text - Raw query from the search box
+     * @param {Object} options - Parser options
+     * @param {Array} options.types - Valid values for type: filters
+     * @returns {Object} Parsed query:
+     *     groups   - AND-ed list of OR groups, each an array of { kind: 'word'|'phrase', value }
+     *     exclude  - Array of { kind: 'word'|'phrase', value }
+     *     filters  - Array of { field, values, negate, valid, raw }
+     *     typing   - True if the last word may still be being typed
+     */
+    parse(text, { types = [] } = {}) {
+        const parsed = { text, groups: [], exclude: [], filters: [], typing: false };
+        const tokens = this.tokenize(text);
+
+        let joinNext = false;
+        tokens.forEach((token, index) => {
+            if (token.kind === 'or') {
+                joinNext = parsed.groups.length > 0;
+                return;
+            }
+
+            if (token.kind === 'filter') {
+                parsed.filters.push(this.buildFilter(token, types));
+                return;
+            }
+
+            if (token.negate) {
+                parsed.exclude.push({ kind: token.kind, value: token.value });
+                return;
+            }
+
+            const item = { kind: token.kind, value: token.value };
+            if (joinNext) {
+                parsed.groups[parsed.groups.length - 1].push(item);
+            } else {
+                parsed.groups.push([item]);
+            }
+            joinNext = false;
+
+            parsed.typing = index === tokens.length - 1 && token.kind === 'word' && /[a-z0-9]$/i.test(text);
+        });
+
+        return parsed;
+    }
+
+    /**
+     * Split a query into word, phrase, filter and OR tokens
+     * @param {string} text - Raw query
+     * @returns {Array} Array of { kind, value, negate, raw, field }
+     */
+    tokenize(text) {
+        const tokens = [];
+        const pattern = /(-?)(?:"([^"]*)"?|(\S+))/g;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const [raw, minus, phrase, bare] = match;
+            const negate = minus === '-';
+
+            if (phrase !== undefined) {
+                const value = phrase.trim().replace(/\s+/g, ' ');
+                if (value) tokens.push({ kind: 'phrase', value, negate, raw });
+                continue;
+            }
+
+            if (!negate && (bare === 'OR' || bare === '|')) {
+                tokens.push({ kind: 'or', raw });
+                continue;
+            }
+
+            const filter = /^([a-z]+):(.*)$/i.exec(bare);
+            if (filter && this.fields[filter[1].toLowerCase()]) {
+                tokens.push({
+                    kind: 'filter',
+                    field: this.fields[filter[1].toLowerCase()],
+                    value: filter[2],
+                    negate,
+                    raw
+                });
+                continue;
+            }
+
+            if (bare === '-') continue;
+            tokens.push({ kind: 'word', value: bare, negate, raw });
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Build and validate a filter from a filter token
+     * @param {Object} token - Filter token
+     * @param {Array} types - Valid type values
+     * @returns {Object} Filter
+     */
+    buildFilter(token, types) {
+        const values = token.value.split(/[|,]/).map(v => v.trim().toLowerCase()).filter(Boolean);
+
+        let valid = values.length > 0;
+        if (token.field === 'type') {
+            valid = valid && values.every(v => types.includes(v));
+        } else {
+            valid = valid && values.every(v => /^\d+$/.test(v));
+        }
+
+        return {
+            field: token.field,
+            values: token.field === 'type' ? values : values.map(Number),
+            negate: token.negate,
+            valid,
+            raw: token.raw
+        };
+    }
+
+    /**
+     * Remove one token (e.g. a filter) from the query text
+     * @param {string} text - Raw query
+     * @param {string} raw - Token text to remove
+     * @returns {string} Query without the token
+     */
+    removeToken(text, raw) {
+        const tokens = text.match(/-?(?:"[^"]*"?|\S+)/g) || [];
+        const index = tokens.indexOf(raw);
+        if (index !== -1) tokens.splice(index, 1);
+
+        // Drop dangling OR operators left behind
+        return tokens
+            .filter((token, i) => !((token === 'OR' || token === '|') &&
+                (i === 0 || i === tokens.length - 1)))
+            .join(' ');
+    }
+}
+
+// Create and export singleton instance
+const searchQueryParser = new SearchQueryParser();
+
+// Make it globally available
+window.SearchQuery = searchQueryParser;
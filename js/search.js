@@ -7,11 +7,30 @@ class Search {
     constructor() {
         this.searchInput = document.getElementById('searchInput');
         this.clearBtn = document.getElementById('clearSearch');
-        this.searchResults = document.getElementById('searchResults');
-        this.searchResultsList = document.getElementById('searchResultsList');
-        this.closeSearchBtn = document.getElementById('closeSearch');
+        this.searchResults = document.getElementById('searchModal');
+        this.searchResultsList = document.getElementById('searchResults');
+        this.closeSearchBtn = document.getElementById('closeSearchModal');
         this.courseData = null;
         this.debounceTimer = null;
+
+        // Icons and labels for each result type
+        this.typeIcons = {
+            chapter: 'fa-book',
+            overview: 'fa-info-circle',
+            takeaway: 'fa-key',
+            section: 'fa-folder',
+            content: 'fa-file-alt',
+            concept: 'fa-lightbulb'
+        };
+
+        this.typeLabels = {
+            chapter: 'Chapter',
+            overview: 'Overview',
+            takeaway: 'Key Takeaway',
+            section: 'Section',
+            content: 'Content',
+            concept: 'Concept'
+        };
     }
 
     /**
@@ -38,6 +57,12 @@ class Search {
      * Attach event listeners
      */
     attachEventListeners() {
+        // Pull in chapter detail the first time search is used so sections
+        // and concepts are searchable without opening each chapter first
+        this.searchInput.addEventListener('focus', () => {
+            this.courseData.loadAllChapters();
+        }, { once: true });
+
         // Search input with debounce
         this.searchInput.addEventListener('input', (e) => {
             const query = e.target.value.trim();
@@ -71,9 +96,19 @@ class Search {
             });
         }
 
+        // Refresh open results as chapter detail arrives
+        const refreshResults = () => {
+            const query = this.searchInput.value.trim();
+            if (query.length >= 2 && this.searchResults.classList.contains('active')) {
+                this.performSearch(query);
+            }
+        };
+        document.addEventListener('content:chapterLoaded', refreshResults);
+        document.addEventListener('content:chaptersLoaded', refreshResults);
+
         // Close on escape key
         document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && !this.searchResults.classList.contains('hidden')) {
+            if (e.key === 'Escape' && this.searchResults.classList.contains('active')) {
                 this.hideResults();
             }
         });
@@ -93,12 +128,33 @@ class Search {
      * @param {string} query - Search query
      */
     performSearch(query) {
-        const results = this.courseData.search(query);
+        const parsed = this.courseData.parseSearchQuery(query);
+        const { results, suggestion } = this.courseData.searchWithSuggestion(parsed);
+
+        // Remember where to return to when the results are closed
+        const router = window.Router;
+        if (router.currentPath !== '/search') {
+            this.returnHash = window.location.hash.replace(/^#/, '') || router.defaultPath;
+        }
+        router.replace(router.searchPath(query));
 
         if (results.length === 0) {
-            this.showNoResults(query);
+            this.showNoResults(query, parsed);
         } else {
-            this.showResults(results, query);
+            this.showResults(results, query, suggestion, parsed);
+        }
+    }
+
+    /**
+     * Open search with a query, e.g. when restoring a search URL
+     * @param {string} query - Search query
+     */
+    open(query) {
+        this.searchInput.value = query;
+        this.searchInput.focus();
+
+        if (query.trim().length >= 2) {
+            this.performSearch(query.trim());
         }
     }
 
@@ -106,32 +162,119 @@ class Search {
      * Show search results
      * @param {Array} results - Search results
      * @param {string} query - Search query
+     * @param {string|null} suggestion - Corrected query, if any
+     * @param {Object} parsed - Parsed query, for the filter chips
      */
-    showResults(results, query) {
+    showResults(results, query, suggestion = null, parsed = null) {
         // Limit results to top 50
         const limitedResults = results.slice(0, 50);
 
         const html = `
+            ${suggestion ? `
+                <div class="search-suggestion">
+                    <i class="fas fa-spell-check"></i>
+                    Did you mean <a href="#" data-query="${this.escapeHtml(suggestion)}">${this.escapeHtml(suggestion)}</a>?
+                </div>
+            ` : ''}
             <div class="search-summary">
                 Found <strong>${results.length}</strong> result${results.length !== 1 ? 's' : ''} for "<strong>${this.escapeHtml(query)}</strong>"
                 ${results.length > 50 ? ` (showing first 50)` : ''}
+                <button class="search-show-map" title="Highlight every match on the mind map">
+                    <i class="fas fa-project-diagram"></i> Show on map
+                </button>
             </div>
-            ${limitedResults.map(result => this.renderSearchResult(result, query)).join('')}
+            ${this.renderFilterChips(parsed)}
+            ${limitedResults.map((result, index) => this.renderSearchResult(result, query, index)).join('')}
         `;
 
+        this.currentResults = limitedResults;
+        this.allResults = results;
+        this.currentQuery = query;
         this.searchResultsList.innerHTML = html;
-        this.searchResults.classList.remove('hidden');
+        this.searchResults.classList.add('active');
+        document.dispatchEvent(new CustomEvent('search:opened'));
 
         // Attach click handlers to results
         this.attachResultClickHandlers();
+        this.attachShowOnMapHandler();
+        this.attachSuggestionHandler();
+        this.attachFilterChipHandlers();
+    }
+
+    /**
+     * Render active filters as removable chips
+     * @param {Object} parsed - Parsed query
+     * @returns {string} HTML string
+     */
+    renderFilterChips(parsed) {
+        if (!parsed || parsed.filters.length === 0) return '';
+
+        const describe = (filter) => {
+            const values = filter.values.map(value => {
+                if (filter.field === 'type') return this.typeLabels[value] || value;
+                if (filter.field === 'part') return this.courseData.getPart(value) ? `Part ${value}` : value;
+                return `Ch ${value}`;
+            });
+            return `${filter.negate ? 'Not ' : ''}${values.join(' or ')}`;
+        };
+
+        return `
+            <div class="search-filters">
+                ${parsed.filters.map(filter => `
+                    <span class="filter-chip ${filter.valid ? '' : 'invalid'}"
+                          title="${filter.valid ? this.escapeHtml(filter.raw) : `Unknown filter value: ${this.escapeHtml(filter.raw)}`}">
+                        <span class="filter-chip-field">${filter.field}</span>
+                        ${this.escapeHtml(describe(filter))}
+                        <button class="filter-chip-remove" data-raw="${this.escapeHtml(filter.raw)}" aria-label="Remove filter">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </span>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Remove a filter from the query when its chip is closed
+     */
+    attachFilterChipHandlers() {
+        this.searchResultsList.querySelectorAll('.filter-chip-remove').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const query = window.SearchQuery.removeToken(this.searchInput.value, button.dataset.raw).trim();
+                this.searchInput.value = query;
+
+                if (query.length >= 2) {
+                    this.performSearch(query);
+                } else {
+                    this.hideResults();
+                }
+            });
+        });
+    }
+
+    /**
+     * Run the suggested query when "Did you mean" is clicked
+     */
+    attachSuggestionHandler() {
+        const link = this.searchResultsList.querySelector('.search-suggestion a');
+        if (!link) return;
+
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.searchInput.value = link.dataset.query;
+            this.performSearch(link.dataset.query);
+        });
     }
 
     /**
      * Show no results message
      * @param {string} query - Search query
+     * @param {Object} parsed - Parsed query, for the filter chips
      */
-    showNoResults(query) {
+    showNoResults(query, parsed = null) {
         const html = `
+            ${this.renderFilterChips(parsed)}
             <div class="no-results">
                 <i class="fas fa-search" style="font-size: 3rem; color: var(--text-secondary); margin-bottom: 1rem;"></i>
                 <h3>No results found</h3>
@@ -141,44 +284,31 @@ class Search {
         `;
 
         this.searchResultsList.innerHTML = html;
-        this.searchResults.classList.remove('hidden');
+        this.searchResults.classList.add('active');
+        document.dispatchEvent(new CustomEvent('search:opened'));
+        this.attachFilterChipHandlers();
     }
 
     /**
      * Render a single search result
      * @param {Object} result - Search result object
      * @param {string} query - Search query
+     * @param {number} index - Position in the current results
      * @returns {string} HTML string
      */
-    renderSearchResult(result, query) {
-        const typeIcons = {
-            chapter: 'fa-book',
-            overview: 'fa-info-circle',
-            takeaway: 'fa-key',
-            section: 'fa-folder',
-            content: 'fa-file-alt',
-            concept: 'fa-lightbulb'
-        };
-
-        const typeLabels = {
-            chapter: 'Chapter',
-            overview: 'Overview',
-            takeaway: 'Key Takeaway',
-            section: 'Section',
-            content: 'Content',
-            concept: 'Concept'
-        };
+    renderSearchResult(result, query, index) {
+        const icon = this.typeIcons[result.type] || 'fa-circle';
+        const label = this.typeLabels[result.type] || result.type;
 
-        const icon = typeIcons[result.type] || 'fa-circle';
-        const label = typeLabels[result.type] || result.type;
-
-        // Highlight query in context
-        const highlightedContext = this.highlightQuery(result.context, query);
+        // Highlight matched words in context
+        const highlightedContext = this.highlightQuery(result.context, result.terms || query);
 
         return `
             <div class="search-result-item"
                  data-chapter="${result.chapter}"
-                 data-type="${result.type}">
+                 data-type="${result.type}"
+                 data-index="${index}"
+                 data-location="${result.location ? this.courseData.getLocationId(result.location) : result.chapter}">
                 <div class="result-header">
                     <span class="result-type">
                         <i class="fas ${icon}"></i>
@@ -201,17 +331,21 @@ class Search {
     /**
      * Highlight query in text
      * @param {string} text - Text to highlight
-     * @param {string} query - Query to highlight
+     * @param {string|Array} terms - Query string or matched words to highlight
      * @returns {string} HTML with highlighted query
      */
-    highlightQuery(text, query) {
-        if (!text || !query) return this.escapeHtml(text);
+    highlightQuery(text, terms) {
+        const words = (Array.isArray(terms) ? terms : [terms]).filter(Boolean);
+        if (!text || words.length === 0) return this.escapeHtml(text);
 
         const escapedText = this.escapeHtml(text);
-        const escapedQuery = this.escapeHtml(query);
+        const pattern = words
+            .map(word => this.escapeHtml(word).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .sort((a, b) => b.length - a.length)
+            .join('|');
 
-        // Case-insensitive highlighting
-        const regex = new RegExp(`(${escapedQuery})`, 'gi');
+        // Case-insensitive, whole-word highlighting
+        const regex = new RegExp(`\\b(${pattern})\\b`, 'gi');
         return escapedText.replace(regex, '<mark>$1</mark>');
     }
 
@@ -223,34 +357,57 @@ class Search {
 
         resultItems.forEach(item => {
             item.addEventListener('click', () => {
-                const chapterNum = parseInt(item.dataset.chapter);
-                const chapter = this.courseData.getChapter(chapterNum);
-
-                if (chapter) {
-                    // Load chapter content
-                    const event = new CustomEvent('content:loadChapter', {
-                        detail: { chapter }
-                    });
-                    document.dispatchEvent(event);
-
-                    // Hide search results
-                    this.hideResults();
-
-                    // Highlight in navigation
-                    if (window.navigationInstance) {
-                        window.navigationInstance.highlightActive(chapterNum);
-                    }
-                }
+                const result = this.currentResults?.[parseInt(item.dataset.index)];
+                const location = this.courseData.parseLocationId(item.dataset.location);
+                if (!location) return;
+
+                // Hide search results, keeping the search URL in history
+                // so Back returns to these results
+                this.hideResults({ restoreUrl: false });
+
+                // Open the matched item; it stays underneath if the user
+                // comes Back to the results and closes them
+                const path = window.Router.locationPath(location, result?.terms || []);
+                this.returnHash = path;
+                window.Router.navigate(path);
             });
         });
     }
 
     /**
-     * Hide search results
+     * Hand every match, not just the listed ones, to the mind map
      */
-    hideResults() {
+    attachShowOnMapHandler() {
+        const button = this.searchResultsList.querySelector('.search-show-map');
+        if (!button) return;
+
+        button.addEventListener('click', () => {
+            this.hideResults({ restoreUrl: false });
+            document.dispatchEvent(new CustomEvent('search:showOnMap', {
+                detail: { query: this.currentQuery, results: this.allResults }
+            }));
+        });
+    }
+
+    /**
+     * Hide search results. Dispatches `search:closed` when open results
+     * are dismissed back to the view underneath.
+     * @param {Object} options - Options
+     * @param {boolean} options.restoreUrl - Put back the URL from before the search
+     */
+    hideResults({ restoreUrl = true } = {}) {
+        const wasOpen = this.searchResults?.classList.contains('active');
         if (this.searchResults) {
-            this.searchResults.classList.add('hidden');
+            this.searchResults.classList.remove('active');
+        }
+
+        // The view underneath is unchanged, so only the URL needs restoring
+        if (restoreUrl && window.Router.currentPath === '/search') {
+            window.Router.replace(this.returnHash || window.Router.defaultPath);
+        }
+
+        if (restoreUrl && wasOpen) {
+            document.dispatchEvent(new CustomEvent('search:closed'));
         }
     }
 
@@ -290,6 +447,89 @@ const searchStyles = `
         color: var(--text-primary);
     }
 
+    .search-show-map {
+        float: right;
+        padding: 0.2rem 0.6rem;
+        background: transparent;
+        border: 1px solid var(--border);
+        border-radius: 6px;
+        color: var(--text-secondary);
+        font-size: 0.85rem;
+        cursor: pointer;
+        transition: var(--transition);
+    }
+
+    .search-show-map:hover {
+        border-color: var(--primary);
+        color: var(--text-primary);
+    }
+
+    .search-suggestion {
+        padding: 0.75rem 1rem;
+        margin-bottom: 1rem;
+        border-left: 3px solid var(--accent);
+        color: var(--text-secondary);
+        font-size: 0.95rem;
+    }
+
+    .search-suggestion i {
+        color: var(--accent);
+        margin-right: 0.3rem;
+    }
+
+    .search-suggestion a {
+        color: var(--primary);
+        font-weight: 600;
+        font-style: italic;
+    }
+
+    .search-filters {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.5rem;
+        margin-bottom: 1rem;
+    }
+
+    .filter-chip {
+        display: inline-flex;
+        align-items: center;
+        gap: 0.4rem;
+        padding: 0.25rem 0.35rem 0.25rem 0.75rem;
+        background: var(--bg-hover);
+        border: 1px solid var(--border);
+        border-radius: 16px;
+        font-size: 0.85rem;
+        color: var(--text-primary);
+    }
+
+    .filter-chip.invalid {
+        border-color: #e74c3c;
+        color: var(--text-muted);
+        text-decoration: line-through;
+    }
+
+    .filter-chip-field {
+        color: var(--text-muted);
+        font-size: 0.75rem;
+        text-transform: uppercase;
+    }
+
+    .filter-chip-remove {
+        width: 20px;
+        height: 20px;
+        border: none;
+        border-radius: 50%;
+        background: transparent;
+        color: var(--text-secondary);
+        cursor: pointer;
+        font-size: 0.7rem;
+    }
+
+    .filter-chip-remove:hover {
+        background: var(--bg-dark);
+        color: var(--text-primary);
+    }
+
     .no-results {
         text-align: center;
         padding: 3rem 2rem;
@@ -301,6 +541,20 @@ const searchStyles = `
         margin-bottom: 0.5rem;
     }
 
+    .search-result-item {
+        padding: 1rem;
+        margin-bottom: 0.75rem;
+        background: var(--bg-dark);
+        border: 1px solid var(--border);
+        border-radius: 8px;
+        cursor: pointer;
+        transition: var(--transition);
+    }
+
+    .search-result-item:hover {
+        border-color: var(--primary);
+    }
+
     .result-header {
         display: flex;
         justify-content: space-between;
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/**
+ * Outline Conversion Command
+ * Exports the course as OPML, FreeMind (.mm) or Markdown, and imports
+ * an outline edited in another tool as a new set of data files.
+ *
+ * Usage:
+ *   node scripts/convert-outline.js export <opml|freemind|markdown> [output file]
+ *   node scripts/convert-outline.js import <outline file> <output directory>
+ *
+ * Import writes course-content.json and extracted/chapter-N.json into the
+ * output directory; pass `data` to replace the site's content.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ContentSchema = require('../js/content-schema.js');
+const CourseOutline = require('../js/course-outline.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const DATA_DIR = path.join(ROOT, 'data');
+
+const USAGE = `Usage:
+  node scripts/convert-outline.js export <${Object.keys(CourseOutline.formats).join('|')}> [output file]
+  node scripts/convert-outline.js import <outline file> <output directory>`;
+
+/**
+ * Read a course index with every chapter file merged in
+ * @param {string} dataDir - Directory holding course-content.json and extracted/
+ * @returns {Object} Course data
+ */
+function readCourse(dataDir = DATA_DIR) {
+    const course = JSON.parse(fs.readFileSync(path.join(dataDir, 'course-content.json'), 'utf8'));
+
+    (course.chapters || []).forEach(chapter => {
+        const file = path.join(dataDir, 'extracted', `chapter-${chapter.chapter}.json`);
+        if (!fs.existsSync(file)) return;
+
+        const detail = JSON.parse(fs.readFileSync(file, 'utf8'));
+        Object.keys(detail).forEach(key => {
+            if (detail[key] !== undefined && detail[key] !== null) chapter[key] = detail[key];
+        });
+    });
+
+    return course;
+}
+
+/**
+ * Write the course as an outline
+ * @param {string} format - Format key
+ * @param {string} output - Output file; stdout if omitted
+ */
+function exportOutline(format, output) {
+    if (!CourseOutline.formats[format]) {
+        throw new Error(`Unknown format "${format}"\n${USAGE}`);
+    }
+
+    const text = CourseOutline.exportCourse(readCourse(), format);
+
+    if (output) {
+        fs.writeFileSync(output, text);
+        console.log(`Wrote ${path.relative(process.cwd(), output)}`);
+    } else {
+        process.stdout.write(text);
+    }
+}
+
+/**
+ * Turn an outline into data files, refusing to write invalid content
+ * @param {string} input - Outline file
+ * @param {string} outputDir - Directory for course-content.json and extracted/
+ */
+function importOutline(input, outputDir) {
+    const text = fs.readFileSync(input, 'utf8');
+    const format = CourseOutline.detectFormat(input, text);
+    const dataset = CourseOutline.importCourse(text, format);
+    const { course, chapters } = dataset;
+
+    // Outlines don't carry relations or vocabulary; keep what is already in the target course
+    if (fs.existsSync(path.join(outputDir, 'course-content.json'))) {
+        CourseOutline.carryOver(readCourse(outputDir), dataset).forEach(({ relation, reason }) => {
+            console.log(`warning  relation ${relation?.from} → ${relation?.to} (${relation?.type}) dropped: ${reason}`);
+        });
+    }
+
+    const errors = [
+        ...ContentSchema.validateCourse(course),
+        ...chapters.flatMap(ch => ContentSchema.validateChapter(ch, ch.chapter))
+    ];
+
+    errors.forEach(err => {
+        const label = err.severity === 'warning' ? 'warning' : 'error  ';
+        const where = err.chapter ? `chapter ${err.chapter}: ` : '';
+        console.log(`${label}  ${where}${ContentSchema.formatPath(err.path)}: ${err.message}`);
+    });
+
+    if (errors.some(err => err.severity === 'error')) {
+        throw new Error(`${path.basename(input)} does not describe a valid course; nothing was written`);
+    }
+
+    const extractedDir = path.join(outputDir, 'extracted');
+    fs.mkdirSync(extractedDir, { recursive: true });
+
+    fs.writeFileSync(path.join(outputDir, 'course-content.json'), JSON.stringify(course, null, 2) + '\n');
+    chapters.forEach(chapter => {
+        fs.writeFileSync(path.join(extractedDir, `chapter-${chapter.chapter}.json`), JSON.stringify(chapter, null, 2) + '\n');
+    });
+
+    console.log(`Imported ${CourseOutline.formats[format].label} outline: ${course.parts.length} part${course.parts.length !== 1 ? 's' : ''}, ` +
+        `${chapters.length} chapter${chapters.length !== 1 ? 's' : ''} written to ${path.relative(process.cwd(), outputDir) || '.'}`);
+}
+
+function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    try {
+        if (command === 'export' && args.length >= 1) {
+            exportOutline(args[0], args[1]);
+        } else if (command === 'import' && args.length === 2) {
+            importOutline(args[0], args[1]);
+        } else {
+            console.log(USAGE);
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+main();
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/**
+ * Content Validation Command
+ * Validates data/course-content.json and every data/extracted/*.json
+ * against the course schema and prints line-precise errors.
+ *
+ * Usage: node scripts/validate-content.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ContentSchema = require('../js/content-schema.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const COURSE_FILE = path.join(ROOT, 'data', 'course-content.json');
+const EXTRACTED_DIR = path.join(ROOT, 'data', 'extracted');
+
+/**
+ * Read and parse a JSON file, reporting syntax errors with a line number
+ * @param {string} file - Absolute file path
+ * @returns {Object} { text, data, errors }
+ */
+function readJson(file) {
+    const text = fs.readFileSync(file, 'utf8');
+
+    try {
+        return { text, data: JSON.parse(text), errors: [] };
+    } catch (error) {
+        const match = /position (\d+)/.exec(error.message);
+        const offset = match ? parseInt(match[1]) : 0;
+        const line = text.slice(0, offset).split('\n').length;
+
+        return {
+            text,
+            data: null,
+            errors: [{
+                path: [],
+                message: `invalid JSON: ${error.message}`,
+                severity: 'error',
+                position: { line, column: 1 }
+            }]
+        };
+    }
+}
+
+/**
+ * Print errors for one file
+ * @param {string} file - Absolute file path
+ * @param {string} text - File source
+ * @param {Array} errors - Validation errors
+ */
+function report(file, text, errors) {
+    if (errors.length === 0) return;
+
+    const relative = path.relative(ROOT, file);
+    const positions = text ? ContentSchema.locate(text) : new Map();
+
+    errors.forEach(err => {
+        const pos = err.position || ContentSchema.positionOf(positions, err.path) || { line: 1, column: 1 };
+        const label = err.severity === 'warning' ? 'warning' : 'error  ';
+        console.log(`${relative}:${pos.line}:${pos.column}  ${label}  ${ContentSchema.formatPath(err.path)}: ${err.message}`);
+    });
+}
+
+function main() {
+    let errorCount = 0;
+    let warningCount = 0;
+
+    const tally = (errors) => {
+        errors.forEach(err => {
+            if (err.severity === 'warning') warningCount++;
+            else errorCount++;
+        });
+    };
+
+    // Master course file
+    const course = readJson(COURSE_FILE);
+    const courseErrors = course.data ? ContentSchema.validateCourse(course.data) : course.errors;
+    report(COURSE_FILE, course.data ? course.text : null, courseErrors);
+    tally(courseErrors);
+
+    const indexed = new Map();
+    if (course.data && Array.isArray(course.data.chapters)) {
+        course.data.chapters.forEach(ch => indexed.set(ch?.chapter, ch));
+    }
+
+    // Chapter files
+    const details = new Map();
+    const files = fs.readdirSync(EXTRACTED_DIR)
+        .filter(name => name.endsWith('.json'))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+    files.forEach(name => {
+        const file = path.join(EXTRACTED_DIR, name);
+        const match = /^chapter-(\d+)\.json$/.exec(name);
+        const expected = match ? parseInt(match[1]) : null;
+        const chapter = readJson(file);
+
+        let errors = chapter.errors;
+        if (chapter.data) {
+            errors = ContentSchema.validateChapter(chapter.data, expected);
+            details.set(chapter.data.chapter, chapter.data);
+
+            if (!match) {
+                errors.push({ path: [], message: 'file name should be chapter-N.json', severity: 'warning' });
+            }
+
+            const entry = indexed.get(chapter.data.chapter);
+            if (!entry) {
+                errors.push({
+                    path: ['chapter'],
+                    message: `chapter ${chapter.data.chapter} is not listed in course-content.json`,
+                    severity: 'error'
+                });
+            } else if (typeof chapter.data.title === 'string' && entry.title !== chapter.data.title) {
+                errors.push({
+                    path: ['title'],
+                    message: `title differs from course-content.json ("${entry.title}")`,
+                    severity: 'warning'
+                });
+            }
+        }
+
+        report(file, chapter.data ? chapter.text : null, errors);
+        tally(errors);
+    });
+
+    // Chapters with no detail file fall back to the index at runtime
+    indexed.forEach((entry, chNum) => {
+        if (Number.isInteger(chNum) && !files.includes(`chapter-${chNum}.json`)) {
+            const warning = [{ path: [], message: `no data/extracted/chapter-${chNum}.json for chapter ${chNum}`, severity: 'warning' }];
+            report(COURSE_FILE, course.text, warning);
+            tally(warning);
+        }
+    });
+
+    // Relations into sections and concepts can only be checked against
+    // the chapter files; report what the course file check couldn't see
+    if (course.data && Array.isArray(course.data.relations)) {
+        const merged = [...indexed.values()].map(entry => ({ ...entry, ...details.get(entry?.chapter) }));
+        const reported = new Set(courseErrors.map(err => `${ContentSchema.formatPath(err.path)} ${err.message}`));
+        const relationErrors = [];
+
+        ContentSchema.checkRelations(course.data.relations, merged, relationErrors);
+        const unreported = relationErrors.filter(err => !reported.has(`${ContentSchema.formatPath(err.path)} ${err.message}`));
+        report(COURSE_FILE, course.text, unreported);
+        tally(unreported);
+    }
+
+    const checked = files.length + 1;
+    console.log(`\nChecked ${checked} file${checked !== 1 ? 's' : ''}: ${errorCount} error${errorCount !== 1 ? 's' : ''}, ${warningCount} warning${warningCount !== 1 ? 's' : ''}`);
+
+    process.exitCode = errorCount > 0 ? 1 : 0;
+}
+
+main();